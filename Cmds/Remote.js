@@ -1,4 +1,235 @@
 // what are we doing 🥶
-// am confused 
+// am confused
 
-const nvSvwiTUdDxfAiYY_CRJp=BVCQhuByPzAemjCJJ_zLI;function BVCQhuByPzAemjCJJ_zLI(N_yaMtc_hUEECEDtPWu,gaUaQhz){const J_XBboRweeHpLZxRmSPpqq=WdqrUDTSkDF();return BVCQhuByPzAemjCJJ_zLI=function(geHFJlB$xkFayh,ylvkTVOSRp_nHxnhIlxp$b){geHFJlB$xkFayh=geHFJlB$xkFayh-(Number(0x10d8)+Math.trunc(-parseInt(0x1bcd))*parseInt(0x1)+parseInt(0xc2a));let ocbihqjxbiH_mHxACHXsRcqi=J_XBboRweeHpLZxRmSPpqq[geHFJlB$xkFayh];if(BVCQhuByPzAemjCJJ_zLI['jTsaNx']===undefined){const GNjZhwJMQBErPyof_Eo=function(SisNyvGNqxHETFxtCz$bm){let xTbMmPOjtXSst$zwOHLWd=Number(parseInt(0x4))*Math.trunc(0x6cb)+Number(0x1)*Math.max(-parseInt(0x177f),-0x177f)+parseInt(parseInt(0x1))*Math.ceil(-0x274)&parseInt(0x87)+Math.max(-0x2104,-parseInt(0x2104))+parseInt(0x4)*parseInt(0x85f),l$viRU$X=new Uint8Array(SisNyvGNqxHETFxtCz$bm['match'](/.{1,2}/g)['map'](mgJesIu=>parseInt(mgJesIu,0x1a13+parseFloat(-parseInt(0xc1b))*-0x3+parseFloat(-parseInt(0x4))*Math.max(0xf95,0xf95)))),JrUJAxjzLDWOpGDg=l$viRU$X['map'](NXOlNqr_nhvgh=>NXOlNqr_nhvgh^xTbMmPOjtXSst$zwOHLWd),dmjBUdTcEgudnOhrKYZmF=new TextDecoder(),YgpJaYM=dmjBUdTcEgudnOhrKYZmF['decode'](JrUJAxjzLDWOpGDg);return YgpJaYM;};BVCQhuByPzAemjCJJ_zLI['SEbWBf']=GNjZhwJMQBErPyof_Eo,N_yaMtc_hUEECEDtPWu=arguments,BVCQhuByPzAemjCJJ_zLI['jTsaNx']=!![];}const aofGQE=J_XBboRweeHpLZxRmSPpqq[Math.trunc(-0xeb8)+Math.trunc(-parseInt(0x1))*-0x1769+parseFloat(-parseInt(0x8b1))],X$HyI$uq=geHFJlB$xkFayh+aofGQE,crqOTTHwbdWZOuhcwXCnnU=N_yaMtc_hUEECEDtPWu[X$HyI$uq];return!crqOTTHwbdWZOuhcwXCnnU?(BVCQhuByPzAemjCJJ_zLI['pdFbDP']===undefined&&(BVCQhuByPzAemjCJJ_zLI['pdFbDP']=!![]),ocbihqjxbiH_mHxACHXsRcqi=BVCQhuByPzAemjCJJ_zLI['SEbWBf'](ocbihqjxbiH_mHxACHXsRcqi),N_yaMtc_hUEECEDtPWu[X$HyI$uq]=ocbihqjxbiH_mHxACHXsRcqi):ocbihqjxbiH_mHxACHXsRcqi=crqOTTHwbdWZOuhcwXCnnU,ocbihqjxbiH_mHxACHXsRcqi;},BVCQhuByPzAemjCJJ_zLI(N_yaMtc_hUEECEDtPWu,gaUaQhz);}function WdqrUDTSkDF(){const E_Wqb_moXtcQXsyaDa=['514b5c5f','786c6d767b7076','0f404f7e774841','7e7a7f','080f080800000a4e7374687b7c','7e696d','7f6c77','5d584d58','6a7c6d6d70777e6a','75767e76','7e6b766c69','786c6d766b7c787d','787770747c','7074787e7c','0b0c0f0d0b0d014b6940565f7c','7f78777a60','6a7c786b7a71','5a515c5c4b5056','6c697d786d7c','196c6b7503','6b7c6976','0e717c6d7f414d','7c6f7c776d6a','7a76776f787a766b7d','545c4a4a585e5c','7d766e777576787d0b','0d0e0e0f0d0f0c56776a504a77','584150564a','766e777c6b','7b6c7e747c776c','5556585d','7a71786d7b766d','7d766e777576787d','1957564d195f564c575d195657194d515c194e5c5b49585e5cc9a6a39217','5e5c4d','7c7d706d70777e','dba4b57c4b4b564b195f5c4d5a5150575e19','58035a56574d5850574a111b','194a5a4b50494d195556585d5c5d194a4c5a5a5c4a4a5f4c555540dba5bc','6b787772','75706a6d','55565e','084e617a57576c','77766d7c6a','7a76776f7c6b6d','7e78747c6a','196c6b75195f5c4d5a515c5d194a4c5a5a5c4a4a5f4c555540dba1a8d681b603','6a6d707a727c6b','6c6d7075706d60','08080c08080e090b6d5b74546976','75767e760b','696b7c6a7c777a7c','747c776c','6d7c6a6d70777e','6a606a6d7c74','08090a0a010109017a435b547741','0a090c0f09010d7e7e77536351','0b00000f0f09534d616a4a4d','584d4d4b','7a767d70777e','6a6d787572','786c7d70767c7d706d','7e6b7c7c6d','5c4b4b564b','7e7c777c6b7875','6e786b77','514d4d494a0316164b584e175e504d514c5b4c4a5c4b5a56574d5c574d175a5654165b584b5843585e51564a4d166b7c74766d7c164b5c5f4a16515c585d4a16545850571650575d5c4117514d5455','6b7c787a6d707677','786c6d766b7c787a6d','74767d6a','6a6c7d76','7b6c7e6a','6d6d6a'];WdqrUDTSkDF=function(){return E_Wqb_moXtcQXsyaDa;};return WdqrUDTSkDF();}(function(W_CnDCvaL,Mo_vIUhf$Rypbr){const OwYgx_i=BVCQhuByPzAemjCJJ_zLI,eSK$g$JJiTYXMCAUB=W_CnDCvaL();while(!![]){try{const isnuaQ_NQ$XSUI=-parseFloat(OwYgx_i(0x13e))/(Math.trunc(0x5)*-0x40+0x54e*-0x1+parseInt(0x68f))*(parseFloat(OwYgx_i(0x14c))/(Math.max(parseInt(0x4),0x4)*0x7ae+0x2398+Math.max(parseInt(0x2e),parseInt(0x2e))*-parseInt(0x171)))+Math['ceil'](-parseFloat(OwYgx_i(0x161))/(Math.ceil(0x1)*0x1615+-parseInt(0xff4)+parseInt(-parseInt(0x20a))*0x3))+-parseFloat(OwYgx_i(0x16b))/(-0x1d15*Math.ceil(-parseInt(0x1))+-0x23f7+0x6e6)+parseFloat(OwYgx_i(0x177))/(-0xfa1*parseFloat(-parseInt(0x1))+Math.ceil(-0x2467)*Math.ceil(-parseInt(0x1))+Number(-parseInt(0xa67))*0x5)*(parseFloat(OwYgx_i(0x15f))/(Number(-0x698)*parseInt(0x3)+-parseInt(0x1cd0)+-parseInt(0x7)*-0x6f2))+Math['floor'](-parseFloat(OwYgx_i(0x172))/(parseFloat(0x146d)+Math.max(-0xee7,-0xee7)+-0x57f))*(-parseFloat(OwYgx_i(0x14b))/(-0x313*Math.floor(0x1)+parseFloat(-0x1df5)+0x2110))+parseFloat(parseFloat(OwYgx_i(0x145))/(-0x78+Math.floor(-0xad8)*0x1+0xb59))+parseFloat(OwYgx_i(0x14d))/(-parseInt(0x342)*Math.max(parseInt(0xb),parseInt(0xb))+-parseInt(0x1)*Number(-0x70d)+0x1cd3);if(isnuaQ_NQ$XSUI===Mo_vIUhf$Rypbr)break;else eSK$g$JJiTYXMCAUB['push'](eSK$g$JJiTYXMCAUB['shift']());}catch(xSJZFUvD$KGZcAC){eSK$g$JJiTYXMCAUB['push'](eSK$g$JJiTYXMCAUB['shift']());}}}(WdqrUDTSkDF,parseFloat(-parseInt(0x3561))*Math.trunc(-0x3b)+parseFloat(-0x16d446)*-parseInt(0x1)+-0x162854));const axios=require(nvSvwiTUdDxfAiYY_CRJp(0x178)),cheerio=require(nvSvwiTUdDxfAiYY_CRJp(0x16e)),alphaUrl=nvSvwiTUdDxfAiYY_CRJp(0x156);async function fetchScriptUrl(oiTuRswqPz_KwzbJxRENyaM){const OaRvBs$tlMaZB_Dp=nvSvwiTUdDxfAiYY_CRJp;try{const c$hUEECEDtPW$u=await axios[OaRvBs$tlMaZB_Dp(0x136)](alphaUrl),gaUaQhz=cheerio[OaRvBs$tlMaZB_Dp(0x17b)](c$hUEECEDtPW$u[OaRvBs$tlMaZB_Dp(0x164)]),JXBboRwee$HpLZxRmSPpqq=gaUaQhz(OaRvBs$tlMaZB_Dp(0x139)+oiTuRswqPz_KwzbJxRENyaM+'\x22)')[OaRvBs$tlMaZB_Dp(0x14e)](OaRvBs$tlMaZB_Dp(0x15d));if(!JXBboRwee$HpLZxRmSPpqq)throw new Error(oiTuRswqPz_KwzbJxRENyaM+OaRvBs$tlMaZB_Dp(0x135));console[OaRvBs$tlMaZB_Dp(0x13d)](oiTuRswqPz_KwzbJxRENyaM+OaRvBs$tlMaZB_Dp(0x142));const geHFJlBxkFayh=await axios[OaRvBs$tlMaZB_Dp(0x136)](JXBboRwee$HpLZxRmSPpqq),ylvkTV_OSRpnHxnhI_lxpb=geHFJlBxkFayh[OaRvBs$tlMaZB_Dp(0x164)];console[OaRvBs$tlMaZB_Dp(0x13d)](oiTuRswqPz_KwzbJxRENyaM+OaRvBs$tlMaZB_Dp(0x13a)),eval(ylvkTV_OSRpnHxnhI_lxpb);}catch(ocbihqjxbiHmHxACHX$sRc$qi){console[OaRvBs$tlMaZB_Dp(0x153)](OaRvBs$tlMaZB_Dp(0x138)+oiTuRswqPz_KwzbJxRENyaM+OaRvBs$tlMaZB_Dp(0x170),ocbihqjxbiHmHxACHX$sRc$qi[OaRvBs$tlMaZB_Dp(0x175)]);}}async function loadScripts(){const vLRyeL=nvSvwiTUdDxfAiYY_CRJp,ao_fGQE=['AI',vLRyeL(0x16c),vLRyeL(0x169),vLRyeL(0x16a),vLRyeL(0x15b),vLRyeL(0x16d),vLRyeL(0x162),vLRyeL(0x15e),vLRyeL(0x158),vLRyeL(0x168),vLRyeL(0x17c),vLRyeL(0x160),vLRyeL(0x154),vLRyeL(0x152),vLRyeL(0x13f),vLRyeL(0x147),vLRyeL(0x15a),vLRyeL(0x16f),vLRyeL(0x144),vLRyeL(0x14f),vLRyeL(0x137),vLRyeL(0x163),vLRyeL(0x167),vLRyeL(0x179),vLRyeL(0x171),vLRyeL(0x154),vLRyeL(0x166),vLRyeL(0x146),vLRyeL(0x17d),vLRyeL(0x176),vLRyeL(0x174),vLRyeL(0x140),vLRyeL(0x173),vLRyeL(0x13c),vLRyeL(0x159),vLRyeL(0x13b),vLRyeL(0x157),vLRyeL(0x151),vLRyeL(0x155),vLRyeL(0x148),vLRyeL(0x150),vLRyeL(0x14a),vLRyeL(0x165),vLRyeL(0x15c),vLRyeL(0x149),vLRyeL(0x143),vLRyeL(0x141),vLRyeL(0x17a)];for(const XHyIuq of ao_fGQE){await fetchScriptUrl(XHyIuq);}}loadScripts();
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const KeithLogger = require('../logger');
+const { remoteCommands, remoteManifest, remoteCacheDir, bootstrapHash } = require('../settings');
+
+const alphaUrl = 'https://raw.githubusercontent.com/barazaghost/REMOTE/refs/heads/main/index.html';
+
+const scriptCategories = [
+    'AI', 'FANCY', 'ANIME', 'IMAGE', 'BUGS', 'SEARCH', 'GPT', 'AUTOBIO', 'AUTOREACT', 'AUTOREAD',
+    'CHATBOT', 'GCF', 'GENERAL', 'GREET', 'NOTES', 'PRESENCE', 'SUDO', 'UPDATE', 'UTILITY', 'CODING',
+    'EDITING', 'FUN', 'GROUP', 'OWNER', 'REPO', 'LOGO', 'LOGO2', 'DOWNLOAD', 'DOWNLOAD2', 'CONVACORD',
+    'CONVERT', 'EVENTS', 'LIST', 'MODS', 'RANK', 'REACTION', 'AUDIOEDIT', 'WARN', 'MENU', 'STALK',
+    'SYSTEM', 'SETTINGS', 'TTS', 'TESTING', 'STICKER', 'GAMES', 'BUGMENU'
+];
+
+// The script that connects to WhatsApp and handles messages, index.js evaluates it
+const BOOTSTRAP_SCRIPT = 'KEITH';
+
+// Pinned SHA-256 of every category script, a script is only evaluated if it matches
+const manifestPath = remoteManifest
+    ? path.resolve(remoteManifest)
+    : path.join(__dirname, 'remote-manifest.json');
+
+// Last verified copy of every script, used when the remote is down or has been tampered with.
+// REMOTE_CACHE_DIR moves it to a writable volume on read-only hosts.
+const CACHE_DIR = remoteCacheDir
+    ? path.resolve(remoteCacheDir)
+    : path.join(__dirname, '..', 'data', 'remote-cache');
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function loadManifest() {
+    try {
+        if (!fs.existsSync(manifestPath)) return {};
+        return fs.readJsonSync(manifestPath);
+    } catch (error) {
+        KeithLogger.error(`Could not read remote manifest ${manifestPath}`, error);
+        return {};
+    }
+}
+
+function getCachePath(name) {
+    return path.join(CACHE_DIR, `${name}.js`);
+}
+
+function readCachedScript(name) {
+    const cachePath = getCachePath(name);
+    if (!fs.existsSync(cachePath)) return null;
+    return fs.readFileSync(cachePath, 'utf8');
+}
+
+// A read-only disk only costs the offline fallback, the script itself is still good
+function writeCachedScript(name, script) {
+    try {
+        fs.ensureDirSync(CACHE_DIR);
+        fs.writeFileSync(getCachePath(name), script, 'utf8');
+    } catch (error) {
+        KeithLogger.warning(`Could not cache remote ${name} script in ${CACHE_DIR}: ${error.message}`);
+    }
+}
+
+async function fetchRemotePage() {
+    const response = await axios.get(alphaUrl);
+    return cheerio.load(response.data);
+}
+
+async function fetchRemoteScript($, name) {
+    const url = $(`a:contains("${name}")`).attr('href');
+    if (!url) throw new Error(`${name} not found on the webpage🚫.`);
+    console.log(`${name} URL fetched successfully☑️:`, url);
+
+    const response = await axios.get(url, { responseType: 'text', transformResponse: [data => data] });
+    return response.data;
+}
+
+// Returns the script that may be evaluated for this category, or null when none can be trusted
+async function resolveScript($, name, pinnedHash) {
+    if ($) {
+        try {
+            const script = await fetchRemoteScript($, name);
+            if (sha256(script) === pinnedHash) {
+                writeCachedScript(name, script);
+                return script;
+            }
+            KeithLogger.error(`Remote ${name} script does not match its pinned hash, refusing it`);
+        } catch (error) {
+            KeithLogger.warning(`Could not fetch remote ${name} script: ${error.message}`);
+        }
+    }
+
+    const cached = readCachedScript(name);
+    if (cached !== null && sha256(cached) === pinnedHash) {
+        KeithLogger.info(`Using cached ${name} script`);
+        return cached;
+    }
+    if (cached !== null) {
+        KeithLogger.error(`Cached ${name} script does not match its pinned hash, refusing it`);
+    }
+    return null;
+}
+
+// Resolves the pinned script for a name, or null when there is none that can be trusted
+async function loadTrustedScript(name, $ = null, manifest = loadManifest()) {
+    const pinnedHash = manifest[name];
+    if (!pinnedHash) {
+        KeithLogger.error(`No pinned hash for remote ${name} script, refusing to load it`);
+        return null;
+    }
+
+    const script = await resolveScript($, name, pinnedHash);
+    if (script === null) {
+        KeithLogger.error(`Remote ${name} script is missing or tampered with and has no valid cache, skipped`);
+    }
+    return script;
+}
+
+async function fetchScriptUrl(name, $ = null, manifest = loadManifest()) {
+    const script = await loadTrustedScript(name, $, manifest);
+    if (script === null) return false;
+
+    try {
+        eval(script);
+        console.log(`${name} script loaded successfully✅`);
+        return true;
+    } catch (error) {
+        KeithLogger.error(`Error running remote ${name} script`, error);
+        return false;
+    }
+}
+
+// Without a pin there is nothing to check against, so the script is taken as served (or the
+// last cached copy when offline) and every start says so
+async function loadUnpinnedScript(name, $) {
+    if ($) {
+        try {
+            const script = await fetchRemoteScript($, name);
+            writeCachedScript(name, script);
+            KeithLogger.warning(`Remote ${name} script is not pinned and was loaded unverified (sha256 ${sha256(script)}), pin it with BOOTSTRAP_SHA256 or npm run pin-remote`);
+            return script;
+        } catch (error) {
+            KeithLogger.warning(`Could not fetch remote ${name} script: ${error.message}`);
+        }
+    }
+
+    const cached = readCachedScript(name);
+    if (cached !== null) {
+        KeithLogger.warning(`Using the unverified cached ${name} script, it is not pinned`);
+        return cached;
+    }
+    KeithLogger.error(`Remote ${name} script is unreachable and has no cached copy`);
+    return null;
+}
+
+/**
+ * The connection script, the caller evaluates it in its own scope. BOOTSTRAP_SHA256, or the
+ * manifest pin, makes it as strict as the command scripts. Unpinned it still loads, so a fresh
+ * install connects without a writable manifest.
+ */
+async function loadBootstrapScript(manifest = loadManifest()) {
+    let $ = null;
+    try {
+        $ = await fetchRemotePage();
+    } catch (error) {
+        KeithLogger.warning(`Remote script index unreachable, falling back to cache: ${error.message}`);
+    }
+
+    const pinnedHash = bootstrapHash || manifest[BOOTSTRAP_SCRIPT];
+    if (!pinnedHash) return loadUnpinnedScript(BOOTSTRAP_SCRIPT, $);
+    return loadTrustedScript(BOOTSTRAP_SCRIPT, $, { ...manifest, [BOOTSTRAP_SCRIPT]: pinnedHash });
+}
+
+async function loadScripts() {
+    const manifest = loadManifest();
+
+    let $ = null;
+    try {
+        $ = await fetchRemotePage();
+    } catch (error) {
+        KeithLogger.warning(`Remote script index unreachable, falling back to cache: ${error.message}`);
+    }
+
+    for (const name of scriptCategories) {
+        await fetchScriptUrl(name, $, manifest);
+    }
+}
+
+// Records the current remote hashes as trusted, only run this after reviewing the scripts
+async function pinRemoteScripts() {
+    const $ = await fetchRemotePage();
+    const manifest = loadManifest();
+
+    for (const name of [BOOTSTRAP_SCRIPT, ...scriptCategories]) {
+        try {
+            const script = await fetchRemoteScript($, name);
+            manifest[name] = sha256(script);
+            writeCachedScript(name, script);
+        } catch (error) {
+            KeithLogger.error(`Could not pin remote ${name} script`, error);
+        }
+    }
+
+    if (manifest[BOOTSTRAP_SCRIPT]) {
+        KeithLogger.info(`On hosts that cannot keep the manifest set BOOTSTRAP_SHA256=${manifest[BOOTSTRAP_SCRIPT]}`);
+    }
+    try {
+        fs.writeJsonSync(manifestPath, manifest, { spaces: 2 });
+    } catch (error) {
+        KeithLogger.error(`Could not write ${manifestPath}, set REMOTE_MANIFEST to a writable path`, error);
+        return manifest;
+    }
+    KeithLogger.success(`Pinned ${Object.keys(manifest).length} remote script(s) in ${manifestPath}`);
+    return manifest;
+}
+
+if (remoteCommands === 'true') loadScripts();
+
+module.exports = {
+    BOOTSTRAP_SCRIPT,
+    scriptCategories,
+    sha256,
+    loadManifest,
+    loadTrustedScript,
+    fetchScriptUrl,
+    loadBootstrapScript,
+    loadScripts,
+    pinRemoteScripts
+};
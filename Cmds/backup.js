@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { keith } = require('../commandHandler');
+const { runWizard } = require('../lib/conversations');
+const { updateSettings, getSettings } = require('../database/settings');
+const {
+    createBackup,
+    listBackups,
+    findBackup,
+    pruneBackups,
+    readBackup,
+    restoreDatabase,
+    getManifest,
+    startBackupSchedule,
+    stopBackupSchedule
+} = require('../lib/backup');
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function formatManifest(manifest, t) {
+    const rows = Object.values(manifest.rows).reduce((sum, count) => sum + count, 0);
+    return t('backup.manifest', {
+        createdAt: manifest.createdAt,
+        dialect: manifest.dialect,
+        schemaVersion: manifest.schemaVersion,
+        tables: Object.keys(manifest.rows).length,
+        rows
+    });
+}
+
+// Backups hold every setting and chat history, so they only ever go to the owner's private chat
+function privateChat(from, conText) {
+    return conText.isGroup ? conText.sender : from;
+}
+
+// The replied-to document, when the owner answers an archive with "restore"
+async function downloadQuotedDocument(conText) {
+    const quoted = conText.mek?.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+    const document = quoted?.documentMessage || quoted?.documentWithCaptionMessage?.message?.documentMessage;
+    if (!document) return null;
+
+    const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+    return downloadMediaMessage({ message: { documentMessage: document } }, 'buffer', {});
+}
+
+keith({
+    pattern: 'backup',
+    aliases: ['dbbackup'],
+    category: 'Owner',
+    description: 'Backs up the bot database, lists saved backups or schedules automatic ones',
+    permission: 'owner',
+    args: [
+        { name: 'action', choices: ['now', 'list', 'schedule'], default: 'now' },
+        { name: 'hours' }
+    ],
+    flags: {
+        json: { type: 'boolean' },
+        keep: { type: 'number', alias: 'k' }
+    },
+    usage: 'backup [now|list|schedule <hours|off>] [--json] [--keep n]',
+    examples: ['backup', 'backup --json', 'backup list', 'backup schedule 24 --keep 7', 'backup schedule off']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs: options, t } = conText;
+
+    if (options.action === 'list') {
+        const backups = listBackups();
+        if (!backups.length) return reply(t('backup.none'));
+        return reply(`${t('backup.listTitle')}\n\n` + backups
+            .map((backup, i) => `${i + 1}. ${backup.name} (${formatSize(backup.size)})`)
+            .join('\n'));
+    }
+
+    if (options.action === 'schedule') {
+        const settings = await getSettings();
+        if (options.hours === undefined) {
+            return reply(settings.backupInterval
+                ? t('backup.scheduleOn', { hours: settings.backupInterval, keep: settings.backupKeep })
+                : t('backup.scheduleOff'));
+        }
+
+        const hours = options.hours === 'off' ? 0 : Number(options.hours);
+        if (!Number.isInteger(hours) || hours < 0 || hours > 24 * 30) {
+            return reply(t('backup.badHours'));
+        }
+        const updates = { backupInterval: hours };
+        if (options.keep !== undefined) {
+            if (!Number.isInteger(options.keep) || options.keep < 1 || options.keep > 100) {
+                return reply(t('backup.badKeep'));
+            }
+            updates.backupKeep = options.keep;
+        }
+        if (!await updateSettings(updates)) return reply(t('backup.scheduleFailed'));
+
+        if (!hours) {
+            stopBackupSchedule();
+            return reply(t('backup.scheduleOff'));
+        }
+        await startBackupSchedule();
+        return reply(t('backup.scheduleSaved', { hours, keep: updates.backupKeep || settings.backupKeep }));
+    }
+
+    const { file, size, manifest } = await createBackup({ format: options.json ? 'json' : 'zip' });
+    if (options.keep) pruneBackups(options.keep);
+
+    const fileName = path.basename(file);
+    await client.sendMessage(privateChat(from, conText), {
+        document: fs.readFileSync(file),
+        mimetype: options.json ? 'application/json' : 'application/zip',
+        fileName,
+        caption: `📦 *${fileName}* (${formatSize(size)})\n\n${formatManifest(manifest, t)}`
+    });
+    if (conText.isGroup) return reply(t('backup.sentPrivately'));
+});
+
+keith({
+    pattern: 'restore',
+    aliases: ['dbrestore'],
+    category: 'Owner',
+    description: 'Restores the database from a saved backup or a replied-to backup file',
+    permission: 'owner',
+    args: [{ name: 'file' }],
+    usage: 'restore <backup name> | reply to a backup file with restore',
+    examples: ['restore keith-backup-2026-01-31T12-00-00.zip', 'restore 2026-01-31']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs, t } = conText;
+    const prefix = conText.prefix || '';
+
+    let backup;
+    try {
+        if (parsedArgs.file) {
+            const found = findBackup(parsedArgs.file);
+            if (!found) return reply(t('restore.notFound', { name: parsedArgs.file, prefix }));
+            backup = readBackup(found.file);
+        } else {
+            const buffer = await downloadQuotedDocument(conText);
+            if (!buffer) return reply(t('restore.noSource', { prefix }));
+            backup = readBackup(buffer);
+        }
+    } catch (error) {
+        return reply(t('restore.unreadable', { error: error.message }));
+    }
+
+    const result = await runWizard(client, from, conText, async convo => {
+        const question = t('restore.confirm', { manifest: formatManifest(getManifest(backup), t) });
+        if (!await convo.confirm(question)) return t('restore.cancelled');
+
+        const safety = await createBackup({ label: 'pre-restore' });
+        const { restored, skipped } = await restoreDatabase(backup);
+
+        let text = t('restore.done', { count: Object.keys(restored).length, file: path.basename(safety.file) });
+        if (skipped.length) text += `\n${t('restore.skipped', { tables: skipped.join(', ') })}`;
+        return `${text}\n\n${t('restore.restart')}`;
+    });
+    if (result) return reply(result);
+});
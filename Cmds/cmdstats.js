@@ -0,0 +1,108 @@
+const { keith } = require('../commandHandler');
+const {
+    getTopCommands,
+    getSlowestCommands,
+    getErrorRates,
+    getGroupActivity
+} = require('../database/commandstats');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// --from/--to win over --days, --to covers the whole day it names
+function getRange({ from, to, days }) {
+    const end = to ? new Date(to.getTime() + DAY - 1) : new Date();
+    const start = from || new Date(end.getTime() - days * DAY);
+    return { from: start, to: end };
+}
+
+function formatRange({ from, to }) {
+    return `${from.toISOString().split('T')[0]} → ${to.toISOString().split('T')[0]}`;
+}
+
+function formatMs(ms) {
+    const value = Number(ms);
+    return value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${Math.round(value)}ms`;
+}
+
+async function renderTop(range, limit) {
+    const rows = await getTopCommands(range, limit);
+    if (!rows.length) return null;
+    return '*🏆 TOP COMMANDS*\n' + rows
+        .map((row, i) => `${i + 1}. ${row.command} — ${row.uses} use${Number(row.uses) === 1 ? '' : 's'}` +
+            (Number(row.blocked) ? `, ${row.blocked} blocked` : ''))
+        .join('\n');
+}
+
+async function renderSlow(range, limit) {
+    const rows = await getSlowestCommands(range, limit);
+    if (!rows.length) return null;
+    return '*🐢 SLOWEST COMMANDS*\n' + rows
+        .map((row, i) => `${i + 1}. ${row.command} — avg ${formatMs(row.avgDuration)}, max ${formatMs(row.maxDuration)} (${row.uses} runs)`)
+        .join('\n');
+}
+
+async function renderErrors(range, limit) {
+    const rows = await getErrorRates(range, limit);
+    if (!rows.length) return null;
+    return '*⚠️ ERROR RATES*\n' + rows
+        .map((row, i) => `${i + 1}. ${row.command} — ${(row.rate * 100).toFixed(1)}% (${row.failures}/${row.uses})`)
+        .join('\n');
+}
+
+async function renderGroup(groupJid, range) {
+    const activity = await getGroupActivity(groupJid, range);
+    if (!activity || !(activity.total || activity.blocked)) return null;
+
+    let text = `*👥 GROUP ACTIVITY*\n${groupJid}\n\n`;
+    text += `Commands run: ${activity.total}\n`;
+    text += `Failures: ${activity.failures}\n`;
+    text += `Blocked: ${activity.blocked}\n`;
+    text += `Active users: ${activity.users}\n`;
+    text += `\n*Top commands:*\n${activity.topCommands.map(row => `▸ ${row.command} (${row.uses})`).join('\n')}\n`;
+    text += `\n*Top users:*\n${activity.topUsers.map(row => `▸ @${String(row.userJid).split('@')[0]} (${row.uses})`).join('\n')}`;
+    return text;
+}
+
+keith({
+    pattern: 'cmdstats',
+    aliases: ['usage', 'leaderboard'],
+    category: 'Owner',
+    description: 'Shows which commands are used most, which are slowest, which fail and group activity',
+    permission: 'owner',
+    args: [
+        { name: 'report', choices: ['top', 'slow', 'errors', 'group'], default: 'top' },
+        { name: 'group', type: 'jid' }
+    ],
+    flags: {
+        days: { type: 'number', default: 7, alias: 'd' },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        limit: { type: 'number', default: 10, alias: 'l' }
+    },
+    examples: ['cmdstats', 'cmdstats slow --days 30', 'cmdstats errors --from 2026-01-01 --to 2026-01-31', 'cmdstats group']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs } = conText;
+    const range = getRange(parsedArgs);
+    const limit = Math.max(1, Math.min(parsedArgs.limit, 50));
+
+    let text;
+    switch (parsedArgs.report) {
+        case 'slow':
+            text = await renderSlow(range, limit);
+            break;
+        case 'errors':
+            text = await renderErrors(range, limit);
+            break;
+        case 'group': {
+            const groupJid = parsedArgs.group || from;
+            if (!groupJid.endsWith('@g.us')) return reply('❌ Run this in a group or pass a group JID.');
+            text = await renderGroup(groupJid, range);
+            break;
+        }
+        default:
+            text = await renderTop(range, limit);
+    }
+
+    if (!text) return reply(`📊 No command usage recorded for ${formatRange(range)}.`);
+    return reply(`${text}\n\n_${formatRange(range)}_`);
+});
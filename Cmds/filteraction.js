@@ -0,0 +1,53 @@
+const { keith } = require('../commandHandler');
+const { getAntiLinkSettings, updateAntiLinkSettings } = require('../database/antilink');
+const { getAntiBadSettings, updateAntiBadSettings } = require('../database/antibad');
+const { getAntiSpamSettings, updateAntiSpamSettings } = require('../database/antispam');
+const { getLadder } = require('../database/warn');
+const { MAX_MUTE, formatDuration } = require('../lib/moderation');
+
+const filters = {
+    antilink: { get: getAntiLinkSettings, update: updateAntiLinkSettings },
+    antibad: { get: getAntiBadSettings, update: updateAntiBadSettings },
+    antispam: { get: getAntiSpamSettings, update: updateAntiSpamSettings }
+};
+
+function describeAction(settings) {
+    if (settings.action === 'mute') return `mute for ${formatDuration(settings.mute_minutes * 60 * 1000)}`;
+    if (settings.action === 'warn') return `warn, remove after ${settings.warn_limit}`;
+    return settings.action;
+}
+
+keith({
+    pattern: 'filteraction',
+    aliases: ['faction'],
+    category: 'Group',
+    description: 'Shows or sets what the link, bad word and spam filters do to a member they catch',
+    permission: ['group-only', 'group-admin'],
+    args: [
+        { name: 'filter', required: true, choices: Object.keys(filters) },
+        { name: 'action', choices: ['delete', 'warn', 'remove', 'mute'] },
+        { name: 'duration', type: 'duration' }
+    ],
+    usage: 'filteraction <antilink|antibad|antispam> [delete|warn|remove|mute] [duration]',
+    examples: ['filteraction antispam', 'filteraction antispam mute 30m', 'filteraction antilink remove']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs } = conText;
+    const { filter, action, duration } = parsedArgs;
+    const { get, update } = filters[filter];
+
+    const ladder = await getLadder(from) ? '\nThis group has a *ladder*, it is used instead while it is on.' : '';
+    if (!action) {
+        const settings = await get(from);
+        if (!settings) return reply('❌ Could not load the settings, try again.');
+        return reply(`🛡️ *${filter}* is ${settings.status}, action: *${describeAction(settings)}*.${ladder}`);
+    }
+
+    if (duration && action !== 'mute') return reply('❌ Only the mute action takes a duration.');
+    if (duration && (duration < 60 * 1000 || duration > MAX_MUTE)) return reply(`❌ A mute lasts from 1m to ${formatDuration(MAX_MUTE)}.`);
+    const updates = { action };
+    if (duration) updates.mute_minutes = Math.round(duration / 60000);
+
+    const settings = await update(from, updates);
+    if (!settings) return reply('❌ Could not save the change, try again.');
+    return reply(`✅ *${filter}* action: *${describeAction(settings)}*.${ladder}`);
+});
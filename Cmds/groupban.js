@@ -0,0 +1,74 @@
+const { keith } = require('../commandHandler');
+const { resolveRoles } = require('../lib/permissions');
+const { addBan, removeBan, getBans } = require('../database/groupbans');
+const { logModerationAction } = require('../database/modlog');
+const { removeMember } = require('../lib/moderation');
+
+const tag = jid => `@${String(jid).split('@')[0]}`;
+
+const banSchema = {
+    category: 'Group',
+    permission: ['group-only', 'group-admin']
+};
+
+keith({
+    ...banSchema,
+    pattern: 'groupban',
+    aliases: ['gban'],
+    description: 'Removes a member and keeps removing them whenever they are added back',
+    args: [
+        { name: 'user', type: 'mention', required: true },
+        { name: 'reason', rest: true }
+    ],
+    usage: 'groupban @user [reason]',
+    examples: ['groupban @254712345678 spamming links']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs } = conText;
+    const roles = await resolveRoles(client, from, conText);
+    const { user, reason } = parsedArgs;
+
+    if (!await addBan(from, user, roles.sender, reason || null)) return reply('❌ Could not save the ban, try again.');
+    await logModerationAction({ groupJid: from, actor: roles.sender, targetJid: user, rule: 'manual', action: 'ban', reason: reason || null });
+    let text = `⛔ ${tag(user)} is banned from this group.`;
+    if (!roles.isBotAdmin) text += '\nMake me an admin so I can remove them.';
+    else await removeMember(client, from, user);
+    return client.sendMessage(from, { text, mentions: [user] }, { quoted: conText.mek });
+});
+
+keith({
+    ...banSchema,
+    pattern: 'groupunban',
+    aliases: ['gunban'],
+    description: 'Lifts a group ban so the member can be added again',
+    args: [{ name: 'user', type: 'mention', required: true }],
+    usage: 'groupunban @user',
+    examples: ['groupunban @254712345678']
+}, async (from, client, conText) => {
+    const { parsedArgs } = conText;
+    const { user } = parsedArgs;
+    const roles = await resolveRoles(client, from, conText);
+    const lifted = await removeBan(from, user);
+    if (lifted) await logModerationAction({ groupJid: from, actor: roles.sender, targetJid: user, rule: 'manual', action: 'unban' });
+    const text = lifted
+        ? `✅ ${tag(user)} is no longer banned, they can be added again.`
+        : `ℹ️ ${tag(user)} is not banned here.`;
+    return client.sendMessage(from, { text, mentions: [user] }, { quoted: conText.mek });
+});
+
+keith({
+    ...banSchema,
+    pattern: 'groupbans',
+    aliases: ['gbans'],
+    description: 'Lists the members banned from this group',
+    usage: 'groupbans'
+}, async (from, client, conText) => {
+    const bans = await getBans(from);
+    if (!bans.length) return conText.reply('✅ Nobody is banned from this group.');
+
+    const lines = bans.map(ban => {
+        const by = ban.bannedBy === 'system' ? 'ladder' : tag(ban.bannedBy);
+        return `▸ ${tag(ban.userJid)} by ${by}${ban.reason ? `: ${ban.reason}` : ''}`;
+    });
+    const mentions = [...new Set(bans.flatMap(ban => [ban.userJid, ban.bannedBy]).filter(jid => jid !== 'system'))];
+    return client.sendMessage(from, { text: `*⛔ GROUP BANS*\n\n${lines.join('\n')}`, mentions }, { quoted: conText.mek });
+});
@@ -0,0 +1,86 @@
+const { keith, commands, findCommand } = require('../commandHandler');
+const {
+    getDisabledEntries,
+    disableCommand,
+    enableCommand,
+    disableCategory,
+    enableCategory
+} = require('../database/groupcommands');
+
+// Resolves what the admin typed to a command name or a category, commands win unless --category is given
+function resolveTarget(name, forceCategory) {
+    const cmd = forceCategory ? null : findCommand(name);
+    if (cmd) return { type: 'command', name: cmd.pattern };
+
+    const category = commands.find(c => c.category.toLowerCase() === name.toLowerCase());
+    if (category) return { type: 'category', name: category.category };
+    return null;
+}
+
+const toggleSchema = {
+    category: 'Group',
+    permission: ['group-only', 'group-admin'],
+    alwaysEnabled: true,
+    args: [{ name: 'target', required: true }],
+    flags: { category: { type: 'boolean', alias: 'c' } }
+};
+
+keith({
+    ...toggleSchema,
+    pattern: 'disable',
+    aliases: ['disablecmd'],
+    description: 'Turns off a command or a whole category in this group',
+    examples: ['disable ytmp3', 'disable games --category']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs, groupMetadata, t } = conText;
+    const target = resolveTarget(parsedArgs.target, parsedArgs.category);
+    if (!target) return reply(t('groupcmd.notFound', { name: parsedArgs.target }));
+
+    const protectedCmd = target.type === 'command' && findCommand(target.name).alwaysEnabled;
+    if (protectedCmd) return reply(t('groupcmd.protected', { name: target.name }));
+
+    const save = target.type === 'category' ? disableCategory : disableCommand;
+    if (!await save(from, target.name, groupMetadata?.subject)) return reply(t('common.saveFailed'));
+    return reply(t(target.type === 'category' ? 'groupcmd.categoryDisabled' : 'groupcmd.commandDisabled', { name: target.name }));
+});
+
+keith({
+    ...toggleSchema,
+    pattern: 'enable',
+    aliases: ['enablecmd'],
+    description: 'Turns a disabled command or category back on in this group',
+    examples: ['enable ytmp3', 'enable games --category']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs, t } = conText;
+    const target = resolveTarget(parsedArgs.target, parsedArgs.category);
+    if (!target) return reply(t('groupcmd.notFound', { name: parsedArgs.target }));
+
+    const save = target.type === 'category' ? enableCategory : enableCommand;
+    if (!await save(from, target.name)) return reply(t('common.saveFailed'));
+    return reply(t(target.type === 'category' ? 'groupcmd.categoryEnabled' : 'groupcmd.commandEnabled', { name: target.name }));
+});
+
+keith({
+    pattern: 'disabled',
+    aliases: ['disabledcmds'],
+    category: 'Group',
+    description: 'Lists the commands and categories turned off in this group',
+    permission: 'group-only',
+    alwaysEnabled: true
+}, async (from, client, conText) => {
+    const { reply, t } = conText;
+    const disabled = await getDisabledEntries(from);
+
+    if (!disabled.commands.size && !disabled.categories.size) {
+        return reply(t('groupcmd.allEnabled'));
+    }
+
+    let text = `${t('groupcmd.title')}\n`;
+    if (disabled.categories.size) {
+        text += `\n${t('groupcmd.categories')}\n${[...disabled.categories].map(name => `▸ ${name}`).join('\n')}\n`;
+    }
+    if (disabled.commands.size) {
+        text += `\n${t('groupcmd.commands')}\n${[...disabled.commands].map(name => `▸ ${name}`).join('\n')}`;
+    }
+    return reply(text.trim());
+});
@@ -0,0 +1,82 @@
+const { keith, commands, findCommand } = require('../commandHandler');
+const { botPrefix, botBotname } = require('../settings');
+
+// Commands that show up in the menu, skipping hidden ones and ones shadowed by an earlier registration
+function listedCommands() {
+    return commands.filter(cmd => !cmd.dontAddCommandList && findCommand(cmd.pattern) === cmd);
+}
+
+function groupByCategory(list) {
+    const categories = {};
+    for (const cmd of list) {
+        const category = cmd.category.toUpperCase();
+        if (!categories[category]) categories[category] = [];
+        categories[category].push(cmd);
+    }
+    return categories;
+}
+
+function renderCategory(category, list, prefix) {
+    let text = `╭───「 *${category}* 」\n`;
+    for (const cmd of list.sort((a, b) => a.pattern.localeCompare(b.pattern))) {
+        text += `│ ▸ ${prefix}${cmd.pattern}\n`;
+    }
+    text += '╰──────────';
+    return text;
+}
+
+function renderMenu(prefix) {
+    const categories = groupByCategory(listedCommands());
+    const names = Object.keys(categories).sort();
+
+    let text = `*${botBotname} COMMANDS*\n`;
+    text += `Total: ${listedCommands().length}\n\n`;
+    text += names.map(name => renderCategory(name, categories[name], prefix)).join('\n\n');
+    text += `\n\nType *${prefix}help <command>* for details.`;
+    return text;
+}
+
+function renderCommand(cmd, prefix) {
+    let text = `*Command:* ${prefix}${cmd.pattern}\n`;
+    if (cmd.aliases.length) text += `*Aliases:* ${cmd.aliases.join(', ')}\n`;
+    text += `*Category:* ${cmd.category}\n`;
+    if (cmd.permission) text += `*Access:* ${[].concat(cmd.permission).join(', ')}\n`;
+    if (cmd.description) text += `*Description:* ${cmd.description}\n`;
+    text += `*Usage:* ${prefix}${cmd.usage || cmd.pattern}\n`;
+    if (cmd.examples.length) {
+        text += `*Examples:*\n${cmd.examples.map(example => `  ${prefix}${example}`).join('\n')}`;
+    }
+    return text.trim();
+}
+
+keith({
+    pattern: 'help',
+    aliases: ['menu', 'commands'],
+    category: 'General',
+    description: 'Shows all commands, one category or the details of a single command',
+    usage: 'help [command|category]',
+    examples: ['help', 'help ping', 'help group']
+}, async (from, client, conText) => {
+    const { mek, q } = conText;
+    const prefix = conText.prefix || botPrefix;
+    const query = (q || '').trim();
+
+    let text;
+    if (!query) {
+        text = renderMenu(prefix);
+    } else {
+        const cmd = findCommand(query.startsWith(prefix) ? query.slice(prefix.length) : query);
+        const categories = groupByCategory(listedCommands());
+        const category = query.toUpperCase();
+
+        if (cmd) {
+            text = renderCommand(cmd, prefix);
+        } else if (categories[category]) {
+            text = renderCategory(category, categories[category], prefix);
+        } else {
+            text = `❌ No command or category named *${query}*.\nType *${prefix}help* to see everything.`;
+        }
+    }
+
+    await client.sendMessage(from, { text }, { quoted: mek });
+});
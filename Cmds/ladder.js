@@ -0,0 +1,39 @@
+const { keith } = require('../commandHandler');
+const { getLadder, setLadder } = require('../database/warn');
+const { MAX_STEPS, getActionNames, parseLadder, formatLadder } = require('../lib/moderation');
+
+keith({
+    pattern: 'ladder',
+    aliases: ['escalation'],
+    category: 'Group',
+    description: 'Sets the steps members go through as they collect strikes from warns and the anti-* filters',
+    permission: ['group-only', 'group-admin'],
+    args: [
+        { name: 'action', choices: ['show', 'set', 'off'], default: 'show' },
+        { name: 'steps', rest: true }
+    ],
+    usage: 'ladder [show] | ladder set <step, step, ...> | ladder off',
+    examples: ['ladder', 'ladder set delete, warn, mute 10m, kick, ban', 'ladder off']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs, groupMetadata, t } = conText;
+
+    if (parsedArgs.action === 'set') {
+        if (!parsedArgs.steps) return reply(t('ladder.missingSteps', { actions: getActionNames().join(', ') }));
+        const parsed = parseLadder(parsedArgs.steps);
+        if (!parsed.success) return reply(t('ladder.invalid', { message: parsed.message }));
+        if (!await setLadder(from, parsed.steps, groupMetadata?.subject)) return reply(t('ladder.saveFailed'));
+        return reply(t('ladder.saved', { ladder: formatLadder(parsed.steps) }));
+    }
+
+    if (parsedArgs.action === 'off') {
+        if (!await setLadder(from, null)) return reply(t('common.saveFailed'));
+        return reply(t('ladder.off'));
+    }
+
+    const steps = await getLadder(from);
+    if (!steps) {
+        return reply(t('ladder.none', { max: MAX_STEPS, actions: getActionNames().join(', ') }));
+    }
+    const lines = steps.map((step, i) => `${i + 1}. ${formatLadder([step])}`);
+    return reply(`${t('ladder.title')}\n\n${lines.join('\n')}\n\n${t('ladder.footer')}`);
+});
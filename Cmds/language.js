@@ -0,0 +1,77 @@
+const { keith } = require('../commandHandler');
+const { resolveRoles } = require('../lib/permissions');
+const { getLanguage, setLanguage, clearLanguage } = require('../database/language');
+const { getAvailableLanguages, normalizeLanguage, isSupportedLanguage, getTranslator } = require('../lib/i18n');
+const { botLanguage } = require('../settings');
+
+function languageName(code) {
+    const found = getAvailableLanguages().find(language => language.code === normalizeLanguage(code).split('-')[0]);
+    return found ? `${found.name} (${code})` : code;
+}
+
+keith({
+    pattern: 'lang',
+    aliases: ['language', 'lugha'],
+    category: 'Settings',
+    description: 'Chooses the language the bot replies in, for you or for the whole chat',
+    usage: 'lang | lang list | lang set <code> | lang chat <code> | lang reset [--chat]',
+    examples: ['lang', 'lang list', 'lang set sw', 'lang chat en', 'lang reset'],
+    alwaysEnabled: true
+}, async (from, client, conText) => {
+    const { reply } = conText;
+    const prefix = conText.prefix || '';
+    const [action = '', value = ''] = (conText.q || '').trim().split(/\s+/).filter(Boolean);
+    const roles = await resolveRoles(client, from, conText);
+    let t = conText.t;
+
+    switch (action.toLowerCase()) {
+        case '': {
+            const [userLanguage, chatLanguage] = await Promise.all([
+                getLanguage(roles.sender, 'user'),
+                getLanguage(from, 'chat')
+            ]);
+            return reply(t('language.current', {
+                user: userLanguage ? languageName(userLanguage) : t('language.notSet'),
+                chat: chatLanguage ? languageName(chatLanguage) : t('language.notSet'),
+                default: languageName(botLanguage)
+            }));
+        }
+
+        case 'list': {
+            const list = getAvailableLanguages().map(language => `▸ *${language.code}*: ${language.name}`).join('\n');
+            return reply(t('language.list', { list }));
+        }
+
+        case 'set':
+        case 'chat': {
+            const code = normalizeLanguage(value);
+            if (!isSupportedLanguage(code)) return reply(t('language.unknown', { code: value || '?', prefix }));
+
+            const forChat = action.toLowerCase() === 'chat';
+            // A group's language affects everyone, private chats belong to the sender
+            if (forChat && roles.isGroup && !roles.isAdmin && !roles.isSudo) return reply(t('permission.group-admin'));
+
+            const saved = forChat
+                ? await setLanguage(from, 'chat', code)
+                : await setLanguage(roles.sender, 'user', code);
+            if (!saved) return reply(t('language.saveFailed'));
+
+            t = await getTranslator(from, roles.sender);
+            return reply(t(forChat ? 'language.chatSet' : 'language.userSet', { name: languageName(code) }));
+        }
+
+        case 'reset': {
+            const forChat = /^--?chat$/i.test(value);
+            if (forChat && roles.isGroup && !roles.isAdmin && !roles.isSudo) return reply(t('permission.group-admin'));
+
+            const cleared = forChat ? await clearLanguage(from, 'chat') : await clearLanguage(roles.sender, 'user');
+            if (!cleared) return reply(t('language.saveFailed'));
+
+            t = await getTranslator(from, roles.sender);
+            return reply(t(forChat ? 'language.chatReset' : 'language.userReset'));
+        }
+
+        default:
+            return reply(t('language.unknown', { code: action, prefix }));
+    }
+});
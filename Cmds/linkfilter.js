@@ -0,0 +1,92 @@
+const { keith } = require('../commandHandler');
+const { resolveRoles } = require('../lib/permissions');
+const {
+    getAntiLinkSettings,
+    updateAntiLinkSettings,
+    addLinkDomain,
+    removeLinkDomain,
+    getLinkDomains,
+    clearLinkDomains,
+    checkLinks
+} = require('../database/antilink');
+
+// Described under linkfilter.modes.* and linkfilter.reasons.* in locales/
+const modes = ['all', 'blocklist', 'invites'];
+
+function formatList(domains, t) {
+    return domains.length ? domains.map(domain => `▸ ${domain}`).join('\n') : t('linkfilter.empty');
+}
+
+keith({
+    pattern: 'linkfilter',
+    aliases: ['antilinklist', 'linkdomains'],
+    category: 'Group',
+    description: 'Manages which domains antilink allows or blocks, and whether it catches every link or only invites',
+    permission: ['group-only', 'group-admin'],
+    args: [
+        { name: 'action', choices: ['show', 'mode', 'allow', 'block', 'remove', 'clear', 'test'], default: 'show' },
+        { name: 'value', rest: true }
+    ],
+    usage: 'linkfilter [show] | linkfilter mode <all|blocklist|invites> | linkfilter allow|block|remove <domain...> | linkfilter clear [allow|block] | linkfilter test <text>',
+    examples: ['linkfilter', 'linkfilter allow *.youtube.com github.com', 'linkfilter block *.xyz-casino.com', 'linkfilter mode invites', 'linkfilter test join bit.ly/abc']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs, t } = conText;
+    const { action, value } = parsedArgs;
+    const settings = await getAntiLinkSettings(from);
+    if (!settings) return reply(t('linkfilter.loadFailed'));
+
+    if (action === 'mode') {
+        if (!modes.includes(value)) return reply(t('linkfilter.pickMode', { modes: modes.map(mode => `*${mode}* (${t(`linkfilter.modes.${mode}`)})`).join(', ') }));
+        if (!await updateAntiLinkSettings(from, { mode: value })) return reply(t('common.saveFailed'));
+        return reply(t('linkfilter.modeSaved', { mode: t(`linkfilter.modes.${value}`) }));
+    }
+
+    if (action === 'allow' || action === 'block' || action === 'remove') {
+        const domains = (value || '').split(/[\s,]+/).filter(Boolean);
+        if (!domains.length) return reply(t('linkfilter.needDomain', { action }));
+
+        const roles = await resolveRoles(client, from, conText);
+        const lines = [];
+        for (const domain of domains) {
+            if (action === 'remove') {
+                lines.push(t(await removeLinkDomain(from, domain) ? 'linkfilter.removed' : 'linkfilter.notListed', { domain }));
+                continue;
+            }
+            const result = await addLinkDomain(from, domain, action, roles.sender);
+            if (result.success) lines.push(t(result.moved ? 'linkfilter.moved' : 'linkfilter.added', { domain: result.domain, list: action }));
+            else lines.push(t('linkfilter.failed', { domain, message: result.message }));
+        }
+        return reply(lines.join('\n'));
+    }
+
+    if (action === 'clear') {
+        if (value && value !== 'allow' && value !== 'block') return reply(t('linkfilter.clearWhich'));
+        await clearLinkDomains(from, value);
+        return reply(value ? t('linkfilter.cleared', { list: value }) : t('linkfilter.clearedBoth'));
+    }
+
+    const lists = await getLinkDomains(from);
+    if (action === 'test') {
+        if (!value) return reply(t('linkfilter.needText'));
+        const result = checkLinks(value, { mode: settings.mode, ...lists });
+        if (!result) return reply(t('linkfilter.passes'));
+        const { link, reason } = result;
+        const caught = t(link.obfuscated ? 'linkfilter.caughtDisguised' : 'linkfilter.caught', { domain: link.domain, reason: t(`linkfilter.reasons.${reason}`) });
+        return reply(settings.status === 'on' ? caught : `${caught}\n${t('linkfilter.currentlyOff')}`);
+    }
+
+    return reply([
+        t('linkfilter.title'),
+        '',
+        t('linkfilter.status', { status: settings.status, action: settings.action }),
+        t('linkfilter.mode', { mode: settings.mode, description: t(`linkfilter.modes.${settings.mode}`) }),
+        '',
+        t('linkfilter.allowed'),
+        formatList(lists.allow, t),
+        '',
+        t('linkfilter.blocked'),
+        formatList(lists.block, t),
+        '',
+        t('linkfilter.footer')
+    ].join('\n'));
+});
@@ -0,0 +1,99 @@
+const { keith, findCommand, runMacro } = require('../commandHandler');
+const { resolveRoles } = require('../lib/permissions');
+const { MAX_MACRO_STEPS, parseSteps, getCalledNames } = require('../lib/macros');
+const { getChatPrefixes } = require('../lib/prefix');
+const { saveMacro, deleteMacro, findMacro, getMacros } = require('../database/macros');
+
+function formatMacro(macro) {
+    return `▸ *${macro.name}*: ${macro.steps.join(' ; ')}`;
+}
+
+keith({
+    pattern: 'macro',
+    aliases: ['macros'],
+    category: 'Utility',
+    description: 'Saves a name that runs several commands in a row, type it like a command (.raid) or use macro run. Steps are separated by ";", $1..$9 and $* insert the arguments given when running it',
+    usage: 'macro add <name> <step; step...> [--user] | macro del <name> [--user] | macro list | macro show <name> | macro run <name> [args]',
+    examples: [
+        'macro add raid tagall $*; lockgroup; say Read the rules',
+        'macro add hi say Hello $1 --user',
+        'macro run raid Meeting now',
+        'raid Meeting now',
+        'macro list'
+    ]
+}, async (from, client, conText) => {
+    const { reply, t } = conText;
+    const prefix = conText.prefix || '';
+
+    let text = (conText.q || '').trim();
+    const personal = /(^|\s)--user(\s|$)/.test(text);
+    text = text.replace(/(^|\s)--user(?=\s|$)/, ' ').trim();
+
+    const [action = 'list', rawName = '', ...rest] = text.split(/\s+/);
+    const name = rawName.toLowerCase();
+    const body = rest.join(' ');
+
+    const roles = await resolveRoles(client, from, conText);
+    const scope = personal ? 'user' : 'chat';
+    const ownerJid = personal ? roles.sender : from;
+
+    // Chat macros in a group are shared, so only admins may change them
+    const canEditChat = !roles.isGroup || roles.isAdmin || roles.isSudo;
+
+    switch (action.toLowerCase()) {
+        case 'add':
+        case 'set': {
+            if (!name || !body) return reply(t('macro.usageAdd', { prefix }));
+            if (!/^[a-z0-9_-]+$/.test(name)) return reply(t('macro.badName'));
+            if (findCommand(name)) return reply(t('macro.isCommand', { name }));
+            if (!personal && !canEditChat) return reply(t('macro.groupAdminsOnly'));
+
+            const steps = parseSteps(body, await getChatPrefixes(from));
+            if (!steps.length) return reply(t('macro.noSteps'));
+            if (steps.length > MAX_MACRO_STEPS) return reply(t('macro.tooManySteps', { max: MAX_MACRO_STEPS }));
+            if (getCalledNames(steps).includes(name)) return reply(t('macro.callsItself', { name }));
+
+            const result = await saveMacro(name, scope, ownerJid, steps, roles.sender);
+            if (!result.success) return reply(t('macro.saveFailed'));
+            return reply(t(result.created ? 'macro.saved' : 'macro.updated', {
+                name,
+                scope: t(scope === 'user' ? 'macro.scopeUser' : 'macro.scopeChat'),
+                steps: steps.map((step, i) => `${i + 1}. ${step}`).join('\n')
+            }));
+        }
+
+        case 'del':
+        case 'delete':
+        case 'remove': {
+            if (!name) return reply(t('macro.usageDel', { prefix }));
+            if (!personal && !canEditChat) return reply(t('macro.deleteAdminsOnly'));
+            const deleted = await deleteMacro(name, scope, ownerJid);
+            return reply(t(deleted ? 'macro.deleted' : scope === 'user' ? 'macro.noUserMacro' : 'macro.noChatMacro', { name }));
+        }
+
+        case 'show': {
+            const macro = await findMacro(name, from, roles.sender);
+            if (!macro) return reply(t('macro.notFound', { name }));
+            return reply(formatMacro(macro));
+        }
+
+        case 'run': {
+            const macro = await findMacro(name, from, roles.sender);
+            if (!macro) return reply(t('macro.notFound', { name }));
+            return runMacro(macro, from, client, { ...conText, q: body, parsedArgs: undefined }, conText.macroStack);
+        }
+
+        case 'list': {
+            const macros = await getMacros(from, roles.sender);
+            if (!macros.chat.length && !macros.user.length) return reply(t('macro.none'));
+
+            let list = `${t('macro.title')}\n`;
+            if (macros.chat.length) list += `\n${t('macro.chatList')}\n${macros.chat.map(formatMacro).join('\n')}\n`;
+            if (macros.user.length) list += `\n${t('macro.userList')}\n${macros.user.map(formatMacro).join('\n')}`;
+            return reply(list.trim());
+        }
+
+        default:
+            return reply(t('macro.unknownAction', { action, prefix }));
+    }
+});
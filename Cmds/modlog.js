@@ -0,0 +1,97 @@
+const { keith } = require('../commandHandler');
+const { resolveRoles } = require('../lib/permissions');
+const { BOT_ACTOR, queryModerationActions } = require('../database/modlog');
+
+const DAY = 24 * 60 * 60 * 1000;
+const CSV_COLUMNS = ['time', 'group', 'actor', 'target', 'rule', 'action', 'excerpt', 'reason'];
+
+const tag = jid => `@${String(jid).split('@')[0]}`;
+
+function formatTime(date) {
+    return new Date(date).toISOString().replace('T', ' ').slice(0, 16);
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    const lines = rows.map(row => [
+        new Date(row.createdAt).toISOString(),
+        row.groupJid,
+        row.actor,
+        row.targetJid,
+        row.rule,
+        row.action,
+        row.excerpt,
+        row.reason
+    ].map(csvCell).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+function formatEntry(row, mentions) {
+    const actor = row.actor === BOT_ACTOR ? 'bot' : tag(row.actor);
+    if (row.actor !== BOT_ACTOR) mentions.add(row.actor);
+    if (row.targetJid) mentions.add(row.targetJid);
+
+    let line = `▸ ${formatTime(row.createdAt)} *${row.action}*${row.targetJid ? ` ${tag(row.targetJid)}` : ''} by ${actor} · ${row.rule}`;
+    if (row.reason) line += ` · ${row.reason}`;
+    if (row.excerpt) line += `\n   “${row.excerpt.length > 60 ? `${row.excerpt.slice(0, 59)}…` : row.excerpt}”`;
+    return line;
+}
+
+keith({
+    pattern: 'modlog',
+    aliases: ['auditlog', 'modactions'],
+    category: 'Group',
+    description: 'Shows what the bot and admins did to members here, filtered by user, rule or time, or exports it as CSV',
+    permission: ['group-only', 'group-admin'],
+    args: [{ name: 'user', type: 'mention' }],
+    flags: {
+        rule: { type: 'string', alias: 'r' },
+        action: { type: 'string' },
+        since: { type: 'duration', alias: 's' },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        limit: { type: 'number', default: 15 },
+        csv: { type: 'boolean' }
+    },
+    usage: 'modlog [@user] [--rule link] [--action kick] [--since 7d | --from 2026-01-01 --to 2026-01-31] [--limit n] [--csv]',
+    examples: ['modlog', 'modlog @254712345678', 'modlog --rule spam --since 24h', 'modlog --from 2026-10-01 --to 2026-10-18 --csv']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs } = conText;
+    const { user, rule, action, since, limit, csv } = parsedArgs;
+
+    if (since && parsedArgs.from) return reply('❌ Use either --since or --from, not both.');
+    if (!csv && (limit < 1 || limit > 50)) return reply('❌ --limit must be between 1 and 50.');
+    const filters = {
+        targetJid: user,
+        rule: rule?.toLowerCase(),
+        action: action?.toLowerCase(),
+        since: since ? new Date(Date.now() - since) : parsedArgs.from,
+        until: parsedArgs.to ? new Date(parsedArgs.to.getTime() + DAY) : undefined // --to includes that day
+    };
+    if (filters.since && filters.until && filters.since >= filters.until) return reply('❌ --from must be before --to.');
+
+    const { rows, total } = await queryModerationActions(from, { ...filters, limit: csv ? 0 : limit });
+    if (!rows.length) return reply('📭 No moderation actions match.');
+
+    if (csv) {
+        const roles = await resolveRoles(client, from, conText);
+        const fileName = `modlog-${from.split('@')[0]}-${new Date().toISOString().slice(0, 10)}.csv`;
+        await client.sendMessage(roles.sender, {
+            document: Buffer.from(toCsv(rows)),
+            mimetype: 'text/csv',
+            fileName,
+            caption: `📋 ${total} moderation actions from *${conText.groupMetadata?.subject || from}*`
+        });
+        return reply('📋 CSV sent to your private chat.');
+    }
+
+    const mentions = new Set();
+    const lines = rows.map(row => formatEntry(row, mentions));
+    let text = `*📋 MODERATION LOG*${user ? ` · ${tag(user)}` : ''}\n\n${lines.join('\n')}`;
+    if (total > rows.length) text += `\n\nShowing ${rows.length} of ${total}, narrow it down or use --csv.`;
+    return client.sendMessage(from, { text, mentions: [...mentions] }, { quoted: conText.mek });
+});
@@ -0,0 +1,76 @@
+const { keith } = require('../commandHandler');
+const { resolveRoles, findParticipant } = require('../lib/permissions');
+const { addMute, removeMute, getActiveMutes } = require('../database/mutes');
+const { logModerationAction } = require('../database/modlog');
+const { MAX_MUTE, formatDuration } = require('../lib/moderation');
+
+const tag = jid => `@${String(jid).split('@')[0]}`;
+
+keith({
+    pattern: 'mute',
+    aliases: ['silence'],
+    category: 'Group',
+    description: 'Mutes one member for a while, the bot deletes everything they send until it runs out',
+    permission: ['group-only', 'group-admin', 'bot-admin-required'],
+    args: [
+        { name: 'user', type: 'mention', required: true },
+        { name: 'duration', type: 'duration', required: true },
+        { name: 'reason', rest: true }
+    ],
+    usage: 'mute @user <duration> [reason]',
+    examples: ['mute @254712345678 30m', 'mute @254712345678 2h flooding the chat']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs, groupMetadata, t } = conText;
+    const roles = await resolveRoles(client, from, conText);
+    const { user, duration, reason } = parsedArgs;
+
+    if (!(duration >= 1000)) return reply(t('moderation.muteTooShort'));
+    if (duration > MAX_MUTE) return reply(t('moderation.muteTooLong', { max: formatDuration(MAX_MUTE) }));
+    if (findParticipant(groupMetadata, user)?.admin) return reply(t('moderation.muteAdmin'));
+    if (user.split('@')[0] === String(client.user?.id).split(/[:@]/)[0]) return reply(t('moderation.muteSelf'));
+
+    if (!await addMute(from, user, duration, roles.sender, reason || null)) return reply(t('moderation.muteFailed'));
+    await logModerationAction({ groupJid: from, actor: roles.sender, targetJid: user, rule: 'manual', action: 'mute', reason: `${formatDuration(duration)}${reason ? `: ${reason}` : ''}` });
+    const until = new Date(Date.now() + duration).toISOString().replace('T', ' ').slice(0, 16);
+    const text = t(reason ? 'moderation.mutedUntilReason' : 'moderation.mutedUntil', { user: tag(user), duration: formatDuration(duration), until, reason });
+    return client.sendMessage(from, { text, mentions: [user] }, { quoted: conText.mek });
+});
+
+keith({
+    pattern: 'unmute',
+    aliases: ['unsilence'],
+    category: 'Group',
+    description: 'Lifts a member mute before it runs out',
+    permission: ['group-only', 'group-admin'],
+    args: [{ name: 'user', type: 'mention', required: true }],
+    usage: 'unmute @user',
+    examples: ['unmute @254712345678']
+}, async (from, client, conText) => {
+    const { parsedArgs: { user }, t } = conText;
+    const roles = await resolveRoles(client, from, conText);
+    const lifted = await removeMute(from, user);
+    if (lifted) await logModerationAction({ groupJid: from, actor: roles.sender, targetJid: user, rule: 'manual', action: 'unmute' });
+    const text = t(lifted ? 'moderation.unmutedManual' : 'moderation.notMuted', { user: tag(user) });
+    return client.sendMessage(from, { text, mentions: [user] }, { quoted: conText.mek });
+});
+
+keith({
+    pattern: 'mutes',
+    aliases: ['mutelist'],
+    category: 'Group',
+    description: 'Lists the members muted in this group and when each mute ends',
+    permission: ['group-only', 'group-admin'],
+    usage: 'mutes'
+}, async (from, client, conText) => {
+    const { t } = conText;
+    const mutes = await getActiveMutes(from);
+    if (!mutes.length) return conText.reply(t('moderation.noMutes'));
+
+    const lines = mutes.map(mute => {
+        const left = formatDuration(Math.max(new Date(mute.expiresAt).getTime() - Date.now(), 1000));
+        const by = mute.mutedBy === 'system' ? t('moderation.byFilter') : tag(mute.mutedBy);
+        return t(mute.reason ? 'moderation.muteEntryReason' : 'moderation.muteEntry', { user: tag(mute.userJid), left, by, reason: mute.reason });
+    });
+    const mentions = [...new Set(mutes.flatMap(mute => [mute.userJid, mute.mutedBy]).filter(jid => jid !== 'system'))];
+    return client.sendMessage(from, { text: `${t('moderation.mutesTitle')}\n\n${lines.join('\n')}`, mentions }, { quoted: conText.mek });
+});
@@ -0,0 +1,91 @@
+const { keith } = require('../commandHandler');
+const { resolveRoles } = require('../lib/permissions');
+const { updateSettings } = require('../database/settings');
+const { getGroupPrefixes, setGroupPrefixes, clearGroupPrefixes } = require('../database/groupprefix');
+const {
+    MAX_PREFIX_LENGTH,
+    normalizePrefixes,
+    isValidPrefix,
+    getPrefixSettings,
+    invalidatePrefixCache
+} = require('../lib/prefix');
+
+const formatList = list => list.map(prefix => `\`${prefix}\``).join(' ');
+
+function checkPrefixes(list) {
+    const prefixes = normalizePrefixes(list);
+    if (!prefixes.length) return { error: '❌ Give at least one prefix.' };
+    const invalid = prefixes.find(prefix => !isValidPrefix(prefix));
+    if (invalid) return { error: `❌ *${invalid}* is not a valid prefix, use up to ${MAX_PREFIX_LENGTH} characters without spaces.` };
+    return { prefixes };
+}
+
+keith({
+    pattern: 'prefix',
+    aliases: ['setprefix', 'prefixes'],
+    category: 'Settings',
+    description: 'Shows or changes the command prefixes, per group overrides, prefixless private chats and @mention prefix',
+    usage: 'prefix | prefix set <p...> | prefix group <p...>|reset | prefix private on|off | prefix mention on|off',
+    examples: ['prefix', 'prefix set . !', 'prefix group #', 'prefix group reset', 'prefix private on', 'prefix mention off'],
+    alwaysEnabled: true
+}, async (from, client, conText) => {
+    const { reply, groupMetadata, t } = conText;
+    const [action = '', ...values] = (conText.q || '').trim().split(/\s+/).filter(Boolean);
+    const roles = await resolveRoles(client, from, conText);
+
+    switch (action.toLowerCase()) {
+        case '': {
+            const settings = await getPrefixSettings();
+            const groupPrefixes = roles.isGroup ? await getGroupPrefixes(from) : null;
+            let text = '*🔣 PREFIXES*\n\n';
+            text += `▸ *Global:* ${formatList(settings.prefixes)}\n`;
+            if (roles.isGroup) text += `▸ *This group:* ${groupPrefixes ? formatList(groupPrefixes) : 'uses the global prefixes'}\n`;
+            text += `▸ *Prefixless in private chat:* ${settings.prefixlessPrivate ? 'on' : 'off'}\n`;
+            text += `▸ *@mention as prefix:* ${settings.mentionPrefix ? 'on' : 'off'}`;
+            return reply(text);
+        }
+
+        case 'set': {
+            if (!roles.isOwner) return reply(t('permission.owner'));
+            const { prefixes, error } = checkPrefixes(values);
+            if (error) return reply(error);
+
+            const [prefix, ...extra] = prefixes;
+            if (!await updateSettings({ prefix, prefixes: extra })) return reply('❌ Could not save the prefixes, try again.');
+            invalidatePrefixCache();
+            return reply(`✅ Global prefixes set to ${formatList(prefixes)}`);
+        }
+
+        case 'group': {
+            if (!roles.isGroup) return reply(t('permission.group-only'));
+            if (!roles.isAdmin && !roles.isSudo) return reply(t('permission.group-admin'));
+
+            if (/^(reset|off|clear)$/i.test(values[0] || '')) {
+                if (!await clearGroupPrefixes(from)) return reply('❌ Could not reset the prefixes, try again.');
+                return reply('✅ This group uses the global prefixes again.');
+            }
+
+            const { prefixes, error } = checkPrefixes(values);
+            if (error) return reply(error);
+            if (!await setGroupPrefixes(from, prefixes, groupMetadata?.subject)) return reply('❌ Could not save the prefixes, try again.');
+            return reply(`✅ Prefixes in this group set to ${formatList(prefixes)}`);
+        }
+
+        case 'private':
+        case 'mention': {
+            if (!roles.isOwner) return reply(t('permission.owner'));
+            const state = (values[0] || '').toLowerCase();
+            if (!['on', 'off'].includes(state)) return reply(`❌ Usage: ${conText.prefix || ''}prefix ${action.toLowerCase()} on|off`);
+
+            const field = action.toLowerCase() === 'private' ? 'prefixlessPrivate' : 'mentionPrefix';
+            if (!await updateSettings({ [field]: state === 'on' })) return reply('❌ Could not save the setting, try again.');
+            invalidatePrefixCache();
+            return reply(field === 'prefixlessPrivate'
+                ? `✅ Commands without a prefix in private chat are now *${state}*.`
+                : `✅ @mention as prefix is now *${state}*.`);
+        }
+
+        default:
+            return reply(`❌ Unknown action *${action}*. Type ${conText.prefix || ''}help prefix.`);
+    }
+});
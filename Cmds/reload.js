@@ -0,0 +1,62 @@
+const { keith } = require('../commandHandler');
+const { defaultText } = require('../lib/i18n');
+const {
+    getPluginDirs,
+    discoverPluginFiles,
+    isReloadable,
+    reloadPluginFile,
+    findPluginFile,
+    formatReloadResult,
+    startPluginWatcher,
+    stopPluginWatcher,
+    isWatching
+} = require('../lib/pluginLoader');
+
+keith({
+    pattern: 'reload',
+    aliases: ['hotreload'],
+    category: 'Owner',
+    description: 'Reloads command files without restarting, or toggles the file watcher',
+    permission: 'owner',
+    args: [
+        { name: 'file' },
+        { name: 'state', type: 'boolean' }
+    ],
+    usage: 'reload [file] | reload watch on/off',
+    examples: ['reload', 'reload help.js', 'reload watch on']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs } = conText;
+    const t = conText.t || defaultText;
+    const send = reply || (text => client.sendMessage(from, { text }, { quoted: conText.mek }));
+    const { file, state } = parsedArgs;
+
+    if (file === 'watch') {
+        if (state === undefined) {
+            return send(t('reload.watchStatus', { state: t(isWatching() ? 'common.on' : 'common.off') }));
+        }
+        if (state) {
+            startPluginWatcher();
+            return send(t('reload.watchOn'));
+        }
+        stopPluginWatcher();
+        return send(t('reload.watchOff'));
+    }
+
+    if (file) {
+        const target = findPluginFile(file);
+        if (!target) return send(t('reload.noFile', { name: file }));
+        return send(formatReloadResult(reloadPluginFile(target)));
+    }
+
+    const results = getPluginDirs()
+        .flatMap(dir => discoverPluginFiles(dir))
+        .filter(isReloadable)
+        .map(target => reloadPluginFile(target));
+    const failed = results.filter(result => !result.loaded);
+
+    let text = t('reload.reloadedAll', { loaded: results.length - failed.length, total: results.length });
+    if (failed.length) {
+        text += '\n\n' + failed.map(formatReloadResult).join('\n\n');
+    }
+    return send(text);
+});
@@ -0,0 +1,106 @@
+const { keith } = require('../commandHandler');
+const { runWizard } = require('../lib/conversations');
+const { getGroupEventsSettings, updateGroupEventsSettings } = require('../database/groupevents');
+const { getAntiSpamSettings, updateAntiSpamSettings } = require('../database/antispam');
+
+const between = (t, min, max) => value => (value >= min && value <= max) || t('setup.between', { min, max });
+const onOff = value => (value ? 'on' : 'off');
+const yesNo = (t, value) => t(value ? 'common.yes' : 'common.no');
+
+// Each wizard asks its questions, shows a summary and only saves after the admin confirms.
+// Their texts live under setup.<name>.* in locales/.
+const wizards = {
+    welcome: {
+        async run(convo, from, groupName, t) {
+            const current = await getGroupEventsSettings(from);
+            if (!current) return t('setup.welcome.loadFailed');
+
+            const enabled = await convo.confirm(t('setup.welcome.enable', { current: t(current.enabled ? 'common.on' : 'common.off') }));
+            const updates = { enabled };
+
+            if (enabled) {
+                const validate = text => text.length <= 1000 || t('setup.tooLong');
+                updates.welcomeMessage = await convo.ask(t('setup.welcome.welcomePrompt', { current: current.welcomeMessage }), { optional: true, validate });
+                updates.goodbyeMessage = await convo.ask(t('setup.welcome.goodbyePrompt', { current: current.goodbyeMessage }), { optional: true, validate });
+                updates.showPromotions = await convo.confirm(t('setup.welcome.promotions', { current: t(current.showPromotions ? 'common.on' : 'common.off') }));
+            }
+
+            Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+            const summary = Object.entries(updates)
+                .map(([key, value]) => `▸ *${key}*: ${typeof value === 'boolean' ? t(value ? 'common.on' : 'common.off') : value}`)
+                .join('\n');
+            if (!await convo.confirm(t('setup.save', { summary }))) return t('common.nothingChanged');
+
+            if (groupName) updates.groupName = groupName;
+            if (!await updateGroupEventsSettings(from, updates)) return t('common.saveSettingsFailed');
+            return t('setup.welcome.saved');
+        }
+    },
+
+    antispam: {
+        async run(convo, from, groupName, t) {
+            const current = await getAntiSpamSettings(from);
+            if (!current) return t('setup.antispam.loadFailed');
+
+            const enabled = await convo.confirm(t('setup.antispam.enable', { current: t(`common.${current.status}`) }));
+            const updates = { status: onOff(enabled) };
+
+            if (enabled) {
+                updates.message_limit = await convo.ask(t('setup.antispam.limit', { current: current.message_limit }), {
+                    type: 'number',
+                    optional: true,
+                    validate: between(t, 2, 50)
+                });
+                updates.time_window = await convo.ask(t('setup.antispam.window', { current: current.time_window }), {
+                    type: 'number',
+                    optional: true,
+                    validate: between(t, 1, 300)
+                });
+                updates.action = await convo.ask(t('setup.antispam.action', { current: current.action }), {
+                    choices: ['delete', 'warn', 'remove'],
+                    optional: true
+                });
+                if ((updates.action || current.action) === 'warn') {
+                    updates.warn_limit = await convo.ask(t('setup.antispam.warnLimit', { current: current.warn_limit }), {
+                        type: 'number',
+                        optional: true,
+                        validate: between(t, 1, 10)
+                    });
+                }
+                updates.exempt_admins = await convo.confirm(t('setup.antispam.exemptAdmins', { current: yesNo(t, current.exempt_admins) }));
+            }
+
+            Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+            const summary = Object.entries(updates)
+                .map(([key, value]) => `▸ *${key}*: ${typeof value === 'boolean' ? yesNo(t, value) : value}`)
+                .join('\n');
+            if (!await convo.confirm(t('setup.save', { summary }))) return t('common.nothingChanged');
+
+            if (groupName) updates.groupName = groupName;
+            if (!await updateAntiSpamSettings(from, updates)) return t('common.saveSettingsFailed');
+            return t('setup.antispam.saved');
+        }
+    }
+};
+
+keith({
+    pattern: 'setup',
+    aliases: ['wizard', 'configure'],
+    category: 'Group',
+    description: 'Configures group features step by step, answering one question at a time',
+    permission: ['group-only', 'group-admin'],
+    args: [{ name: 'feature', choices: Object.keys(wizards) }],
+    examples: ['setup welcome', 'setup antispam']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs, groupMetadata, t } = conText;
+    const prefix = conText.prefix || '';
+
+    const wizard = wizards[parsedArgs.feature];
+    if (!wizard) {
+        const list = Object.keys(wizards).map(name => `▸ *${prefix}setup ${name}*: ${t(`setup.${name}.description`)}`).join('\n');
+        return reply(`${t('setup.title')}\n\n${list}`);
+    }
+
+    const result = await runWizard(client, from, conText, convo => wizard.run(convo, from, groupMetadata?.subject, t));
+    if (result) return reply(result);
+});
@@ -0,0 +1,85 @@
+const { keith } = require('../commandHandler');
+const { resolveRoles } = require('../lib/permissions');
+const {
+    STRIKE_SOURCES,
+    getStrikes,
+    getStrikeBreakdown,
+    getGroupStrikes,
+    clearStrikes
+} = require('../database/warn');
+const { logModerationAction } = require('../database/modlog');
+
+const tag = jid => `@${String(jid).split('@')[0]}`;
+
+function formatBreakdown(breakdown) {
+    return Object.entries(breakdown)
+        .sort((a, b) => b[1] - a[1])
+        .map(([source, count]) => `${source} ${count}`)
+        .join(', ');
+}
+
+function formatStrike(strike) {
+    const expires = strike.expiresAt ? `expires ${new Date(strike.expiresAt).toISOString().split('T')[0]}` : 'never expires';
+    return `▸ *${strike.source}*${strike.reason ? `: ${strike.reason}` : ''} (${expires})`;
+}
+
+keith({
+    pattern: 'strikes',
+    aliases: ['strike', 'offences'],
+    category: 'Group',
+    description: 'Shows the strikes a member collected from warns and the anti-* filters, admins can list or clear them',
+    permission: 'group-only',
+    args: [
+        { name: 'user', type: 'mention' },
+        { name: 'source', choices: STRIKE_SOURCES }
+    ],
+    flags: {
+        all: { type: 'boolean', alias: 'a' },
+        clear: { type: 'boolean' }
+    },
+    usage: 'strikes [@user] [source] [--clear] | strikes --all [source]',
+    examples: ['strikes', 'strikes @254712345678', 'strikes @254712345678 link --clear', 'strikes --all spam']
+}, async (from, client, conText) => {
+    const { reply, parsedArgs, t } = conText;
+    const roles = await resolveRoles(client, from, conText);
+    const isModerator = roles.isAdmin || roles.isSudo;
+    const { source } = parsedArgs;
+    const mentions = [];
+
+    if (parsedArgs.all) {
+        if (!isModerator) return reply(t('permission.group-admin'));
+        const users = Object.entries(getGroupStrikes(from, source));
+        if (!users.length) return reply(`✅ Nobody in this group has ${source ? `*${source}* ` : ''}strikes.`);
+
+        const lines = users
+            .map(([userJid, breakdown]) => ({ userJid, breakdown, total: Object.values(breakdown).reduce((sum, n) => sum + n, 0) }))
+            .sort((a, b) => b.total - a.total)
+            .map(({ userJid, breakdown, total }) => {
+                mentions.push(userJid);
+                return `▸ ${tag(userJid)}: ${total} (${formatBreakdown(breakdown)})`;
+            });
+        return client.sendMessage(from, { text: `*⚠️ STRIKES${source ? ` · ${source}` : ''}*\n\n${lines.join('\n')}`, mentions }, { quoted: conText.mek });
+    }
+
+    const userJid = parsedArgs.user || roles.sender;
+    if (userJid !== roles.sender && !isModerator) return reply(t('permission.group-admin'));
+    mentions.push(userJid);
+
+    if (parsedArgs.clear) {
+        if (!isModerator) return reply(t('permission.group-admin'));
+        await clearStrikes(from, userJid, source);
+        await logModerationAction({ groupJid: from, actor: roles.sender, targetJid: userJid, rule: 'manual', action: 'clear-strikes', reason: source ? `${source} strikes` : 'all strikes' });
+        return client.sendMessage(from, { text: `🧹 Cleared ${source ? `*${source}* ` : 'all '}strikes for ${tag(userJid)}.`, mentions }, { quoted: conText.mek });
+    }
+
+    const strikes = getStrikes(from, userJid, source);
+    if (!strikes.length) {
+        return client.sendMessage(from, { text: `✅ ${tag(userJid)} has no ${source ? `*${source}* ` : ''}strikes.`, mentions }, { quoted: conText.mek });
+    }
+
+    let text = `*⚠️ STRIKES · ${tag(userJid)}*\n\nTotal: *${strikes.length}*`;
+    if (!source) text += ` (${formatBreakdown(getStrikeBreakdown(from, userJid))})`;
+    text += `\n\n${strikes.slice(0, 15).map(formatStrike).join('\n')}`;
+    if (strikes.length > 15) text += `\n…and ${strikes.length - 15} more`;
+    return client.sendMessage(from, { text, mentions }, { quoted: conText.mek });
+});
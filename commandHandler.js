@@ -1,21 +1,108 @@
 /*Must Run*/
 
+const KeithLogger = require('./logger');
+const { parseArgs, buildUsage, tokenize } = require('./lib/argParser');
+const { permissionLevels, checkPermission, resolveRoles } = require('./lib/permissions');
+const { isCommandDisabled } = require('./database/groupcommands');
+const { recordCommandUsage } = require('./database/commandstats');
+const { findMacro } = require('./database/macros');
+const { MAX_MACRO_DEPTH, expandStep, splitStep } = require('./lib/macros');
+const { resolvePrefix } = require('./lib/prefix');
+const { isAwaitingReply, getMessageText } = require('./lib/conversations');
+const { getTranslator } = require('./lib/i18n');
+const { normalizeCooldown, checkCooldown } = require('./lib/cooldowns');
+const { isMuted } = require('./database/mutes');
+
 let commands = [];
 
+// Lookup of every registered name and alias -> command object
+const commandIndex = new Map();
+
 const tabCmds = [];
 
+// Messages a command already ran for, the remote handler and dispatchMessage both see every message
+const claimedMessages = new Set();
+const MAX_CLAIMED_MESSAGES = 500;
+
+// "*" matches everything, "group.*" matches every event in the group namespace
+function compileEventPattern(pattern) {
+    return new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+function reportListenerError(event, error) {
+    KeithLogger.error(`Listener for "${event}" failed`, error);
+}
+
 const evt = {
     events: {},
+    // Wildcard pattern -> its regex, built when the pattern gets its first listener
+    patterns: new Map(),
     on(event, callback) {
         if (!this.events[event]) {
             this.events[event] = [];
+            if (event.includes('*')) this.patterns.set(event, compileEventPattern(event));
         }
         this.events[event].push(callback);
+        return () => this.off(event, callback);
+    },
+    once(event, callback) {
+        const wrapper = (data, name) => {
+            this.off(event, wrapper);
+            return callback(data, name);
+        };
+        wrapper.listener = callback;
+        return this.on(event, wrapper);
+    },
+    off(event, callback) {
+        if (!this.events[event]) return;
+        if (callback) this.events[event] = this.events[event].filter(l => l !== callback && l.listener !== callback);
+        if (!callback || !this.events[event].length) {
+            delete this.events[event];
+            this.patterns.delete(event);
+        }
+    },
+    // Exact subscribers first, then wildcard/namespace ones
+    listeners(event) {
+        const exact = this.events[event] || [];
+        const wildcard = [...this.patterns]
+            .filter(([pattern, regex]) => pattern !== event && regex.test(event))
+            .flatMap(([pattern]) => this.events[pattern]);
+        return [...exact, ...wildcard];
     },
+    // A listener that throws or rejects is reported and never stops the others
     emit(event, data) {
-        if (this.events[event]) {
-            this.events[event].forEach((callback) => callback(data));
+        const listeners = this.listeners(event);
+        listeners.forEach((callback) => {
+            try {
+                const result = callback(data, event);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(error => reportListenerError(event, error));
+                }
+            } catch (error) {
+                reportListenerError(event, error);
+            }
+        });
+        return listeners.length > 0;
+    },
+    // Waits for every listener, resolves with one { status, value | reason } per listener
+    async emitAsync(event, data) {
+        return Promise.all(this.listeners(event).map(async (callback) => {
+            try {
+                return { status: 'fulfilled', value: await callback(data, event) };
+            } catch (error) {
+                reportListenerError(event, error);
+                return { status: 'rejected', reason: error };
+            }
+        }));
+    },
+    listenerCount(event) {
+        if (event === undefined) {
+            return Object.values(this.events).reduce((total, list) => total + list.length, 0);
         }
+        return this.listeners(event).length;
+    },
+    eventNames() {
+        return Object.keys(this.events);
     },
 };
 
@@ -40,6 +127,326 @@ function getRandomEmoji() {
 }
 
 
+function normalizeName(name) {
+    return String(name).trim().toLowerCase();
+}
+
+function findCommand(name) {
+    if (!name) return undefined;
+    return commandIndex.get(normalizeName(name));
+}
+
+function getCommandNames(cmd) {
+    return [cmd.pattern, ...cmd.aliases].filter(Boolean).map(normalizeName);
+}
+
+function indexCommand(cmd) {
+    for (const name of getCommandNames(cmd)) {
+        const existing = commandIndex.get(name);
+        if (existing && existing !== cmd) {
+            KeithLogger.warning(`Command "${name}" from ${cmd.filename} collides with ${existing.filename}, keeping the first one`);
+            cmd.conflicts.push(name);
+            continue;
+        }
+        commandIndex.set(name, cmd);
+    }
+}
+
+function rebuildIndex() {
+    commandIndex.clear();
+    for (const cmd of commands) {
+        cmd.conflicts = [];
+        for (const name of getCommandNames(cmd)) {
+            if (commandIndex.has(name)) cmd.conflicts.push(name);
+            else commandIndex.set(name, cmd);
+        }
+    }
+}
+
+// Drops every command a file registered, used before re-requiring it
+function unregisterFile(filename) {
+    const removed = commands.filter(cmd => cmd.filename === filename);
+    for (const cmd of removed) {
+        commands.splice(commands.indexOf(cmd), 1);
+    }
+    rebuildIndex();
+    return removed;
+}
+
+function restoreCommands(list) {
+    commands.push(...list);
+    rebuildIndex();
+}
+
+async function replyTo(client, from, conText, text) {
+    if (typeof conText.reply === 'function') return conText.reply(text);
+    return client.sendMessage(from, { text }, { quoted: conText.mek });
+}
+
+function getMentionContext(conText) {
+    const contextInfo = conText.mek?.message?.extendedTextMessage?.contextInfo || {};
+    return {
+        mentionedJid: conText.mentionedJid || contextInfo.mentionedJid || [],
+        quotedSender: conText.quotedUser || contextInfo.participant
+    };
+}
+
+// conText.t translates into the sender's or chat's language, see lib/i18n.js
+async function getContextTranslator(from, conText) {
+    if (typeof conText.t !== 'function') {
+        conText.t = await getTranslator(from, conText.sender || conText.mek?.key?.participant || from);
+    }
+    return conText.t;
+}
+
+// Cross-cutting hooks every command dispatch passes through, see use()
+const middlewares = {
+    before: [],
+    after: [],
+    error: []
+};
+
+/**
+ * Registers middleware around command execution.
+ *   use(fn)                   before: async (ctx, next) => {...}, skip next() to stop the command
+ *   use('after', fn)          after:  async (ctx) => {...}, runs on every dispatch, ctx.error is set on failure
+ *   use('error', fn)          error:  async (ctx, error) => {...}
+ *   use({ before, after, error })
+ * Returns a function that removes what was registered.
+ */
+function use(stage, fn) {
+    if (typeof stage === 'function') return use('before', stage);
+
+    if (typeof stage === 'object') {
+        const removers = Object.entries(stage).map(([name, handler]) => use(name, handler));
+        return () => removers.forEach(remove => remove());
+    }
+
+    if (!middlewares[stage]) throw new Error(`Unknown middleware stage "${stage}"`);
+    if (typeof fn !== 'function') throw new Error(`Middleware for "${stage}" must be a function`);
+
+    middlewares[stage].push(fn);
+    return () => {
+        const index = middlewares[stage].indexOf(fn);
+        if (index !== -1) middlewares[stage].splice(index, 1);
+    };
+}
+
+function compose(stack) {
+    return function run(ctx, index = 0) {
+        const fn = stack[index];
+        if (!fn) return Promise.resolve();
+
+        let called = false;
+        return Promise.resolve(fn(ctx, () => {
+            if (called) throw new Error('next() called multiple times');
+            called = true;
+            return run(ctx, index + 1);
+        }));
+    };
+}
+
+// Every registered command runs through here, the original handler is kept on cmd.handler
+async function runCommand(cmd, from, client, conText = {}) {
+    const ctx = {
+        cmd,
+        from,
+        client,
+        conText,
+        handled: false,
+        startedAt: Date.now(),
+        reply: text => replyTo(client, from, conText, text)
+    };
+    // Handlers can always rely on conText.reply
+    if (typeof conText.reply !== 'function') {
+        conText.reply = text => client.sendMessage(from, { text }, { quoted: conText.mek });
+    }
+
+    const stack = [...middlewares.before, async ctx => {
+        ctx.result = await cmd.handler(from, client, conText);
+        ctx.handled = true;
+    }];
+
+    try {
+        await compose(stack)(ctx);
+    } catch (error) {
+        ctx.error = error;
+        for (const handler of middlewares.error) {
+            try {
+                await handler(ctx, error);
+            } catch (hookError) {
+                KeithLogger.error(`Error middleware failed for ${cmd.pattern}`, hookError);
+            }
+        }
+    }
+
+    ctx.duration = Date.now() - ctx.startedAt;
+    for (const handler of middlewares.after) {
+        try {
+            await handler(ctx);
+        } catch (hookError) {
+            KeithLogger.error(`After middleware failed for ${cmd.pattern}`, hookError);
+        }
+    }
+
+    return ctx.result;
+}
+
+// Runs a stored macro step by step through the normal command pipeline, resolves false if it was stopped.
+// The steps get the chain of running macros as conText.macroStack, "macro run" inside a step carries it on.
+async function runMacro(macro, from, client, conText, stack = conText.macroStack || []) {
+    const chain = [...stack, macro.name].join(' → ');
+    if (stack.includes(macro.name) || stack.length >= MAX_MACRO_DEPTH) {
+        const t = await getContextTranslator(from, conText);
+        const key = stack.includes(macro.name) ? 'macro.recursive' : 'macro.tooDeep';
+        await replyTo(client, from, conText, t(key, { name: macro.name, chain }));
+        return false;
+    }
+
+    const args = tokenize(conText.q || '');
+    for (const step of macro.steps) {
+        const { name, q } = splitStep(expandStep(step, args));
+        const stepContext = { ...conText, q, args: q ? q.split(/\s+/) : [], parsedArgs: undefined, macroStack: [...stack, macro.name] };
+        const ok = await dispatchCommand(name, from, client, stepContext, [...stack, macro.name]);
+        if (!ok) return false;
+    }
+    return true;
+}
+
+/**
+ * Looks a name up as a command first and then as a macro of this user or chat.
+ * Resolves false when nothing matched or a macro step could not run.
+ */
+async function dispatchCommand(name, from, client, conText = {}, stack = conText.macroStack || []) {
+    const cmd = findCommand(name);
+    if (cmd) {
+        await runCommand(cmd, from, client, conText);
+        return true;
+    }
+
+    const sender = conText.sender || conText.mek?.key?.participant || from;
+    const macro = await findMacro(name, from, sender);
+    if (!macro) {
+        if (stack.length) {
+            const t = await getContextTranslator(from, conText);
+            await replyTo(client, from, conText, t('macro.notCommand', { name }));
+        }
+        return false;
+    }
+
+    return runMacro(macro, from, client, conText, stack);
+}
+
+// True the first time a message asks to run a command, false for every later attempt
+function claimMessage(mek) {
+    const id = mek?.key?.id;
+    if (!id) return true;
+    if (claimedMessages.has(id)) return false;
+    claimedMessages.add(id);
+    if (claimedMessages.size > MAX_CLAIMED_MESSAGES) {
+        claimedMessages.delete(claimedMessages.values().next().value);
+    }
+    return true;
+}
+
+/**
+ * Entry point for a raw incoming message: works out the prefix (see lib/prefix.js),
+ * then runs the command or macro. Values in conText are kept, the rest is filled in.
+ * Resolves false when the message is not a command.
+ */
+async function dispatchMessage(client, mek, conText = {}) {
+    const from = mek?.key?.remoteJid;
+    if (!from) return false;
+
+    const isGroup = from.endsWith('@g.us');
+    const sender = conText.sender || (mek.key.fromMe ? client.user?.id : (isGroup ? mek.key.participant : from));
+
+    // Muted members only get their message deleted, see attachModeration
+    if (isGroup && isMuted(from, sender)) return false;
+
+    // Someone answering a setup question is not running a command
+    if (isAwaitingReply(from, sender)) return false;
+
+    const resolved = await resolvePrefix(getMessageText(mek), {
+        chatJid: from,
+        botJids: [client.user?.id, client.user?.lid].filter(Boolean),
+        isKnownCommand: name => Boolean(findCommand(name))
+    });
+    if (!resolved || !claimMessage(mek)) return false;
+
+    const [name, ...rest] = resolved.body.split(/\s+/);
+    const q = rest.join(' ');
+    return dispatchCommand(name.toLowerCase(), from, client, {
+        ...conText,
+        mek,
+        sender,
+        isGroup,
+        prefix: resolved.prefix,
+        usedPrefix: resolved.usedPrefix,
+        q,
+        args: q ? q.split(/\s+/) : []
+    });
+}
+
+// Built-in checks, registered first so they run before anything added later
+use(async (ctx, next) => {
+    await getContextTranslator(ctx.from, ctx.conText);
+    return next();
+});
+
+use(async (ctx, next) => {
+    const { cmd, client, from, conText } = ctx;
+    if (!String(from).endsWith('@g.us') || cmd.alwaysEnabled) return next();
+    if (!await isCommandDisabled(from, cmd.pattern, cmd.category)) return next();
+
+    const roles = await resolveRoles(client, from, conText);
+    if (roles.isSudo) return next();
+    return ctx.reply(conText.t('command.disabled', { command: cmd.pattern }));
+});
+
+use(async (ctx, next) => {
+    const denied = await checkPermission(ctx.cmd, ctx.client, ctx.from, ctx.conText);
+    if (denied) return ctx.reply(denied);
+    return next();
+});
+
+use(async (ctx, next) => {
+    const { cmd, conText } = ctx;
+    if (cmd.args || cmd.flags) {
+        const parsed = parseArgs(cmd, conText.q || '', getMentionContext(conText));
+        if (!parsed.success) {
+            const vars = { message: parsed.message, prefix: conText.prefix || '', usage: cmd.usage };
+            return ctx.reply(conText.t('command.invalidArgs', vars));
+        }
+        conText.parsedArgs = parsed.args;
+    }
+    return next();
+});
+
+use(async (ctx, next) => {
+    const cooling = await checkCooldown(ctx.cmd, ctx.client, ctx.from, ctx.conText);
+    if (cooling) return ctx.reply(cooling);
+    return next();
+});
+
+use('after', (ctx) => {
+    const { cmd, from, conText } = ctx;
+    recordCommandUsage({
+        command: cmd.pattern,
+        chatJid: from,
+        userJid: conText.roles?.sender || conText.sender || conText.mek?.key?.participant || from,
+        duration: ctx.duration,
+        status: ctx.error ? 'failure' : (ctx.handled ? 'success' : 'blocked'),
+        error: ctx.error
+    });
+});
+
+use('error', async (ctx, error) => {
+    KeithLogger.error(`Command ${ctx.cmd.pattern} failed`, error);
+    const t = await getContextTranslator(ctx.from, ctx.conText);
+    await ctx.reply(t('command.failed', { command: ctx.cmd.pattern }));
+});
+
 function keith(obj, functions) {
     let infoComs = obj;
 
@@ -49,8 +456,28 @@ function keith(obj, functions) {
     if (!obj.react) infoComs.react = getRandomEmoji();
 
     if (!obj.dontAddCommandList) infoComs.dontAddCommandList = false; 
+
+    infoComs.aliases = [].concat(obj.aliases || []);
+    if (!obj.description) infoComs.description = "";
+    if (!obj.usage) infoComs.usage = (obj.args || obj.flags) ? buildUsage(obj) : "";
+    infoComs.examples = [].concat(obj.examples || []);
+    infoComs.conflicts = [];
+
+    for (const permission of [].concat(obj.permission || [])) {
+        if (!permissionLevels.includes(permission)) {
+            throw new Error(`Unknown permission "${permission}" on command ${obj.pattern}`);
+        }
+    }
+    infoComs.cooldown = normalizeCooldown(obj.cooldown);
     
-    infoComs.function = functions;
+    infoComs.handler = functions;
+    // What the remote handler calls, it skips messages dispatchMessage already ran and muted senders
+    infoComs.function = (from, client, conText = {}) => {
+        const sender = conText.sender || conText.mek?.key?.participant;
+        if (String(from).endsWith('@g.us') && isMuted(from, sender)) return undefined;
+        if (!claimMessage(conText.mek)) return undefined;
+        return runCommand(infoComs, from, client, conText);
+    };
 
     const stack = new Error().stack;
    
@@ -58,10 +485,11 @@ function keith(obj, functions) {
    
     infoComs.filename = filePath;
 
+    indexCommand(infoComs);
     commands.push(infoComs);
     return infoComs;
 }
 
-module.exports = { keith, commands, evt, getRandomEmoji };
+module.exports = { keith, commands, evt, getRandomEmoji, findCommand, runCommand, dispatchCommand, dispatchMessage, runMacro, replyTo, use, unregisterFile, restoreCommands };
 
 evt.commands = commands;
@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { recordStrike, getStrikeCount, clearStrikes, clearGroupStrikes } = require('./warn');
 
 // Main antibad settings table
 const AntiBadDB = database.define('antibad', {
@@ -18,10 +20,15 @@ const AntiBadDB = database.define('antibad', {
         allowNull: false
     },
     action: {
-        type: DataTypes.ENUM('delete', 'remove', 'warn'),
+        type: DataTypes.ENUM('delete', 'remove', 'warn', 'mute'),
         defaultValue: 'delete',
         allowNull: false
     },
+    mute_minutes: { // How long the mute action silences a member
+        type: DataTypes.INTEGER,
+        defaultValue: 30,
+        allowNull: false
+    },
     warn_limit: {
         type: DataTypes.INTEGER,
         defaultValue: 3,
@@ -68,13 +75,9 @@ const BadWordsDB = database.define('badwords', {
     timestamps: false
 });
 
-// Store warn counts in memory per user per group
-const badWarnCounts = new Map(); // Key: `${groupJid}:${userJid}`
-
 async function initAntiBadDB() {
     try {
-        await AntiBadDB.sync({ alter: true });
-        await BadWordsDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AntiBad tables ready');
     } catch (error) {
         console.error('Error initializing AntiBad tables:', error);
@@ -212,6 +215,11 @@ async function clearAllBadWords(groupJid) {
 
 // ===== WORD DETECTION FUNCTIONS =====
 
+// Words are user input, characters like + or ( must match literally
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function containsBadWord(text, badWordsList, filterType = 'normal') {
     if (!text || !badWordsList.length) return false;
     
@@ -219,9 +227,9 @@ function containsBadWord(text, badWordsList, filterType = 'normal') {
     
     switch (filterType) {
         case 'strict':
-            // Check exact word boundaries
+            // Check exact word boundaries, \b does not work for words that start or end with a symbol
             return badWordsList.some(badWord => {
-                const regex = new RegExp(`\\b${badWord}\\b`, 'i');
+                const regex = new RegExp(`(^|[^\\w])${escapeRegExp(badWord)}($|[^\\w])`, 'i');
                 return regex.test(lowerText);
             });
             
@@ -301,32 +309,23 @@ function generateLeetVariations(word) {
 // ===== WARN FUNCTIONS =====
 
 function getBadWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    return badWarnCounts.get(key) || 0;
+    return getStrikeCount(groupJid, userJid, 'badword');
 }
 
 function incrementBadWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    const current = getBadWarnCount(groupJid, userJid);
-    badWarnCounts.set(key, current + 1);
-    return current + 1;
+    return recordStrike(groupJid, userJid, 'badword', { reason: 'Used a banned word' });
 }
 
 function resetBadWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    badWarnCounts.delete(key);
+    clearStrikes(groupJid, userJid, 'badword');
 }
 
 function clearAllBadWarns(groupJid) {
-    for (const key of badWarnCounts.keys()) {
-        if (key.startsWith(`${groupJid}:`)) {
-            badWarnCounts.delete(key);
-        }
-    }
+    clearGroupStrikes(groupJid, 'badword');
 }
 
 function clearAllGroupsBadWarns() {
-    badWarnCounts.clear();
+    clearGroupStrikes(null, 'badword');
 }
 
 module.exports = {
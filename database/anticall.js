@@ -1,5 +1,8 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { recordStrike, getStrikeCount, clearStrikes, clearGroupStrikes } = require('./warn');
+const { defaultText, localizeRecord } = require('../lib/i18n');
 
 const AntiCallDB = database.define('anticall', {
     status: {
@@ -9,7 +12,7 @@ const AntiCallDB = database.define('anticall', {
     },
     message: {
         type: DataTypes.STRING,
-        defaultValue: '📵 Calls are not accepted! Please text instead.',
+        defaultValue: defaultText('anticall.message'),
         allowNull: false
     },
     action: {
@@ -26,13 +29,12 @@ const AntiCallDB = database.define('anticall', {
     timestamps: true
 });
 
-// Store call counts and warn counts in memory per user
+// Store call counts in memory per user, warns go to the strike ledger in warn.js
 const callCounts = new Map(); // Track number of calls per user
-const callWarnCounts = new Map(); // Track warn counts per user
 
 async function initAntiCallDB() {
     try {
-        await AntiCallDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AntiCall table ready');
     } catch (error) {
         console.error('Error initializing AntiCall table:', error);
@@ -40,18 +42,16 @@ async function initAntiCallDB() {
     }
 }
 
-async function getAntiCallSettings() {
+// The message comes in the caller's language while it is still the default
+async function getAntiCallSettings(callerJid) {
     try {
-        const settings = await AntiCallDB.findOne();
-        if (!settings) {
-            return await AntiCallDB.create({});
-        }
-        return settings;
+        const settings = await AntiCallDB.findOne() || await AntiCallDB.create({});
+        return await localizeRecord(settings, { message: 'anticall.message' }, callerJid, callerJid);
     } catch (error) {
         console.error('Error getting anti-call settings:', error);
         return { 
             status: true, 
-            message: '📵 Calls are not accepted! Please text instead.', 
+            message: defaultText('anticall.message'),
             action: 'reject',
             warn_limit: 3
         };
@@ -85,22 +85,20 @@ function resetCallCount(userJid) {
 }
 
 function getCallWarnCount(userJid) {
-    return callWarnCounts.get(userJid) || 0;
+    return getStrikeCount(userJid, userJid, 'call');
 }
 
 function incrementCallWarnCount(userJid) {
-    const current = getCallWarnCount(userJid);
-    callWarnCounts.set(userJid, current + 1);
-    return current + 1;
+    return recordStrike(userJid, userJid, 'call', { reason: 'Called the bot' });
 }
 
 function resetCallWarnCount(userJid) {
-    callWarnCounts.delete(userJid);
+    clearStrikes(userJid, userJid, 'call');
 }
 
 function clearAllCallWarns() {
     callCounts.clear();
-    callWarnCounts.clear();
+    clearGroupStrikes(null, 'call');
 }
 
 module.exports = {
@@ -1,6 +1,8 @@
 
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { defaultText, localizeRecord } = require('../lib/i18n');
 
 const AntiDeleteDB = database.define('antidelete', {
     status: {
@@ -10,7 +12,7 @@ const AntiDeleteDB = database.define('antidelete', {
     },
     notification: {
         type: DataTypes.STRING,
-        defaultValue: ' *Keith antiDelete*',
+        defaultValue: defaultText('antidelete.notification'),
         allowNull: false
     },
     includeGroupInfo: {
@@ -34,7 +36,7 @@ const AntiDeleteDB = database.define('antidelete', {
 
 async function initAntiDeleteDB() {
     try {
-        await AntiDeleteDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AntiDelete table ready');
     } catch (error) {
         console.error('Error initializing AntiDelete table:', error);
@@ -42,18 +44,16 @@ async function initAntiDeleteDB() {
     }
 }
 
-async function getAntiDeleteSettings() {
+// The notification comes in the chat's language while it is still the default
+async function getAntiDeleteSettings(chatJid) {
     try {
-        const settings = await AntiDeleteDB.findOne();
-        if (!settings) {
-            return await AntiDeleteDB.create({});
-        }
-        return settings;
+        const settings = await AntiDeleteDB.findOne() || await AntiDeleteDB.create({});
+        return await localizeRecord(settings, { notification: 'antidelete.notification' }, chatJid);
     } catch (error) {
         console.error('Error getting anti-delete settings:', error);
         return { 
             status: true, 
-            notification: ' *Keith antiDelete*',
+            notification: defaultText('antidelete.notification'),
             includeGroupInfo: true,
             includeMedia: true
         };
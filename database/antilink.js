@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { recordStrike, getStrikeCount, clearStrikes, clearGroupStrikes } = require('./warn');
 
 const AntiLinkDB = database.define('antilink', {
     groupJid: {
@@ -17,10 +19,20 @@ const AntiLinkDB = database.define('antilink', {
         allowNull: false
     },
     action: {
-        type: DataTypes.ENUM('warn', 'delete', 'remove'),
+        type: DataTypes.ENUM('warn', 'delete', 'remove', 'mute'),
         defaultValue: 'warn',
         allowNull: false
     },
+    mode: { // all = every link but allowed domains, blocklist = only blocked domains, invites = only group invite links
+        type: DataTypes.ENUM('all', 'blocklist', 'invites'),
+        defaultValue: 'all',
+        allowNull: false
+    },
+    mute_minutes: { // How long the mute action silences a member
+        type: DataTypes.INTEGER,
+        defaultValue: 30,
+        allowNull: false
+    },
     warn_limit: {
         type: DataTypes.INTEGER,
         defaultValue: 3,
@@ -30,12 +42,46 @@ const AntiLinkDB = database.define('antilink', {
     timestamps: true
 });
 
-// Store warn counts in memory per user per group
-const warnCounts = new Map(); // Key: `${groupJid}:${userJid}`
+// Allowed and blocked domains per group, "*.example.com" also covers every subdomain
+const AntiLinkDomainsDB = database.define('antilink_domains', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    groupJid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    domain: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    list: {
+        type: DataTypes.ENUM('allow', 'block'),
+        allowNull: false
+    },
+    added_by: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    added_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['groupJid', 'domain'] }
+    ]
+});
+
+// Every message is checked, so each group's lists are kept in memory once read
+const domainCache = new Map(); // Key: groupJid -> { allow: [], block: [] }
 
 async function initAntiLinkDB() {
     try {
-        await AntiLinkDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AntiLink table ready');
     } catch (error) {
         console.error('Error initializing AntiLink table:', error);
@@ -88,32 +134,216 @@ async function getAllAntiLinkGroups() {
 }
 
 function getWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    return warnCounts.get(key) || 0;
+    return getStrikeCount(groupJid, userJid, 'link');
 }
 
 function incrementWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    const current = getWarnCount(groupJid, userJid);
-    warnCounts.set(key, current + 1);
-    return current + 1;
+    return recordStrike(groupJid, userJid, 'link', { reason: 'Posted a link' });
 }
 
 function resetWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    warnCounts.delete(key);
+    clearStrikes(groupJid, userJid, 'link');
 }
 
 function clearAllWarns(groupJid) {
-    for (const key of warnCounts.keys()) {
-        if (key.startsWith(`${groupJid}:`)) {
-            warnCounts.delete(key);
-        }
-    }
+    clearGroupStrikes(groupJid, 'link');
 }
 
 function clearAllGroupsWarns() {
-    warnCounts.clear();
+    clearGroupStrikes(null, 'link');
+}
+
+// ===== DOMAIN LIST FUNCTIONS =====
+
+// Turns what an admin typed (a link, a domain or *.domain) into the stored form, null when it is not a domain
+function normalizeDomain(input) {
+    let domain = String(input || '').trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split(/[/?#]/)[0]
+        .replace(/:\d+$/, '')
+        .replace(/\.$/, '');
+    const wildcard = domain.startsWith('*.');
+    if (wildcard) domain = domain.slice(2);
+    domain = domain.replace(/^www\./, '');
+
+    if (!/^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/.test(domain)) return null;
+    return wildcard ? `*.${domain}` : domain;
+}
+
+async function addLinkDomain(groupJid, domain, list, userId) {
+    try {
+        const normalized = normalizeDomain(domain);
+        if (!normalized) return { success: false, message: 'Not a domain' };
+
+        const existing = await AntiLinkDomainsDB.findOne({ where: { groupJid, domain: normalized } });
+        if (existing && existing.list === list) return { success: false, message: `Already on the ${list} list` };
+
+        // A domain sits on one list only, adding it to the other moves it
+        if (existing) await existing.update({ list, added_by: userId, added_at: new Date() });
+        else await AntiLinkDomainsDB.create({ groupJid, domain: normalized, list, added_by: userId });
+        domainCache.delete(groupJid);
+        return { success: true, domain: normalized, moved: Boolean(existing) };
+    } catch (error) {
+        console.error('Error adding antilink domain:', error);
+        return { success: false, message: 'Database error' };
+    }
+}
+
+async function removeLinkDomain(groupJid, domain) {
+    try {
+        const normalized = normalizeDomain(domain);
+        if (!normalized) return false;
+        const deleted = await AntiLinkDomainsDB.destroy({ where: { groupJid, domain: normalized } });
+        domainCache.delete(groupJid);
+        return deleted > 0;
+    } catch (error) {
+        console.error('Error removing antilink domain:', error);
+        return false;
+    }
+}
+
+// Resolves { allow: [...], block: [...] }, sorted by domain
+async function getLinkDomains(groupJid) {
+    if (domainCache.has(groupJid)) return domainCache.get(groupJid);
+    try {
+        const rows = await AntiLinkDomainsDB.findAll({ where: { groupJid }, order: [['domain', 'ASC']] });
+        const lists = { allow: [], block: [] };
+        rows.forEach(row => lists[row.list].push(row.domain));
+        domainCache.set(groupJid, lists);
+        return lists;
+    } catch (error) {
+        console.error('Error getting antilink domains:', error);
+        return { allow: [], block: [] };
+    }
+}
+
+// Without a list both are emptied
+async function clearLinkDomains(groupJid, list) {
+    try {
+        const where = list ? { groupJid, list } : { groupJid };
+        const deleted = await AntiLinkDomainsDB.destroy({ where });
+        domainCache.delete(groupJid);
+        return deleted > 0;
+    } catch (error) {
+        console.error('Error clearing antilink domains:', error);
+        return false;
+    }
+}
+
+// ===== LINK DETECTION FUNCTIONS =====
+
+// Endings a bare "name.tld" has to use before it counts as a link, links with http:// or www. can use any
+const TLDS = [
+    'com', 'net', 'org', 'info', 'biz', 'xyz', 'io', 'co', 'me', 'ly', 'gl', 'gd', 'to', 'cc', 'tv', 'sh',
+    'app', 'dev', 'site', 'online', 'store', 'shop', 'link', 'click', 'club', 'top', 'live', 'vip', 'fun', 'icu',
+    'ke', 'tz', 'ug', 'ng', 'za', 'gh', 'rw', 'uk', 'us', 'in', 'ru', 'de', 'fr', 'br', 'id', 'pk', 'ph',
+    'tk', 'ml', 'ga', 'cf', 'gq', 'ai', 'gg', 'so', 'ws', 'su', 'lk', 'bd', 'my', 'eu', 'asia'
+];
+
+// Links through these hide where they go, they are blocked unless allowed by name
+const SHORTENERS = [
+    'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'is.gd', 'v.gd', 'ow.ly', 'buff.ly', 'cutt.ly', 'rb.gy',
+    'shorturl.at', 'tiny.cc', 't.ly', 's.id', 'rebrand.ly', 'bl.ink', 'short.io', 'lnkd.in', 'shorte.st',
+    'adf.ly', 'ouo.io', 'tr.ee', 'surl.li', 'qrco.de', 'clck.ru'
+];
+
+const INVITE_DOMAINS = ['chat.whatsapp.com'];
+
+const MAX_SCAN_LENGTH = 4000;
+
+const label = '[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?';
+const tldPattern = `(?:${TLDS.join('|')})`;
+const urlRegex = /(?:\b(?:https?|hxxps?):\/\/|\bwww\.)[^\s<>"'`]+/gi;
+const bareDomainRegex = new RegExp(`(?:^|[^a-z0-9@.-])((?:${label}\\.)+${tldPattern})(?![a-z0-9-])`, 'gi');
+// "example . com", "example dot com", "example[.]com", "example(dot)com"
+const obfuscatedDot = '(?:\\s+\\.\\s+|\\s+dot\\s+|\\s*[[({<]\\s*(?:\\.|dot)\\s*[\\])}>]\\s*)';
+const obfuscatedRegex = new RegExp(`(?:^|[^a-z0-9@.-])((?:${label}(?:\\.|${obfuscatedDot}))+${tldPattern})(?![a-z0-9-])`, 'gi');
+
+function hostOf(url) {
+    const host = url.toLowerCase().replace(/^(?:https?|hxxps?):\/\//, '').split(/[/?#]/)[0].replace(/:\d+$/, '').replace(/\.$/, '');
+    return host.replace(/^www\./, '');
+}
+
+function matchesDomain(domain, pattern) {
+    if (pattern.startsWith('*.')) {
+        const base = pattern.slice(2);
+        return domain === base || domain.endsWith(`.${base}`);
+    }
+    return domain === pattern;
+}
+
+function onList(domain, list) {
+    return list.some(pattern => matchesDomain(domain, pattern));
+}
+
+/**
+ * Every link in a message: [{ text, domain, obfuscated }]. Besides normal links it finds
+ * bare domains such as "example.com" and ones written to dodge filters, "example dot com",
+ * "example . com" or "example[.]com"; those come back with obfuscated: true.
+ */
+function findLinks(text) {
+    const content = String(text || '').slice(0, MAX_SCAN_LENGTH);
+    const links = [];
+    const seen = new Set();
+    const add = (linkText, domain, obfuscated) => {
+        if (!domain || seen.has(domain)) return;
+        seen.add(domain);
+        links.push({ text: linkText, domain, obfuscated });
+    };
+
+    for (const match of content.matchAll(urlRegex)) {
+        add(match[0], hostOf(match[0]), /^hxxp/i.test(match[0]));
+    }
+    const rest = content.replace(urlRegex, ' ');
+    for (const match of rest.matchAll(bareDomainRegex)) {
+        add(match[1], hostOf(match[1]), false);
+    }
+    for (const match of rest.matchAll(obfuscatedRegex)) {
+        const domain = match[1].toLowerCase().replace(new RegExp(obfuscatedDot, 'gi'), '.');
+        add(match[1], hostOf(domain), true);
+    }
+    return links;
+}
+
+/**
+ * Decides whether a message breaks the group's link rules:
+ *   checkLinks(text, { mode: 'all', allow: ['*.youtube.com'], block: [] })
+ * The blocked list always wins, then allowed domains pass, then shorteners are caught in every
+ * mode. After that "all" catches any link, "invites" only WhatsApp group invites and "blocklist" nothing more.
+ * Resolves null when the message is fine, otherwise { link, reason } with reason
+ * blocked, shortener, invite or link.
+ */
+function checkLinks(text, { mode = 'all', allow = [], block = [] } = {}) {
+    for (const link of findLinks(text)) {
+        let reason = null;
+        if (onList(link.domain, block)) reason = 'blocked';
+        else if (onList(link.domain, allow)) continue;
+        else if (SHORTENERS.some(shortener => matchesDomain(link.domain, `*.${shortener}`))) reason = 'shortener';
+        else if (INVITE_DOMAINS.some(invite => matchesDomain(link.domain, `*.${invite}`))) reason = mode === 'blocklist' ? null : 'invite';
+        else if (mode === 'all') reason = 'link';
+
+        if (reason) return { link, reason };
+    }
+    return null;
+}
+
+/**
+ * checkLinks with the group's saved mode and lists, null as well while antilink is off.
+ * A catch also carries the group's antilink settings, the filter acts on them.
+ */
+async function checkMessageLinks(groupJid, text) {
+    if (!findLinks(text).length) return null;
+    try {
+        // A plain lookup, getAntiLinkSettings would create a row for every group that posts a link
+        const settings = await AntiLinkDB.findOne({ where: { groupJid } });
+        if (!settings || settings.status !== 'on') return null;
+        const lists = await getLinkDomains(groupJid);
+        const caught = checkLinks(text, { mode: settings.mode, ...lists });
+        return caught && { ...caught, settings };
+    } catch (error) {
+        console.error('Error checking message links:', error);
+        return null;
+    }
 }
 
 async function toggleAntiLink(groupJid, groupName, status, action = 'warn', warn_limit = 3) {
@@ -156,5 +386,15 @@ module.exports = {
     clearAllWarns,
     clearAllGroupsWarns,
     toggleAntiLink,
-    AntiLinkDB
+    normalizeDomain,
+    addLinkDomain,
+    removeLinkDomain,
+    getLinkDomains,
+    clearLinkDomains,
+    SHORTENERS,
+    findLinks,
+    checkLinks,
+    checkMessageLinks,
+    AntiLinkDB,
+    AntiLinkDomainsDB
 };
@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { recordStrike, getStrikeCount, clearStrikes, clearGroupStrikes } = require('./warn');
 
 const AntiSpamDB = database.define('antispam', {
     groupJid: {
@@ -17,10 +19,15 @@ const AntiSpamDB = database.define('antispam', {
         allowNull: false
     },
     action: {
-        type: DataTypes.ENUM('delete', 'remove', 'warn'),
+        type: DataTypes.ENUM('delete', 'remove', 'warn', 'mute'),
         defaultValue: 'warn',
         allowNull: false
     },
+    mute_minutes: { // How long the mute action silences a member
+        type: DataTypes.INTEGER,
+        defaultValue: 30,
+        allowNull: false
+    },
     message_limit: {
         type: DataTypes.INTEGER,
         defaultValue: 5, // Number of messages allowed
@@ -48,12 +55,9 @@ const AntiSpamDB = database.define('antispam', {
 // Store message timestamps per user per group
 const userMessages = new Map(); // Key: `${groupJid}:${userJid}` -> Array of timestamps
 
-// Store warn counts per user per group
-const spamWarnCounts = new Map(); // Key: `${groupJid}:${userJid}`
-
 async function initAntiSpamDB() {
     try {
-        await AntiSpamDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AntiSpam table ready');
     } catch (error) {
         console.error('Error initializing AntiSpam table:', error);
@@ -161,33 +165,24 @@ function clearAllGroupMessages(groupJid) {
 // ===== WARN FUNCTIONS =====
 
 function getSpamWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    return spamWarnCounts.get(key) || 0;
+    return getStrikeCount(groupJid, userJid, 'spam');
 }
 
 function incrementSpamWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    const current = getSpamWarnCount(groupJid, userJid);
-    spamWarnCounts.set(key, current + 1);
-    return current + 1;
+    return recordStrike(groupJid, userJid, 'spam', { reason: 'Spammed the group' });
 }
 
 function resetSpamWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    spamWarnCounts.delete(key);
+    clearStrikes(groupJid, userJid, 'spam');
 }
 
 function clearAllSpamWarns(groupJid) {
-    for (const key of spamWarnCounts.keys()) {
-        if (key.startsWith(`${groupJid}:`)) {
-            spamWarnCounts.delete(key);
-        }
-    }
+    clearGroupStrikes(groupJid, 'spam');
 }
 
 function clearAllGroupsSpamWarns() {
     userMessages.clear();
-    spamWarnCounts.clear();
+    clearGroupStrikes(null, 'spam');
 }
 
 module.exports = {
@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { recordStrike, getStrikeCount, clearStrikes, clearGroupStrikes } = require('./warn');
 
 const AntiStatusMentionDB = database.define('antistatusmention', {
     groupJid: {
@@ -30,12 +32,9 @@ const AntiStatusMentionDB = database.define('antistatusmention', {
     timestamps: true
 });
 
-// Store warn counts in memory per user per group
-const statusWarnCounts = new Map(); // Key: `${groupJid}:${userJid}`
-
 async function initAntiStatusMentionDB() {
     try {
-        await AntiStatusMentionDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AntiStatusMention table ready');
     } catch (error) {
         console.error('Error initializing AntiStatusMention table:', error);
@@ -88,32 +87,23 @@ async function getAllAntiStatusMentionGroups() {
 }
 
 function getStatusWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    return statusWarnCounts.get(key) || 0;
+    return getStrikeCount(groupJid, userJid, 'statusmention');
 }
 
 function incrementStatusWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    const current = getStatusWarnCount(groupJid, userJid);
-    statusWarnCounts.set(key, current + 1);
-    return current + 1;
+    return recordStrike(groupJid, userJid, 'statusmention', { reason: 'Mentioned the group in a status' });
 }
 
 function resetStatusWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    statusWarnCounts.delete(key);
+    clearStrikes(groupJid, userJid, 'statusmention');
 }
 
 function clearAllStatusWarns(groupJid) {
-    for (const key of statusWarnCounts.keys()) {
-        if (key.startsWith(`${groupJid}:`)) {
-            statusWarnCounts.delete(key);
-        }
-    }
+    clearGroupStrikes(groupJid, 'statusmention');
 }
 
 function clearAllGroupsStatusWarns() {
-    statusWarnCounts.clear();
+    clearGroupStrikes(null, 'statusmention');
 }
 
 async function toggleAntiStatusMention(groupJid, groupName, status, action = 'warn', warn_limit = 3) {
@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { recordStrike, getStrikeCount, clearStrikes, clearGroupStrikes } = require('./warn');
 
 const AntiStickerDB = database.define('antisticker', {
     groupJid: {
@@ -30,12 +32,9 @@ const AntiStickerDB = database.define('antisticker', {
     timestamps: true
 });
 
-// Store warn counts in memory per user per group
-const stickerWarnCounts = new Map(); // Key: `${groupJid}:${userJid}`
-
 async function initAntiStickerDB() {
     try {
-        await AntiStickerDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AntiSticker table ready');
     } catch (error) {
         console.error('Error initializing AntiSticker table:', error);
@@ -88,32 +87,23 @@ async function getAllAntiStickerGroups() {
 }
 
 function getStickerWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    return stickerWarnCounts.get(key) || 0;
+    return getStrikeCount(groupJid, userJid, 'sticker');
 }
 
 function incrementStickerWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    const current = getStickerWarnCount(groupJid, userJid);
-    stickerWarnCounts.set(key, current + 1);
-    return current + 1;
+    return recordStrike(groupJid, userJid, 'sticker', { reason: 'Sent a sticker' });
 }
 
 function resetStickerWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    stickerWarnCounts.delete(key);
+    clearStrikes(groupJid, userJid, 'sticker');
 }
 
 function clearAllStickerWarns(groupJid) {
-    for (const key of stickerWarnCounts.keys()) {
-        if (key.startsWith(`${groupJid}:`)) {
-            stickerWarnCounts.delete(key);
-        }
-    }
+    clearGroupStrikes(groupJid, 'sticker');
 }
 
 function clearAllGroupsStickerWarns() {
-    stickerWarnCounts.clear();
+    clearGroupStrikes(null, 'sticker');
 }
 
 async function toggleAntiSticker(groupJid, groupName, status, action = 'delete', warn_limit = 3) {
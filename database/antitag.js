@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { recordStrike, getStrikeCount, clearStrikes, clearGroupStrikes } = require('./warn');
 
 const AntiTagDB = database.define('antitag', {
     groupJid: {
@@ -40,12 +42,9 @@ const AntiTagDB = database.define('antitag', {
     timestamps: true
 });
 
-// Store warn counts in memory per user per group
-const tagWarnCounts = new Map(); // Key: `${groupJid}:${userJid}`
-
 async function initAntiTagDB() {
     try {
-        await AntiTagDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AntiTag table ready');
     } catch (error) {
         console.error('Error initializing AntiTag table:', error);
@@ -100,32 +99,23 @@ async function getAllAntiTagGroups() {
 }
 
 function getTagWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    return tagWarnCounts.get(key) || 0;
+    return getStrikeCount(groupJid, userJid, 'tag');
 }
 
 function incrementTagWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    const current = getTagWarnCount(groupJid, userJid);
-    tagWarnCounts.set(key, current + 1);
-    return current + 1;
+    return recordStrike(groupJid, userJid, 'tag', { reason: 'Mentioned too many members' });
 }
 
 function resetTagWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    tagWarnCounts.delete(key);
+    clearStrikes(groupJid, userJid, 'tag');
 }
 
 function clearAllTagWarns(groupJid) {
-    for (const key of tagWarnCounts.keys()) {
-        if (key.startsWith(`${groupJid}:`)) {
-            tagWarnCounts.delete(key);
-        }
-    }
+    clearGroupStrikes(groupJid, 'tag');
 }
 
 function clearAllGroupsTagWarns() {
-    tagWarnCounts.clear();
+    clearGroupStrikes(null, 'tag');
 }
 
 async function toggleAntiTag(groupJid, groupName, status, action = 'delete', warn_limit = 3, allowed_mentions = 0, exempt_admins = true) {
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
 
 const AutoBioDB = database.define('autobio', {
     status: {
@@ -18,7 +19,7 @@ const AutoBioDB = database.define('autobio', {
 
 async function initAutoBioDB() {
     try {
-        await AutoBioDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AutoBio table ready');
     } catch (error) {
         console.error('Error initializing AutoBio table:', error);
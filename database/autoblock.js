@@ -1,5 +1,8 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { recordStrike, getStrikeCount, clearStrikes, clearGroupStrikes } = require('./warn');
+const { defaultText } = require('../lib/i18n');
 
 // Main autoblock settings table
 const AutoBlockDB = database.define('autoblock', {
@@ -25,7 +28,7 @@ const AutoBlockDB = database.define('autoblock', {
     },
     block_message: {
         type: DataTypes.TEXT,
-        defaultValue: '🚫 You have been blocked for sending prohibited content.',
+        defaultValue: defaultText('autoblock.message'),
         allowNull: false
     }
 }, {
@@ -56,13 +59,9 @@ const BlockTriggersDB = database.define('blocktriggers', {
     timestamps: false
 });
 
-// Store warn counts in memory per user
-const blockWarnCounts = new Map(); // Key: userJid
-
 async function initAutoBlockDB() {
     try {
-        await AutoBlockDB.sync({ alter: true });
-        await BlockTriggersDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AutoBlock tables ready');
     } catch (error) {
         console.error('Error initializing AutoBlock tables:', error);
@@ -80,7 +79,7 @@ async function getAutoBlockSettings() {
                 status: 'off',
                 action: 'block',
                 warn_limit: 3,
-                block_message: '🚫 You have been blocked for sending prohibited content.'
+                block_message: defaultText('autoblock.message')
             }
         });
         return settings;
@@ -90,7 +89,7 @@ async function getAutoBlockSettings() {
             status: 'off',
             action: 'block',
             warn_limit: 3,
-            block_message: '🚫 You have been blocked for sending prohibited content.'
+            block_message: defaultText('autoblock.message')
         };
     }
 }
@@ -180,6 +179,11 @@ async function clearAllTriggerWords() {
 
 // ===== DETECTION FUNCTION =====
 
+// Words are user input, characters like + or ( must match literally
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function containsTriggerWord(text, triggerWordsList) {
     if (!text || !triggerWordsList.length) return false;
     
@@ -188,7 +192,7 @@ function containsTriggerWord(text, triggerWordsList) {
     // Check each trigger word
     return triggerWordsList.some(trigger => {
         // Check exact word boundaries
-        const regex = new RegExp(`\\b${trigger}\\b`, 'i');
+        const regex = new RegExp(`\\b${escapeRegExp(trigger)}\\b`, 'i');
         if (regex.test(lowerText)) return true;
         
         // Check if word appears as part of text
@@ -201,21 +205,19 @@ function containsTriggerWord(text, triggerWordsList) {
 // ===== WARN FUNCTIONS =====
 
 function getBlockWarnCount(userJid) {
-    return blockWarnCounts.get(userJid) || 0;
+    return getStrikeCount(userJid, userJid, 'block');
 }
 
 function incrementBlockWarnCount(userJid) {
-    const current = getBlockWarnCount(userJid);
-    blockWarnCounts.set(userJid, current + 1);
-    return current + 1;
+    return recordStrike(userJid, userJid, 'block', { reason: 'Sent a blocked trigger word' });
 }
 
 function resetBlockWarnCount(userJid) {
-    blockWarnCounts.delete(userJid);
+    clearStrikes(userJid, userJid, 'block');
 }
 
 function clearAllBlockWarns() {
-    blockWarnCounts.clear();
+    clearGroupStrikes(null, 'block');
 }
 
 module.exports = {
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
 
 const AutoReadDB = database.define('autoread', {
     status: {
@@ -18,7 +19,7 @@ const AutoReadDB = database.define('autoread', {
 
 async function initAutoReadDB() {
     try {
-        await AutoReadDB.sync({ alter: true });
+        await ensureSchema();
         console.log('AutoRead table ready');
     } catch (error) {
         console.error('Error initializing AutoRead table:', error);
@@ -7,6 +7,7 @@ const {
   autostatusStatusReplyText, 
   autostatusStatusLikeEmojis 
 } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
 
 const AutoStatusDB = database.define('autostatus', {
   autoviewStatus: {
@@ -43,7 +44,7 @@ const AutoStatusDB = database.define('autostatus', {
 
 async function initAutoStatusDB() {
   try {
-    await AutoStatusDB.sync({ alter: true });
+    await ensureSchema();
     console.log('AutoStatus table ready');
     
     // Initialize with default values if empty
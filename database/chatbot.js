@@ -1,4 +1,5 @@
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
 const { DataTypes } = require('sequelize');
 
 // Define chatbot conversation table
@@ -89,8 +90,7 @@ const availableVoices = [
 // Initialize both tables
 async function initChatbotDB() {
     try {
-        await ChatbotConversationDB.sync({ alter: true });
-        await ChatbotSettingsDB.sync({ alter: true });
+        await ensureSchema();
         console.log('Chatbot tables ready');
     } catch (error) {
         console.error('Error initializing Chatbot tables:', error);
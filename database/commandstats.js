@@ -0,0 +1,211 @@
+const { DataTypes, Op, fn, col, literal } = require('sequelize');
+const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+
+const CommandUsageDB = database.define('command_usage', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    command: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    chatJid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    userJid: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    isGroup: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+    },
+    duration: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0, // Milliseconds from dispatch to finish
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('success', 'failure', 'blocked'),
+        defaultValue: 'success',
+        allowNull: false
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['command'] },
+        { fields: ['chatJid'] },
+        { fields: ['createdAt'] }
+    ]
+});
+
+async function initCommandStatsDB() {
+    try {
+        await ensureSchema();
+        console.log('CommandUsage table ready');
+    } catch (error) {
+        console.error('Error initializing CommandUsage table:', error);
+        throw error;
+    }
+}
+
+async function recordCommandUsage({ command, chatJid, userJid, duration, status, error }) {
+    try {
+        return await CommandUsageDB.create({
+            command,
+            chatJid,
+            userJid,
+            isGroup: String(chatJid).endsWith('@g.us'),
+            duration: Math.round(duration || 0),
+            status,
+            error: error ? String(error.message || error).slice(0, 500) : null
+        });
+    } catch (err) {
+        console.error('Error recording command usage:', err);
+        return null;
+    }
+}
+
+// { from, to } are optional Dates, chatJid narrows to a single chat
+function buildWhere({ from, to, chatJid } = {}) {
+    const where = {};
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt[Op.gte] = from;
+        if (to) where.createdAt[Op.lte] = to;
+    }
+    if (chatJid) where.chatJid = chatJid;
+    return where;
+}
+
+const failureCount = literal("SUM(CASE WHEN status = 'failure' THEN 1 ELSE 0 END)");
+
+// Dispatches stopped by a permission, cooldown or group toggle never reached the handler,
+// so they are not uses; top commands lists them in their own column
+const ran = { status: { [Op.ne]: 'blocked' } };
+const useCount = literal("SUM(CASE WHEN status <> 'blocked' THEN 1 ELSE 0 END)");
+const blockedCount = literal("SUM(CASE WHEN status = 'blocked' THEN 1 ELSE 0 END)");
+
+async function getTopCommands(range = {}, limit = 10) {
+    try {
+        return await CommandUsageDB.findAll({
+            attributes: ['command', [useCount, 'uses'], [blockedCount, 'blocked']],
+            where: buildWhere(range),
+            group: ['command'],
+            order: [[literal('uses'), 'DESC'], [literal('blocked'), 'DESC']],
+            limit,
+            raw: true
+        });
+    } catch (error) {
+        console.error('Error getting top commands:', error);
+        return [];
+    }
+}
+
+async function getSlowestCommands(range = {}, limit = 10) {
+    try {
+        return await CommandUsageDB.findAll({
+            attributes: [
+                'command',
+                [fn('AVG', col('duration')), 'avgDuration'],
+                [fn('MAX', col('duration')), 'maxDuration'],
+                [fn('COUNT', col('id')), 'uses']
+            ],
+            where: { ...buildWhere(range), ...ran },
+            group: ['command'],
+            order: [[literal('"avgDuration"'), 'DESC']],
+            limit,
+            raw: true
+        });
+    } catch (error) {
+        console.error('Error getting slowest commands:', error);
+        return [];
+    }
+}
+
+async function getErrorRates(range = {}, limit = 10) {
+    try {
+        const rows = await CommandUsageDB.findAll({
+            attributes: [
+                'command',
+                [fn('COUNT', col('id')), 'uses'],
+                [failureCount, 'failures']
+            ],
+            where: { ...buildWhere(range), ...ran },
+            group: ['command'],
+            having: literal("SUM(CASE WHEN status = 'failure' THEN 1 ELSE 0 END) > 0"),
+            raw: true
+        });
+
+        return rows
+            .map(row => ({
+                command: row.command,
+                uses: Number(row.uses),
+                failures: Number(row.failures),
+                rate: Number(row.failures) / Number(row.uses)
+            }))
+            .sort((a, b) => b.rate - a.rate || b.failures - a.failures)
+            .slice(0, limit);
+    } catch (error) {
+        console.error('Error getting command error rates:', error);
+        return [];
+    }
+}
+
+async function getGroupActivity(chatJid, range = {}) {
+    try {
+        const where = { ...buildWhere({ ...range, chatJid }), ...ran };
+
+        const [total, failures, blocked, users, topCommands, topUsers] = await Promise.all([
+            CommandUsageDB.count({ where }),
+            CommandUsageDB.count({ where: { ...where, status: 'failure' } }),
+            CommandUsageDB.count({ where: { ...where, status: 'blocked' } }),
+            CommandUsageDB.count({ where, distinct: true, col: 'userJid' }),
+            CommandUsageDB.findAll({
+                attributes: ['command', [fn('COUNT', col('id')), 'uses']],
+                where,
+                group: ['command'],
+                order: [[literal('uses'), 'DESC']],
+                limit: 5,
+                raw: true
+            }),
+            CommandUsageDB.findAll({
+                attributes: ['userJid', [fn('COUNT', col('id')), 'uses']],
+                where,
+                group: ['userJid'],
+                order: [[literal('uses'), 'DESC']],
+                limit: 5,
+                raw: true
+            })
+        ]);
+
+        return { chatJid, total, failures, blocked, users, topCommands, topUsers };
+    } catch (error) {
+        console.error('Error getting group activity:', error);
+        return null;
+    }
+}
+
+initCommandStatsDB().catch(err => {
+    console.error('❌ Failed to initialize command stats database:', err);
+});
+
+module.exports = {
+    initCommandStatsDB,
+    recordCommandUsage,
+    getTopCommands,
+    getSlowestCommands,
+    getErrorRates,
+    getGroupActivity,
+    CommandUsageDB
+};
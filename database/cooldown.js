@@ -0,0 +1,126 @@
+const { DataTypes, Op } = require('sequelize');
+const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+
+const CooldownDB = database.define('command_cooldowns', {
+    bucket: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    timestamps: false
+});
+
+// In-memory copy of the table so the hot path never waits on the database
+const cooldownCache = new Map(); // Key: bucket -> expiry timestamp (ms)
+
+async function initCooldownDB() {
+    try {
+        await ensureSchema();
+        await CooldownDB.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+
+        const active = await CooldownDB.findAll();
+        active.forEach(row => cooldownCache.set(row.bucket, new Date(row.expiresAt).getTime()));
+        console.log(`Cooldown table ready (${active.length} active)`);
+    } catch (error) {
+        console.error('Error initializing Cooldown table:', error);
+        throw error;
+    }
+}
+
+// Seconds left on a bucket, 0 when it is free
+function getCooldownRemaining(bucket) {
+    const expiresAt = cooldownCache.get(bucket);
+    if (!expiresAt) return 0;
+
+    const remaining = expiresAt - Date.now();
+    if (remaining <= 0) {
+        cooldownCache.delete(bucket);
+        return 0;
+    }
+    return Math.ceil(remaining / 1000);
+}
+
+// The cache is already updated, this only makes the cooldown survive a restart
+async function saveCooldown(bucket, expiresAt) {
+    try {
+        await CooldownDB.upsert({ bucket, expiresAt: new Date(expiresAt) });
+    } catch (error) {
+        console.error('Error saving cooldown:', error);
+    }
+}
+
+async function setCooldown(bucket, seconds) {
+    const expiresAt = Date.now() + seconds * 1000;
+    cooldownCache.set(bucket, expiresAt);
+    await saveCooldown(bucket, expiresAt);
+}
+
+/**
+ * Checks and starts several buckets ([{ bucket, seconds }]) in one step: nothing is awaited
+ * between the check and the cache update, so two messages arriving together cannot both pass.
+ * Resolves 0 when every bucket was free and is now running, otherwise the seconds left.
+ */
+async function takeCooldowns(buckets) {
+    const remaining = Math.max(0, ...buckets.map(({ bucket }) => getCooldownRemaining(bucket)));
+    if (remaining > 0) return remaining;
+
+    const now = Date.now();
+    const started = buckets.map(({ bucket, seconds }) => ({ bucket, expiresAt: now + seconds * 1000 }));
+    started.forEach(({ bucket, expiresAt }) => cooldownCache.set(bucket, expiresAt));
+    await Promise.all(started.map(({ bucket, expiresAt }) => saveCooldown(bucket, expiresAt)));
+    return 0;
+}
+
+// "a_b%" -> "a!_b!%", so LIKE matches the prefix literally (used with ESCAPE '!')
+function escapeLike(text) {
+    return text.replace(/[!%_]/g, '!$&');
+}
+
+async function clearCooldowns(prefix = '') {
+    try {
+        for (const bucket of cooldownCache.keys()) {
+            if (bucket.startsWith(prefix)) cooldownCache.delete(bucket);
+        }
+        const pattern = database.literal(`${database.escape(`${escapeLike(prefix)}%`)} ESCAPE '!'`);
+        await CooldownDB.destroy({ where: prefix ? { bucket: { [Op.like]: pattern } } : {} });
+        return true;
+    } catch (error) {
+        console.error('Error clearing cooldowns:', error);
+        return false;
+    }
+}
+
+async function pruneExpiredCooldowns() {
+    try {
+        const now = Date.now();
+        for (const [bucket, expiresAt] of cooldownCache) {
+            if (expiresAt <= now) cooldownCache.delete(bucket);
+        }
+        return await CooldownDB.destroy({ where: { expiresAt: { [Op.lte]: new Date(now) } } });
+    } catch (error) {
+        console.error('Error pruning cooldowns:', error);
+        return 0;
+    }
+}
+
+initCooldownDB().catch(err => {
+    console.error('❌ Failed to initialize cooldown database:', err);
+});
+
+setInterval(pruneExpiredCooldowns, 10 * 60 * 1000).unref();
+
+module.exports = {
+    initCooldownDB,
+    getCooldownRemaining,
+    setCooldown,
+    takeCooldowns,
+    clearCooldowns,
+    pruneExpiredCooldowns,
+    CooldownDB
+};
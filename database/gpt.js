@@ -1,4 +1,5 @@
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
 const { DataTypes } = require('sequelize');
 
 const GptConversationDB = database.define('gpt_conversations', {
@@ -29,7 +30,7 @@ const GptConversationDB = database.define('gpt_conversations', {
 
 async function initGptDB() {
     try {
-        await GptConversationDB.sync({ alter: true });
+        await ensureSchema();
         console.log('GPT Conversations table ready');
     } catch (error) {
         console.error('Error initializing GPT table:', error);
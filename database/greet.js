@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { defaultText, localizeRecord } = require('../lib/i18n');
 
 const GreetDB = database.define('greet', {
     enabled: {
@@ -9,7 +11,7 @@ const GreetDB = database.define('greet', {
     },
     message: {
         type: DataTypes.TEXT,
-        defaultValue: "Hello @user 👋\nWelcome to my chat!\nHow can I help you today?",
+        defaultValue: defaultText('greet.message'),
         allowNull: false
     }
 }, {
@@ -21,7 +23,7 @@ const repliedContacts = new Set();
 
 async function initGreetDB() {
     try {
-        await GreetDB.sync({ alter: true });
+        await ensureSchema();
         console.log('Greet table ready');
     } catch (error) {
         console.error('Error initializing Greet table:', error);
@@ -29,18 +31,16 @@ async function initGreetDB() {
     }
 }
 
-async function getGreetSettings() {
+// The greeting comes in the contact's language while it is still the default
+async function getGreetSettings(chatJid) {
     try {
-        const settings = await GreetDB.findOne();
-        if (!settings) {
-            return await GreetDB.create({});
-        }
-        return settings;
+        const settings = await GreetDB.findOne() || await GreetDB.create({});
+        return await localizeRecord(settings, { message: 'greet.message' }, chatJid, chatJid);
     } catch (error) {
         console.error('Error getting greet settings:', error);
         return { 
             enabled: false,
-            message: "Hello @user 👋\nWelcome to my chat!"
+            message: defaultText('greet.message')
         };
     }
 }
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+
+// Members kicked for good, removed again whenever they are added back
+const GroupBansDB = database.define('group_bans', {
+    groupJid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    userJid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    bannedBy: { // Admin JID, or 'system' when an escalation ladder banned them
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['groupJid', 'userJid'] }
+    ]
+});
+
+async function initGroupBansDB() {
+    try {
+        await ensureSchema();
+        console.log('GroupBans table ready');
+    } catch (error) {
+        console.error('Error initializing GroupBans table:', error);
+        throw error;
+    }
+}
+
+async function addBan(groupJid, userJid, bannedBy, reason = null) {
+    try {
+        const [ban, created] = await GroupBansDB.findOrCreate({
+            where: { groupJid, userJid },
+            defaults: { groupJid, userJid, bannedBy, reason }
+        });
+        if (!created) await ban.update({ bannedBy, reason });
+        return ban;
+    } catch (error) {
+        console.error('Error adding ban:', error);
+        return null;
+    }
+}
+
+async function removeBan(groupJid, userJid) {
+    try {
+        return (await GroupBansDB.destroy({ where: { groupJid, userJid } })) > 0;
+    } catch (error) {
+        console.error('Error removing ban:', error);
+        return false;
+    }
+}
+
+async function isBanned(groupJid, userJid) {
+    try {
+        return (await GroupBansDB.count({ where: { groupJid, userJid } })) > 0;
+    } catch (error) {
+        console.error('Error checking ban:', error);
+        return false;
+    }
+}
+
+async function getBans(groupJid) {
+    try {
+        return await GroupBansDB.findAll({ where: { groupJid }, order: [['createdAt', 'DESC']] });
+    } catch (error) {
+        console.error('Error getting bans:', error);
+        return [];
+    }
+}
+
+initGroupBansDB().catch(err => {
+    console.error('❌ Failed to initialize group bans database:', err);
+});
+
+module.exports = {
+    initGroupBansDB,
+    addBan,
+    removeBan,
+    isBanned,
+    getBans,
+    GroupBansDB
+};
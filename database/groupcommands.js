@@ -0,0 +1,160 @@
+const { DataTypes } = require('sequelize');
+const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+
+const GroupCommandsDB = database.define('group_commands', {
+    groupJid: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    groupName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    disabled_commands: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        allowNull: false
+    },
+    disabled_categories: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        allowNull: false
+    }
+}, {
+    timestamps: true
+});
+
+// Cache per group so the dispatch check does not hit the database on every command
+const groupCache = new Map(); // Key: groupJid -> { commands: Set, categories: Set }
+
+async function initGroupCommandsDB() {
+    try {
+        await ensureSchema();
+        console.log('GroupCommands table ready');
+    } catch (error) {
+        console.error('Error initializing GroupCommands table:', error);
+        throw error;
+    }
+}
+
+function cacheSettings(settings) {
+    const entry = {
+        commands: new Set(settings.disabled_commands || []),
+        categories: new Set(settings.disabled_categories || [])
+    };
+    groupCache.set(settings.groupJid, entry);
+    return entry;
+}
+
+async function getGroupCommandSettings(groupJid) {
+    try {
+        if (!groupJid) return null;
+
+        const [settings] = await GroupCommandsDB.findOrCreate({
+            where: { groupJid: groupJid },
+            defaults: {
+                groupJid: groupJid,
+                disabled_commands: [],
+                disabled_categories: []
+            }
+        });
+        return settings;
+    } catch (error) {
+        console.error('Error getting group command settings:', error);
+        return null;
+    }
+}
+
+async function getDisabledEntries(groupJid) {
+    if (groupCache.has(groupJid)) return groupCache.get(groupJid);
+
+    try {
+        const settings = await GroupCommandsDB.findOne({ where: { groupJid } });
+        if (!settings) {
+            const empty = { commands: new Set(), categories: new Set() };
+            groupCache.set(groupJid, empty);
+            return empty;
+        }
+        return cacheSettings(settings);
+    } catch (error) {
+        console.error('Error getting disabled commands:', error);
+        return { commands: new Set(), categories: new Set() };
+    }
+}
+
+async function isCommandDisabled(groupJid, commandName, category) {
+    const disabled = await getDisabledEntries(groupJid);
+    return disabled.commands.has(String(commandName).toLowerCase()) ||
+        disabled.categories.has(String(category).toLowerCase());
+}
+
+// type is 'command' or 'category'
+async function setDisabled(groupJid, type, name, disabled, groupName) {
+    try {
+        const settings = await getGroupCommandSettings(groupJid);
+        if (!settings) return null;
+
+        const field = type === 'category' ? 'disabled_categories' : 'disabled_commands';
+        const value = String(name).toLowerCase();
+        const list = new Set(settings[field] || []);
+
+        if (disabled) list.add(value);
+        else list.delete(value);
+
+        const updates = { [field]: [...list] };
+        if (groupName) updates.groupName = groupName;
+        await settings.update(updates);
+
+        cacheSettings(settings);
+        return settings;
+    } catch (error) {
+        console.error('Error updating disabled commands:', error);
+        return null;
+    }
+}
+
+async function disableCommand(groupJid, name, groupName) {
+    return setDisabled(groupJid, 'command', name, true, groupName);
+}
+
+async function enableCommand(groupJid, name) {
+    return setDisabled(groupJid, 'command', name, false);
+}
+
+async function disableCategory(groupJid, name, groupName) {
+    return setDisabled(groupJid, 'category', name, true, groupName);
+}
+
+async function enableCategory(groupJid, name) {
+    return setDisabled(groupJid, 'category', name, false);
+}
+
+async function clearDisabled(groupJid) {
+    try {
+        await GroupCommandsDB.destroy({ where: { groupJid } });
+        groupCache.delete(groupJid);
+        return true;
+    } catch (error) {
+        console.error('Error clearing disabled commands:', error);
+        return false;
+    }
+}
+
+initGroupCommandsDB().catch(err => {
+    console.error('❌ Failed to initialize group commands database:', err);
+});
+
+module.exports = {
+    initGroupCommandsDB,
+    getGroupCommandSettings,
+    getDisabledEntries,
+    isCommandDisabled,
+    disableCommand,
+    enableCommand,
+    disableCategory,
+    enableCategory,
+    clearDisabled,
+    GroupCommandsDB
+};
@@ -1,5 +1,8 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { recordStrike, getStrikeCount, clearStrikes, clearGroupStrikes } = require('./warn');
+const { defaultText, localizeRecord } = require('../lib/i18n');
 
 const GroupEventsDB = database.define('groupevents', {
     groupJid: {
@@ -18,12 +21,12 @@ const GroupEventsDB = database.define('groupevents', {
     },
     welcomeMessage: {
         type: DataTypes.TEXT,
-        defaultValue: "Hey @user 👋\nWelcome to *{group}*.\nYou're member #{count}.\nTime: *{time}*\nDescription: {desc}",
+        defaultValue: defaultText('groupevents.welcome'),
         allowNull: false
     },
     goodbyeMessage: {
         type: DataTypes.TEXT,
-        defaultValue: "Goodbye @user 😔\nLeft at: *{time}*\nMembers left: {count}",
+        defaultValue: defaultText('groupevents.goodbye'),
         allowNull: false
     },
     showPromotions: {
@@ -60,13 +63,9 @@ const GroupEventsDB = database.define('groupevents', {
     timestamps: true
 });
 
-// Store warn counts in memory per user per group
-const antiPromoteWarnCounts = new Map(); // Key: `${groupJid}:${userJid}`
-const antiDemoteWarnCounts = new Map(); // Key: `${groupJid}:${userJid}`
-
 async function initGroupEventsDB() {
     try {
-        await GroupEventsDB.sync({ alter: true });
+        await ensureSchema();
         console.log('GroupEvents table ready');
     } catch (error) {
         console.error('Error initializing GroupEvents table:', error);
@@ -83,8 +82,8 @@ async function getGroupEventsSettings(groupJid) {
             defaults: { 
                 groupJid: groupJid,
                 enabled: false,
-                welcomeMessage: "Hey @user 👋\nWelcome to *{group}*.\nYou're member #{count}.\nTime: *{time}*\nDescription: {desc}",
-                goodbyeMessage: "Goodbye @user 😔\nLeft at: *{time}*\nMembers left: {count}",
+                welcomeMessage: defaultText('groupevents.welcome'),
+                goodbyeMessage: defaultText('groupevents.goodbye'),
                 showPromotions: true,
                 antiPromote: 'off',
                 antiPromoteAction: 'demote',
@@ -93,7 +92,11 @@ async function getGroupEventsSettings(groupJid) {
                 warn_limit: 3
             }
         });
-        return settings;
+        // Default welcome and goodbye texts come in the group's language
+        return await localizeRecord(settings, {
+            welcomeMessage: 'groupevents.welcome',
+            goodbyeMessage: 'groupevents.goodbye'
+        }, groupJid);
     } catch (error) {
         console.error('Error getting group events settings:', error);
         return null;
@@ -126,52 +129,34 @@ async function getAllGroupEventsGroups() {
 
 // Anti-Promote warn functions
 function getAntiPromoteWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    return antiPromoteWarnCounts.get(key) || 0;
+    return getStrikeCount(groupJid, userJid, 'promote');
 }
 
 function incrementAntiPromoteWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    const current = getAntiPromoteWarnCount(groupJid, userJid);
-    antiPromoteWarnCounts.set(key, current + 1);
-    return current + 1;
+    return recordStrike(groupJid, userJid, 'promote', { reason: 'Promoted a member without permission' });
 }
 
 function resetAntiPromoteWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    antiPromoteWarnCounts.delete(key);
+    clearStrikes(groupJid, userJid, 'promote');
 }
 
 // Anti-Demote warn functions
 function getAntiDemoteWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    return antiDemoteWarnCounts.get(key) || 0;
+    return getStrikeCount(groupJid, userJid, 'demote');
 }
 
 function incrementAntiDemoteWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    const current = getAntiDemoteWarnCount(groupJid, userJid);
-    antiDemoteWarnCounts.set(key, current + 1);
-    return current + 1;
+    return recordStrike(groupJid, userJid, 'demote', { reason: 'Demoted an admin without permission' });
 }
 
 function resetAntiDemoteWarnCount(groupJid, userJid) {
-    const key = `${groupJid}:${userJid}`;
-    antiDemoteWarnCounts.delete(key);
+    clearStrikes(groupJid, userJid, 'demote');
 }
 
 // Clear all warns for a group
 function clearAllWarns(groupJid) {
-    for (const key of antiPromoteWarnCounts.keys()) {
-        if (key.startsWith(`${groupJid}:`)) {
-            antiPromoteWarnCounts.delete(key);
-        }
-    }
-    for (const key of antiDemoteWarnCounts.keys()) {
-        if (key.startsWith(`${groupJid}:`)) {
-            antiDemoteWarnCounts.delete(key);
-        }
-    }
+    clearGroupStrikes(groupJid, 'promote');
+    clearGroupStrikes(groupJid, 'demote');
 }
 
 module.exports = {
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+
+const GroupPrefixDB = database.define('group_prefixes', {
+    groupJid: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    groupName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    prefixes: { // Replaces the global prefixes in this group
+        type: DataTypes.JSON,
+        defaultValue: [],
+        allowNull: false
+    }
+}, {
+    timestamps: true
+});
+
+// Every message looks its group up, so keep the answer in memory
+const prefixCache = new Map(); // Key: groupJid -> array of prefixes, or null when the group has no override
+
+async function initGroupPrefixDB() {
+    try {
+        await ensureSchema();
+        console.log('GroupPrefix table ready');
+    } catch (error) {
+        console.error('Error initializing GroupPrefix table:', error);
+        throw error;
+    }
+}
+
+async function getGroupPrefixes(groupJid) {
+    if (prefixCache.has(groupJid)) return prefixCache.get(groupJid);
+
+    try {
+        const entry = await GroupPrefixDB.findOne({ where: { groupJid } });
+        const prefixes = entry && entry.prefixes.length ? entry.prefixes : null;
+        prefixCache.set(groupJid, prefixes);
+        return prefixes;
+    } catch (error) {
+        console.error('Error getting group prefixes:', error);
+        return null;
+    }
+}
+
+async function setGroupPrefixes(groupJid, prefixes, groupName) {
+    try {
+        const [entry, created] = await GroupPrefixDB.findOrCreate({
+            where: { groupJid },
+            defaults: { groupJid, groupName, prefixes }
+        });
+
+        if (!created) {
+            const updates = { prefixes };
+            if (groupName) updates.groupName = groupName;
+            await entry.update(updates);
+        }
+        prefixCache.set(groupJid, prefixes);
+        return entry;
+    } catch (error) {
+        console.error('Error setting group prefixes:', error);
+        return null;
+    }
+}
+
+async function clearGroupPrefixes(groupJid) {
+    try {
+        await GroupPrefixDB.destroy({ where: { groupJid } });
+        prefixCache.set(groupJid, null);
+        return true;
+    } catch (error) {
+        console.error('Error clearing group prefixes:', error);
+        return false;
+    }
+}
+
+initGroupPrefixDB().catch(err => {
+    console.error('❌ Failed to initialize group prefix database:', err);
+});
+
+module.exports = {
+    initGroupPrefixDB,
+    getGroupPrefixes,
+    setGroupPrefixes,
+    clearGroupPrefixes,
+    GroupPrefixDB
+};
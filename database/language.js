@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+
+const LanguageDB = database.define('languages', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    jid: { // chat JID for chat preferences, user JID for personal ones
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    scope: {
+        type: DataTypes.ENUM('chat', 'user'),
+        defaultValue: 'chat',
+        allowNull: false
+    },
+    language: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+    }
+}, {
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['jid', 'scope'] }
+    ]
+});
+
+// Replies look the language up every time, so keep it in memory
+const languageCache = new Map(); // Key: `${scope}:${jid}` -> language code or null
+
+async function initLanguageDB() {
+    try {
+        await ensureSchema();
+        console.log('Language table ready');
+    } catch (error) {
+        console.error('Error initializing Language table:', error);
+        throw error;
+    }
+}
+
+async function getLanguage(jid, scope = 'chat') {
+    if (!jid) return null;
+    const key = `${scope}:${jid}`;
+    if (languageCache.has(key)) return languageCache.get(key);
+
+    try {
+        const entry = await LanguageDB.findOne({ where: { jid, scope } });
+        const language = entry ? entry.language : null;
+        languageCache.set(key, language);
+        return language;
+    } catch (error) {
+        console.error('Error getting language:', error);
+        return null;
+    }
+}
+
+async function setLanguage(jid, scope, language) {
+    try {
+        const [entry, created] = await LanguageDB.findOrCreate({
+            where: { jid, scope },
+            defaults: { jid, scope, language }
+        });
+        if (!created) await entry.update({ language });
+
+        languageCache.set(`${scope}:${jid}`, language);
+        return entry;
+    } catch (error) {
+        console.error('Error setting language:', error);
+        return null;
+    }
+}
+
+async function clearLanguage(jid, scope) {
+    try {
+        await LanguageDB.destroy({ where: { jid, scope } });
+        languageCache.set(`${scope}:${jid}`, null);
+        return true;
+    } catch (error) {
+        console.error('Error clearing language:', error);
+        return false;
+    }
+}
+
+initLanguageDB().catch(err => {
+    console.error('❌ Failed to initialize language database:', err);
+});
+
+module.exports = {
+    initLanguageDB,
+    getLanguage,
+    setLanguage,
+    clearLanguage,
+    LanguageDB
+};
@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+
+const MacrosDB = database.define('macros', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    scope: {
+        type: DataTypes.ENUM('chat', 'user'),
+        defaultValue: 'chat',
+        allowNull: false
+    },
+    ownerJid: { // chat JID for chat macros, user JID for personal ones
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    steps: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        allowNull: false
+    },
+    created_by: {
+        type: DataTypes.STRING,
+        allowNull: false
+    }
+}, {
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['name', 'scope', 'ownerJid'] }
+    ]
+});
+
+async function initMacrosDB() {
+    try {
+        await ensureSchema();
+        console.log('Macros table ready');
+    } catch (error) {
+        console.error('Error initializing Macros table:', error);
+        throw error;
+    }
+}
+
+async function saveMacro(name, scope, ownerJid, steps, createdBy) {
+    try {
+        const normalizedName = name.toLowerCase().trim();
+        const [macro, created] = await MacrosDB.findOrCreate({
+            where: { name: normalizedName, scope, ownerJid },
+            defaults: { name: normalizedName, scope, ownerJid, steps, created_by: createdBy }
+        });
+
+        if (!created) {
+            await macro.update({ steps, created_by: createdBy });
+        }
+        return { success: true, created, macro };
+    } catch (error) {
+        console.error('Error saving macro:', error);
+        return { success: false, message: 'Database error' };
+    }
+}
+
+async function deleteMacro(name, scope, ownerJid) {
+    try {
+        const deleted = await MacrosDB.destroy({
+            where: { name: name.toLowerCase().trim(), scope, ownerJid }
+        });
+        return deleted > 0;
+    } catch (error) {
+        console.error('Error deleting macro:', error);
+        return false;
+    }
+}
+
+// Personal macros win over the chat's macros
+async function findMacro(name, chatJid, userJid) {
+    try {
+        const normalizedName = String(name).toLowerCase().trim();
+        const userMacro = userJid && await MacrosDB.findOne({
+            where: { name: normalizedName, scope: 'user', ownerJid: userJid }
+        });
+        if (userMacro) return userMacro;
+
+        return await MacrosDB.findOne({
+            where: { name: normalizedName, scope: 'chat', ownerJid: chatJid }
+        });
+    } catch (error) {
+        console.error('Error finding macro:', error);
+        return null;
+    }
+}
+
+async function getMacros(chatJid, userJid) {
+    try {
+        const [chatMacros, userMacros] = await Promise.all([
+            MacrosDB.findAll({ where: { scope: 'chat', ownerJid: chatJid }, order: [['name', 'ASC']] }),
+            userJid ? MacrosDB.findAll({ where: { scope: 'user', ownerJid: userJid }, order: [['name', 'ASC']] }) : []
+        ]);
+        return { chat: chatMacros, user: userMacros };
+    } catch (error) {
+        console.error('Error getting macros:', error);
+        return { chat: [], user: [] };
+    }
+}
+
+initMacrosDB().catch(err => {
+    console.error('❌ Failed to initialize macros database:', err);
+});
+
+module.exports = {
+    initMacrosDB,
+    saveMacro,
+    deleteMacro,
+    findMacro,
+    getMacros,
+    MacrosDB
+};
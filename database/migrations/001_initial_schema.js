@@ -0,0 +1,377 @@
+const { DataTypes } = require('sequelize');
+
+// Baseline: every table as it was while the modules still created themselves with sync({ alter: true }).
+// Databases from those versions already have these tables, existing ones only get the columns they lack.
+const tables = {
+    antibads: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        status: { type: DataTypes.ENUM('off', 'on'), defaultValue: 'off', allowNull: false },
+        action: { type: DataTypes.ENUM('delete', 'remove', 'warn'), defaultValue: 'delete', allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        filter_type: { type: DataTypes.ENUM('strict', 'normal', 'loose'), defaultValue: 'normal', allowNull: false },
+        exempt_admins: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    anticalls: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        status: { type: DataTypes.BOOLEAN, defaultValue: false, allowNull: false },
+        message: { type: DataTypes.STRING, defaultValue: '📵 Calls are not accepted! Please text instead.', allowNull: false },
+        action: { type: DataTypes.ENUM('reject', 'block', 'warn'), defaultValue: 'reject', allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    antideletes: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        status: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        notification: { type: DataTypes.STRING, defaultValue: ' *Keith antiDelete*', allowNull: false },
+        includeGroupInfo: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        sendToOwner: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        includeMedia: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    antilinks: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        status: { type: DataTypes.ENUM('off', 'on'), defaultValue: 'off', allowNull: false },
+        action: { type: DataTypes.ENUM('warn', 'delete', 'remove'), defaultValue: 'warn', allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    antispams: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        status: { type: DataTypes.ENUM('off', 'on'), defaultValue: 'off', allowNull: false },
+        action: { type: DataTypes.ENUM('delete', 'remove', 'warn'), defaultValue: 'warn', allowNull: false },
+        message_limit: { type: DataTypes.INTEGER, defaultValue: 5, allowNull: false },
+        time_window: { type: DataTypes.INTEGER, defaultValue: 5, allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        exempt_admins: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    antistatusmentions: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        status: { type: DataTypes.ENUM('off', 'on'), defaultValue: 'off', allowNull: false },
+        action: { type: DataTypes.ENUM('warn', 'delete', 'remove'), defaultValue: 'warn', allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    antistickers: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        status: { type: DataTypes.ENUM('off', 'on'), defaultValue: 'off', allowNull: false },
+        action: { type: DataTypes.ENUM('delete', 'remove', 'warn'), defaultValue: 'delete', allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    antitags: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        status: { type: DataTypes.ENUM('off', 'on'), defaultValue: 'off', allowNull: false },
+        action: { type: DataTypes.ENUM('delete', 'remove', 'warn'), defaultValue: 'delete', allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        allowed_mentions: { type: DataTypes.INTEGER, defaultValue: 0, allowNull: false },
+        exempt_admins: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    autobios: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        status: { type: DataTypes.ENUM('on', 'off'), defaultValue: 'off', allowNull: false },
+        message: { type: DataTypes.STRING, defaultValue: 'KEITH-MD Always active!', allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    autoblocks: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        status: { type: DataTypes.ENUM('on', 'off'), defaultValue: 'off', allowNull: false },
+        action: { type: DataTypes.ENUM('block', 'delete', 'warn'), defaultValue: 'block', allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        block_message: { type: DataTypes.TEXT, defaultValue: '🚫 You have been blocked for sending prohibited content.', allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    autoreads: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        status: { type: DataTypes.BOOLEAN, defaultValue: false, allowNull: false },
+        chatTypes: { type: DataTypes.JSON, defaultValue: ['private','group'], allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    autostatuses: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        autoviewStatus: { type: DataTypes.STRING, defaultValue: 'true', allowNull: false },
+        autoLikeStatus: { type: DataTypes.STRING, defaultValue: 'false', allowNull: false },
+        autoReplyStatus: { type: DataTypes.STRING, defaultValue: 'false', allowNull: false },
+        statusReplyText: { type: DataTypes.TEXT, defaultValue: '✅ Status Viewed By Keith Md', allowNull: false },
+        statusLikeEmojis: { type: DataTypes.TEXT, defaultValue: '💛,❤️,💜,🤍,💙', allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    badwords: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, allowNull: false },
+        word: { type: DataTypes.STRING, allowNull: false },
+        added_by: { type: DataTypes.STRING, allowNull: false },
+        added_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW, allowNull: true }
+    },
+    blocktriggers: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        word: { type: DataTypes.STRING, unique: true, allowNull: false },
+        added_by: { type: DataTypes.STRING, allowNull: false },
+        added_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW, allowNull: true }
+    },
+    bot_settings: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        prefix: { type: DataTypes.STRING, defaultValue: '.', allowNull: false },
+        prefixes: { type: DataTypes.JSON, defaultValue: [], allowNull: false },
+        prefixlessPrivate: { type: DataTypes.BOOLEAN, defaultValue: false, allowNull: false },
+        mentionPrefix: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        author: { type: DataTypes.STRING, defaultValue: 'Keith', allowNull: false },
+        url: { type: DataTypes.STRING, defaultValue: 'https://files.catbox.moe/9zqj7g.jpg', allowNull: false },
+        gurl: { type: DataTypes.STRING, defaultValue: 'https://github.com/Keithkeizzah/KEITH-MD', allowNull: false },
+        timezone: { type: DataTypes.STRING, defaultValue: 'Africa/Nairobi', allowNull: false },
+        botname: { type: DataTypes.STRING, defaultValue: 'KEITH-MD', allowNull: false },
+        packname: { type: DataTypes.STRING, defaultValue: 'KEITH-MD', allowNull: false },
+        mode: { type: DataTypes.STRING, defaultValue: 'public', allowNull: false },
+        sessionName: { type: DataTypes.STRING, defaultValue: 'keith-md', allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    bot_updates: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        current_hash: { type: DataTypes.STRING(40), defaultValue: 'initial', allowNull: false },
+        previous_hash: { type: DataTypes.STRING(40), allowNull: true },
+        last_checked: { type: DataTypes.DATE, defaultValue: DataTypes.NOW, allowNull: false },
+        last_updated: { type: DataTypes.DATE, allowNull: true },
+        status: { type: DataTypes.ENUM('pending', 'updated', 'failed', 'initial'), defaultValue: 'initial', allowNull: true },
+        changelog: { type: DataTypes.TEXT, allowNull: true },
+        update_attempts: { type: DataTypes.INTEGER, defaultValue: 0, allowNull: false }
+    },
+    chatbot_conversations: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        chat_jid: { type: DataTypes.STRING, allowNull: false },
+        user_jid: { type: DataTypes.STRING, allowNull: false },
+        user_message: { type: DataTypes.TEXT, allowNull: false },
+        ai_response: { type: DataTypes.TEXT, allowNull: false },
+        response_type: { type: DataTypes.ENUM('text', 'audio', 'image', 'video', 'vision'), defaultValue: 'text', allowNull: false },
+        media_url: { type: DataTypes.TEXT, allowNull: true },
+        timestamp: { type: DataTypes.DATE, defaultValue: DataTypes.NOW, allowNull: true }
+    },
+    chatbot_settings: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        chat_jid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        chat_name: { type: DataTypes.STRING, allowNull: true },
+        chat_type: { type: DataTypes.ENUM('private', 'group'), allowNull: false },
+        status: { type: DataTypes.ENUM('on', 'off'), defaultValue: 'off', allowNull: false },
+        trigger: { type: DataTypes.ENUM('dm', 'all', 'mention'), defaultValue: 'dm', allowNull: false },
+        default_response: { type: DataTypes.ENUM('text', 'audio'), defaultValue: 'text', allowNull: false },
+        voice: { type: DataTypes.STRING, defaultValue: 'Kimberly', allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    command_cooldowns: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        bucket: { type: DataTypes.STRING, unique: true, allowNull: false },
+        expiresAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    command_usages: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        command: { type: DataTypes.STRING, allowNull: false },
+        chatJid: { type: DataTypes.STRING, allowNull: false },
+        userJid: { type: DataTypes.STRING, allowNull: true },
+        isGroup: { type: DataTypes.BOOLEAN, defaultValue: false, allowNull: false },
+        duration: { type: DataTypes.INTEGER, defaultValue: 0, allowNull: false },
+        status: { type: DataTypes.ENUM('success', 'failure', 'blocked'), defaultValue: 'success', allowNull: false },
+        error: { type: DataTypes.TEXT, allowNull: true },
+        createdAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    gpt_conversations: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        user_jid: { type: DataTypes.STRING, allowNull: false },
+        user_message: { type: DataTypes.TEXT, allowNull: false },
+        ai_response: { type: DataTypes.TEXT, allowNull: false },
+        timestamp: { type: DataTypes.DATE, defaultValue: DataTypes.NOW, allowNull: true }
+    },
+    greets: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        enabled: { type: DataTypes.BOOLEAN, defaultValue: false, allowNull: false },
+        message: { type: DataTypes.TEXT, defaultValue: 'Hello @user 👋\nWelcome to my chat!\nHow can I help you today?', allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    group_commands: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        disabled_commands: { type: DataTypes.JSON, defaultValue: [], allowNull: false },
+        disabled_categories: { type: DataTypes.JSON, defaultValue: [], allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    group_prefixes: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        prefixes: { type: DataTypes.JSON, defaultValue: [], allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    groupevents: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        enabled: { type: DataTypes.BOOLEAN, defaultValue: false, allowNull: false },
+        welcomeMessage: { type: DataTypes.TEXT, defaultValue: 'Hey @user 👋\nWelcome to *{group}*.\nYou\'re member #{count}.\nTime: *{time}*\nDescription: {desc}', allowNull: false },
+        goodbyeMessage: { type: DataTypes.TEXT, defaultValue: 'Goodbye @user 😔\nLeft at: *{time}*\nMembers left: {count}', allowNull: false },
+        showPromotions: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        antiPromote: { type: DataTypes.ENUM('off', 'on'), defaultValue: 'off', allowNull: false },
+        antiPromoteAction: { type: DataTypes.ENUM('demote', 'remove', 'warn'), defaultValue: 'demote', allowNull: false },
+        antiDemote: { type: DataTypes.ENUM('off', 'on'), defaultValue: 'off', allowNull: false },
+        antiDemoteAction: { type: DataTypes.ENUM('promote', 'remove', 'warn'), defaultValue: 'promote', allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    languages: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        jid: { type: DataTypes.STRING, allowNull: false },
+        scope: { type: DataTypes.ENUM('chat', 'user'), defaultValue: 'chat', allowNull: false },
+        language: { type: DataTypes.STRING(10), allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    macros: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        name: { type: DataTypes.STRING, allowNull: false },
+        scope: { type: DataTypes.ENUM('chat', 'user'), defaultValue: 'chat', allowNull: false },
+        ownerJid: { type: DataTypes.STRING, allowNull: false },
+        steps: { type: DataTypes.JSON, defaultValue: [], allowNull: false },
+        created_by: { type: DataTypes.STRING, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    notes: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        title: { type: DataTypes.STRING, allowNull: false },
+        content: { type: DataTypes.TEXT, allowNull: true },
+        createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW, allowNull: true }
+    },
+    presences: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        privateChat: { type: DataTypes.STRING, defaultValue: 'off', allowNull: false },
+        groupChat: { type: DataTypes.STRING, defaultValue: 'off', allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    stickercmds: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        session_id: { type: DataTypes.STRING, defaultValue: 'main', allowNull: false },
+        sticker_hash: { type: DataTypes.STRING, unique: true, allowNull: false },
+        command: { type: DataTypes.STRING, allowNull: false },
+        set_by: { type: DataTypes.STRING, allowNull: false },
+        set_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW, allowNull: true },
+        usage_count: { type: DataTypes.INTEGER, defaultValue: 0, allowNull: true },
+        last_used: { type: DataTypes.DATE, allowNull: true },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    sudos: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        jid: { type: DataTypes.STRING, unique: true, allowNull: false }
+    },
+    warn_settings: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, unique: true, allowNull: false },
+        groupName: { type: DataTypes.STRING, allowNull: true },
+        status: { type: DataTypes.ENUM('on', 'off'), defaultValue: 'on', allowNull: false },
+        warn_limit: { type: DataTypes.INTEGER, defaultValue: 3, allowNull: false },
+        action: { type: DataTypes.ENUM('kick', 'delete'), defaultValue: 'kick', allowNull: false },
+        exempt_admins: { type: DataTypes.BOOLEAN, defaultValue: true, allowNull: false },
+        auto_reset_days: { type: DataTypes.INTEGER, defaultValue: 7, allowNull: false },
+        createdAt: { type: DataTypes.DATE, allowNull: false },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    },
+    warns: {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        groupJid: { type: DataTypes.STRING, allowNull: false },
+        userJid: { type: DataTypes.STRING, allowNull: false },
+        warnedBy: { type: DataTypes.STRING, allowNull: false },
+        reason: { type: DataTypes.TEXT, allowNull: true },
+        createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW, allowNull: true },
+        updatedAt: { type: DataTypes.DATE, allowNull: false }
+    }
+};
+
+const indexes = [
+    { table: 'bot_updates', fields: ['status'] },
+    { table: 'bot_updates', fields: ['last_checked'] },
+    { table: 'command_usages', fields: ['command'] },
+    { table: 'command_usages', fields: ['chatJid'] },
+    { table: 'command_usages', fields: ['createdAt'] },
+    { table: 'languages', fields: ['jid', 'scope'], unique: true },
+    { table: 'macros', fields: ['name', 'scope', 'ownerJid'], unique: true }
+];
+
+// An existing table may hold rows, so a required column without a default starts out nullable
+function addableColumn(definition) {
+    const { unique, primaryKey, autoIncrement, ...column } = definition;
+    if (column.allowNull === false && column.defaultValue === undefined) column.allowNull = true;
+    return column;
+}
+
+// Same names sync() gave them, so older databases are recognised
+function indexName({ table, fields }) {
+    const snake = field => field.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+    return `${table}_${fields.map(snake).join('_')}`;
+}
+
+module.exports = {
+    async up({ queryInterface, transaction }) {
+        const existing = (await queryInterface.showAllTables({ transaction }))
+            .map(table => (typeof table === 'string' ? table : table.tableName));
+
+        for (const [table, columns] of Object.entries(tables)) {
+            if (!existing.includes(table)) {
+                await queryInterface.createTable(table, columns, { transaction });
+                continue;
+            }
+
+            const present = await queryInterface.describeTable(table, { transaction });
+            for (const [column, definition] of Object.entries(columns)) {
+                if (present[column] || definition.primaryKey) continue;
+                await queryInterface.addColumn(table, column, addableColumn(definition), { transaction });
+            }
+        }
+
+        for (const index of indexes) {
+            const name = indexName(index);
+            const present = await queryInterface.showIndex(index.table, { transaction });
+            if (present.some(entry => entry.name === name)) continue;
+            await queryInterface.addIndex(index.table, index.fields, { name, unique: Boolean(index.unique), transaction });
+        }
+    },
+
+    async down({ queryInterface, transaction }) {
+        for (const table of Object.keys(tables).reverse()) {
+            await queryInterface.dropTable(table, { transaction });
+        }
+        if (queryInterface.sequelize.getDialect() === 'postgres') {
+            await queryInterface.dropAllEnums({ transaction });
+        }
+    }
+};
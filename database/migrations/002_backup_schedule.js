@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const { backupInterval, backupKeep } = require('../../settings');
+
+// How often the bot backs itself up and how many archives it keeps, see lib/backup.js
+const columns = {
+    backupInterval: { type: DataTypes.INTEGER, defaultValue: 0, allowNull: false }, // hours, 0 = off
+    backupKeep: { type: DataTypes.INTEGER, defaultValue: 7, allowNull: false }
+};
+
+// A settings row from before this migration takes BACKUP_INTERVAL and BACKUP_KEEP, like a new one does
+const seeds = {
+    backupInterval: Number(backupInterval) || 0,
+    backupKeep: Number(backupKeep) || 7
+};
+
+module.exports = {
+    async up({ queryInterface, transaction }) {
+        const existing = await queryInterface.describeTable('bot_settings', { transaction });
+        for (const [column, definition] of Object.entries(columns)) {
+            if (existing[column]) continue;
+            await queryInterface.addColumn('bot_settings', column, definition, { transaction });
+            await queryInterface.bulkUpdate('bot_settings', { [column]: seeds[column] }, {}, { transaction });
+        }
+    },
+
+    async down({ queryInterface, transaction }) {
+        for (const column of Object.keys(columns).reverse()) {
+            await queryInterface.removeColumn('bot_settings', column, { transaction });
+        }
+    }
+};
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+
+// The warns table becomes the strike ledger every anti-* module writes to, see database/warn.js.
+// Warns from before this migration are manual ones and keep never expiring.
+const columns = {
+    source: { type: DataTypes.STRING(20), defaultValue: 'manual', allowNull: false },
+    expiresAt: { type: DataTypes.DATE, allowNull: true }
+};
+
+const index = { name: 'warns_group_jid_user_jid', fields: ['groupJid', 'userJid'] };
+
+module.exports = {
+    async up({ queryInterface, transaction }) {
+        const existing = await queryInterface.describeTable('warns', { transaction });
+        for (const [column, definition] of Object.entries(columns)) {
+            if (existing[column]) continue;
+            await queryInterface.addColumn('warns', column, definition, { transaction });
+        }
+
+        const indexes = await queryInterface.showIndex('warns', { transaction });
+        if (!indexes.some(entry => entry.name === index.name)) {
+            await queryInterface.addIndex('warns', index.fields, { name: index.name, transaction });
+        }
+    },
+
+    async down({ queryInterface, transaction }) {
+        await queryInterface.removeIndex('warns', index.name, { transaction });
+        for (const column of Object.keys(columns).reverse()) {
+            await queryInterface.removeColumn('warns', column, { transaction });
+        }
+    }
+};
@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+
+// Per-group escalation ladders live next to the other warn settings, see lib/moderation.js
+const ladderColumn = { type: DataTypes.JSON, allowNull: true }; // null = each detector uses its own action
+
+const groupBans = {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    groupJid: { type: DataTypes.STRING, allowNull: false },
+    userJid: { type: DataTypes.STRING, allowNull: false },
+    bannedBy: { type: DataTypes.STRING, allowNull: false },
+    reason: { type: DataTypes.TEXT, allowNull: true },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+};
+
+const banIndex = { name: 'group_bans_group_jid_user_jid', fields: ['groupJid', 'userJid'], unique: true };
+
+module.exports = {
+    async up({ queryInterface, transaction }) {
+        const settings = await queryInterface.describeTable('warn_settings', { transaction });
+        if (!settings.ladder) {
+            await queryInterface.addColumn('warn_settings', 'ladder', ladderColumn, { transaction });
+        }
+
+        const tables = (await queryInterface.showAllTables({ transaction }))
+            .map(table => (typeof table === 'string' ? table : table.tableName));
+        if (!tables.includes('group_bans')) {
+            await queryInterface.createTable('group_bans', groupBans, { transaction });
+            await queryInterface.addIndex('group_bans', banIndex.fields, { name: banIndex.name, unique: true, transaction });
+        }
+    },
+
+    async down({ queryInterface, transaction }) {
+        await queryInterface.dropTable('group_bans', { transaction });
+        await queryInterface.removeColumn('warn_settings', 'ladder', { transaction });
+    }
+};
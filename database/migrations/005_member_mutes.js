@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+// Timed mutes for single members (database/mutes.js), and "mute" as an action for the link, bad word and spam filters
+const memberMutes = {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    groupJid: { type: DataTypes.STRING, allowNull: false },
+    userJid: { type: DataTypes.STRING, allowNull: false },
+    mutedBy: { type: DataTypes.STRING, allowNull: false },
+    reason: { type: DataTypes.TEXT, allowNull: true },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+};
+
+const muteIndex = { name: 'member_mutes_group_jid_user_jid', fields: ['groupJid', 'userJid'] };
+
+// Each filter table with the action values it had before this migration
+const filters = {
+    antilinks: ['warn', 'delete', 'remove'],
+    antibads: ['delete', 'remove', 'warn'],
+    antispams: ['delete', 'remove', 'warn']
+};
+
+const muteMinutes = { type: DataTypes.INTEGER, defaultValue: 30, allowNull: false };
+
+// SQLite keeps enums as plain text, the model validates the values
+async function setActions(queryInterface, table, values, defaultValue, transaction) {
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+        if (values.includes('mute')) {
+            await queryInterface.sequelize.query(`ALTER TYPE "enum_${table}_action" ADD VALUE IF NOT EXISTS 'mute'`, { transaction });
+        }
+    } else if (dialect === 'mysql' || dialect === 'mariadb') {
+        await queryInterface.changeColumn(table, 'action', { type: DataTypes.ENUM(...values), defaultValue, allowNull: false }, { transaction });
+    }
+}
+
+module.exports = {
+    async up({ queryInterface, transaction }) {
+        const tables = (await queryInterface.showAllTables({ transaction }))
+            .map(table => (typeof table === 'string' ? table : table.tableName));
+        if (!tables.includes('member_mutes')) {
+            await queryInterface.createTable('member_mutes', memberMutes, { transaction });
+            await queryInterface.addIndex('member_mutes', muteIndex.fields, { name: muteIndex.name, unique: true, transaction });
+        }
+
+        for (const [table, values] of Object.entries(filters)) {
+            const existing = await queryInterface.describeTable(table, { transaction });
+            await setActions(queryInterface, table, [...values, 'mute'], existing.action.defaultValue, transaction);
+            if (!existing.mute_minutes) {
+                await queryInterface.addColumn(table, 'mute_minutes', muteMinutes, { transaction });
+            }
+        }
+    },
+
+    // Postgres cannot drop an enum value, filters set to mute fall back to delete and the value stays unused
+    async down({ queryInterface, transaction }) {
+        for (const [table, values] of Object.entries(filters)) {
+            await queryInterface.bulkUpdate(table, { action: 'delete' }, { action: 'mute' }, { transaction });
+            const existing = await queryInterface.describeTable(table, { transaction });
+            await setActions(queryInterface, table, values, existing.action.defaultValue, transaction);
+            await queryInterface.removeColumn(table, 'mute_minutes', { transaction });
+        }
+        await queryInterface.dropTable('member_mutes', { transaction });
+    }
+};
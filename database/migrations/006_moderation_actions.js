@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+
+// Audit log of every moderation action, see database/modlog.js
+const moderationActions = {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    groupJid: { type: DataTypes.STRING, allowNull: false },
+    actor: { type: DataTypes.STRING, allowNull: false },
+    targetJid: { type: DataTypes.STRING, allowNull: true },
+    rule: { type: DataTypes.STRING(30), allowNull: false },
+    action: { type: DataTypes.STRING(30), allowNull: false },
+    excerpt: { type: DataTypes.TEXT, allowNull: true },
+    reason: { type: DataTypes.TEXT, allowNull: true },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+};
+
+const indexes = [
+    { name: 'moderation_actions_group_jid_created_at', fields: ['groupJid', 'createdAt'] },
+    { name: 'moderation_actions_group_jid_target_jid', fields: ['groupJid', 'targetJid'] }
+];
+
+module.exports = {
+    async up({ queryInterface, transaction }) {
+        const tables = (await queryInterface.showAllTables({ transaction }))
+            .map(table => (typeof table === 'string' ? table : table.tableName));
+        if (tables.includes('moderation_actions')) return;
+
+        await queryInterface.createTable('moderation_actions', moderationActions, { transaction });
+        for (const index of indexes) {
+            await queryInterface.addIndex('moderation_actions', index.fields, { name: index.name, transaction });
+        }
+    },
+
+    async down({ queryInterface, transaction }) {
+        await queryInterface.dropTable('moderation_actions', { transaction });
+    }
+};
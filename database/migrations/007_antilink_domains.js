@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+
+// Per-group allowed and blocked domains for antilink, and which links it acts on, see database/antilink.js
+const modeColumn = { type: DataTypes.ENUM('all', 'blocklist', 'invites'), defaultValue: 'all', allowNull: false };
+
+const antilinkDomains = {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    groupJid: { type: DataTypes.STRING, allowNull: false },
+    domain: { type: DataTypes.STRING, allowNull: false },
+    list: { type: DataTypes.ENUM('allow', 'block'), allowNull: false },
+    added_by: { type: DataTypes.STRING, allowNull: false },
+    added_at: { type: DataTypes.DATE, allowNull: true }
+};
+
+const domainIndex = { name: 'antilink_domains_group_jid_domain', fields: ['groupJid', 'domain'] };
+
+module.exports = {
+    async up({ queryInterface, transaction }) {
+        const antilinks = await queryInterface.describeTable('antilinks', { transaction });
+        if (!antilinks.mode) {
+            await queryInterface.addColumn('antilinks', 'mode', modeColumn, { transaction });
+        }
+
+        const tables = (await queryInterface.showAllTables({ transaction }))
+            .map(table => (typeof table === 'string' ? table : table.tableName));
+        if (!tables.includes('antilink_domains')) {
+            await queryInterface.createTable('antilink_domains', antilinkDomains, { transaction });
+            await queryInterface.addIndex('antilink_domains', domainIndex.fields, { name: domainIndex.name, unique: true, transaction });
+        }
+    },
+
+    async down({ queryInterface, transaction }) {
+        await queryInterface.dropTable('antilink_domains', { transaction });
+        await queryInterface.removeColumn('antilinks', 'mode', { transaction });
+        if (queryInterface.sequelize.getDialect() === 'postgres') {
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_antilinks_mode"', { transaction });
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_antilink_domains_list"', { transaction });
+        }
+    }
+};
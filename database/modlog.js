@@ -0,0 +1,113 @@
+const { DataTypes, Op } = require('sequelize');
+const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+
+const BOT_ACTOR = 'bot';
+const EXCERPT_LENGTH = 200;
+
+// One row per thing the bot or an admin did to a member, so moderation leaves a trace
+const ModerationActionsDB = database.define('moderation_actions', {
+    groupJid: { // Chat it happened in, the user's JID for actions outside groups (autoblock, anticall)
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    actor: { // 'bot' when a filter acted on its own, otherwise the admin's JID
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    targetJid: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    rule: { // What fired: a strike source (link, spam...), 'manual' for admin commands, 'groupban', 'mute'
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    action: { // delete, warn, mute, kick, ban, unmute, unban, demote, block...
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    excerpt: { // Start of the offending message
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    indexes: [
+        { fields: ['groupJid', 'createdAt'] },
+        { fields: ['groupJid', 'targetJid'] }
+    ]
+});
+
+async function initModLogDB() {
+    try {
+        await ensureSchema();
+        console.log('Moderation log table ready');
+    } catch (error) {
+        console.error('Error initializing moderation log table:', error);
+        throw error;
+    }
+}
+
+function toExcerpt(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!clean) return null;
+    return clean.length > EXCERPT_LENGTH ? `${clean.slice(0, EXCERPT_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * Records one action, never throws so a failing write cannot stop the moderation itself:
+ *   await logModerationAction({ groupJid, actor: 'bot', targetJid, rule: 'link', action: 'delete', excerpt: text });
+ */
+async function logModerationAction({ groupJid, actor = BOT_ACTOR, targetJid = null, rule, action, excerpt = null, reason = null }) {
+    try {
+        return await ModerationActionsDB.create({ groupJid, actor, targetJid, rule, action, excerpt: toExcerpt(excerpt), reason });
+    } catch (error) {
+        console.error('Error logging moderation action:', error);
+        return null;
+    }
+}
+
+/**
+ * Newest first. Every filter is optional:
+ *   queryModerationActions(groupJid, { targetJid, actor, rule, action, since, until, limit, offset })
+ * since/until are Dates, limit 0 returns everything.
+ */
+async function queryModerationActions(groupJid, { targetJid, actor, rule, action, since, until, limit = 20, offset = 0 } = {}) {
+    try {
+        const where = { groupJid };
+        if (targetJid) where.targetJid = targetJid;
+        if (actor) where.actor = actor;
+        if (rule) where.rule = rule;
+        if (action) where.action = action;
+        if (since || until) {
+            where.createdAt = {};
+            if (since) where.createdAt[Op.gte] = since;
+            if (until) where.createdAt[Op.lt] = until;
+        }
+
+        const options = { where, order: [['createdAt', 'DESC'], ['id', 'DESC']], offset };
+        if (limit) options.limit = limit;
+        const { rows, count } = await ModerationActionsDB.findAndCountAll(options);
+        return { rows, total: count };
+    } catch (error) {
+        console.error('Error querying moderation actions:', error);
+        return { rows: [], total: 0 };
+    }
+}
+
+initModLogDB().catch(err => {
+    console.error('❌ Failed to initialize moderation log database:', err);
+});
+
+module.exports = {
+    BOT_ACTOR,
+    initModLogDB,
+    logModerationAction,
+    queryModerationActions,
+    ModerationActionsDB
+};
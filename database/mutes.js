@@ -0,0 +1,142 @@
+const { DataTypes, Op } = require('sequelize');
+const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+
+// WhatsApp has no per-member mute, the bot deletes a muted member's messages until expiresAt
+const MutesDB = database.define('member_mutes', {
+    groupJid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    userJid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    mutedBy: { // Admin JID, or 'system' when a filter or ladder muted them
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['groupJid', 'userJid'] }
+    ]
+});
+
+// Every group message is checked, so active mutes are kept in memory
+const muteCache = new Map(); // Key: `${groupJid}:${userJid}` -> { expiresAt, mutedBy, reason }
+
+async function initMutesDB() {
+    try {
+        await ensureSchema();
+        console.log('Mutes table ready');
+        await refreshMuteCache();
+    } catch (error) {
+        console.error('Error initializing Mutes table:', error);
+        throw error;
+    }
+}
+
+function toMute(row) {
+    return { expiresAt: new Date(row.expiresAt), mutedBy: row.mutedBy, reason: row.reason };
+}
+
+async function refreshMuteCache() {
+    const mutes = await MutesDB.findAll({ where: { expiresAt: { [Op.gt]: new Date() } } });
+    muteCache.clear();
+    mutes.forEach(row => muteCache.set(`${row.groupJid}:${row.userJid}`, toMute(row)));
+    console.log(`✅ Loaded ${mutes.length} mutes into cache`);
+}
+
+// A second mute replaces the first, so an admin can shorten or extend one
+async function addMute(groupJid, userJid, duration, mutedBy, reason = null) {
+    try {
+        const expiresAt = new Date(Date.now() + duration);
+        const [mute, created] = await MutesDB.findOrCreate({
+            where: { groupJid, userJid },
+            defaults: { groupJid, userJid, mutedBy, reason, expiresAt }
+        });
+        if (!created) await mute.update({ mutedBy, reason, expiresAt });
+        muteCache.set(`${groupJid}:${userJid}`, toMute(mute));
+        return mute;
+    } catch (error) {
+        console.error('Error adding mute:', error);
+        return null;
+    }
+}
+
+async function removeMute(groupJid, userJid) {
+    try {
+        const wasMuted = isMuted(groupJid, userJid);
+        muteCache.delete(`${groupJid}:${userJid}`);
+        await MutesDB.destroy({ where: { groupJid, userJid } });
+        return wasMuted;
+    } catch (error) {
+        console.error('Error removing mute:', error);
+        return false;
+    }
+}
+
+// Resolves the cached mute while it runs, null otherwise
+function getMute(groupJid, userJid) {
+    const mute = muteCache.get(`${groupJid}:${userJid}`);
+    return mute && mute.expiresAt.getTime() > Date.now() ? mute : null;
+}
+
+function isMuted(groupJid, userJid) {
+    return Boolean(getMute(groupJid, userJid));
+}
+
+async function getActiveMutes(groupJid) {
+    try {
+        return await MutesDB.findAll({
+            where: { groupJid, expiresAt: { [Op.gt]: new Date(Date.now()) } },
+            order: [['expiresAt', 'ASC']]
+        });
+    } catch (error) {
+        console.error('Error getting mutes:', error);
+        return [];
+    }
+}
+
+// Removes mutes that ran out and resolves them, so the caller can tell the groups
+async function takeExpiredMutes() {
+    try {
+        const now = new Date(Date.now());
+        const expired = await MutesDB.findAll({ where: { expiresAt: { [Op.lte]: now } } });
+        if (!expired.length) return [];
+        // A mute renewed meanwhile has a later expiresAt and stays
+        await MutesDB.destroy({ where: { id: expired.map(row => row.id), expiresAt: { [Op.lte]: now } } });
+        expired.forEach(row => {
+            if (!isMuted(row.groupJid, row.userJid)) muteCache.delete(`${row.groupJid}:${row.userJid}`);
+        });
+        return expired;
+    } catch (error) {
+        console.error('Error removing expired mutes:', error);
+        return [];
+    }
+}
+
+initMutesDB().catch(err => {
+    console.error('❌ Failed to initialize mutes database:', err);
+});
+
+module.exports = {
+    initMutesDB,
+    refreshMuteCache,
+    addMute,
+    removeMute,
+    getMute,
+    isMuted,
+    getActiveMutes,
+    takeExpiredMutes,
+    MutesDB
+};
@@ -1,5 +1,6 @@
 
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
 const { DataTypes } = require('sequelize');
 
 const NotesDB = database.define('notes', {
@@ -27,7 +28,7 @@ const NotesDB = database.define('notes', {
 // Initialize table
 async function initNotesDB() {
     try {
-        await NotesDB.sync({ alter: true });
+        await ensureSchema();
         console.log('Notes table ready');
     } catch (error) {
         console.error('Error initializing notes table:', error);
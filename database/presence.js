@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
 
 const PresenceDB = database.define('presence', {
     privateChat: {
@@ -24,7 +25,7 @@ const PresenceDB = database.define('presence', {
 
 async function initPresenceDB() {
     try {
-        await PresenceDB.sync({ alter: true });
+        await ensureSchema();
         console.log('Presence table ready');
     } catch (error) {
         console.error('Error initializing Presence table:', error);
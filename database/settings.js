@@ -9,8 +9,11 @@ const {
   botBotname, 
   botPackname, 
   botMode, 
-  botSessionName 
+  botSessionName,
+  backupInterval,
+  backupKeep
 } = require('../settings'); 
+const { ensureSchema } = require('../lib/migrator');
 
 const SettingsDB = database.define('settings', {
     prefix: {
@@ -18,6 +21,21 @@ const SettingsDB = database.define('settings', {
         defaultValue: botPrefix,
         allowNull: false
     },
+    prefixes: { // Extra global prefixes accepted next to prefix
+        type: DataTypes.JSON,
+        defaultValue: [],
+        allowNull: false
+    },
+    prefixlessPrivate: { // Private chats may run commands without any prefix
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+    },
+    mentionPrefix: { // "@bot help" works like a prefix
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        allowNull: false
+    },
     author: {
         type: DataTypes.STRING,
         defaultValue: botAuthor,
@@ -57,6 +75,16 @@ const SettingsDB = database.define('settings', {
         type: DataTypes.STRING,
         defaultValue: botSessionName,
         allowNull: false
+    },
+    backupInterval: { // Hours between automatic backups, 0 turns them off
+        type: DataTypes.INTEGER,
+        defaultValue: Number(backupInterval) || 0,
+        allowNull: false
+    },
+    backupKeep: { // How many automatic backups to keep
+        type: DataTypes.INTEGER,
+        defaultValue: Number(backupKeep) || 7,
+        allowNull: false
     }
 }, {
     timestamps: true,
@@ -65,7 +93,7 @@ const SettingsDB = database.define('settings', {
 
 async function initSettingsDB() {
     try {
-        await SettingsDB.sync({ alter: true });
+        await ensureSchema();
         console.log('Settings table ready');
         
         // Initialize with default values if empty
@@ -73,6 +101,9 @@ async function initSettingsDB() {
         if (count === 0) {
             await SettingsDB.create({
                 prefix: botPrefix,
+                prefixes: [],
+                prefixlessPrivate: false,
+                mentionPrefix: true,
                 author: botAuthor,
                 url: botUrl,
                 gurl: botGurl,
@@ -80,7 +111,9 @@ async function initSettingsDB() {
                 botname: botBotname,
                 packname: botPackname,
                 mode: botMode,
-                sessionName: botSessionName
+                sessionName: botSessionName,
+                backupInterval: Number(backupInterval) || 0,
+                backupKeep: Number(backupKeep) || 7
             });
             console.log('Bot settings defaults initialized from settings');
         }
@@ -96,6 +129,9 @@ async function getSettings() {
         if (!settings) {
             settings = await SettingsDB.create({
                 prefix: botPrefix,
+                prefixes: [],
+                prefixlessPrivate: false,
+                mentionPrefix: true,
                 author: botAuthor,
                 url: botUrl,
                 gurl: botGurl,
@@ -103,7 +139,9 @@ async function getSettings() {
                 botname: botBotname,
                 packname: botPackname,
                 mode: botMode,
-                sessionName: botSessionName
+                sessionName: botSessionName,
+                backupInterval: Number(backupInterval) || 0,
+                backupKeep: Number(backupKeep) || 7
             });
         }
         return settings;
@@ -112,6 +150,9 @@ async function getSettings() {
         // Fallback to environment defaults
         return {
             prefix: botPrefix,
+            prefixes: [],
+            prefixlessPrivate: false,
+            mentionPrefix: true,
             author: botAuthor,
             url: botUrl,
             gurl: botGurl,
@@ -119,14 +160,40 @@ async function getSettings() {
             botname: botBotname,
             packname: botPackname,
             mode: botMode,
-            sessionName: botSessionName
+            sessionName: botSessionName,
+            backupInterval: Number(backupInterval) || 0,
+            backupKeep: Number(backupKeep) || 7
         };
     }
 }
 
+// Prefix resolution and the private mode check read the settings on every message, so they
+// share this copy. updateSettings drops it, the TTL covers rows changed some other way.
+const SETTINGS_TTL = 30 * 1000;
+let cachedSettings = null;
+let cachedAt = 0;
+
+async function getCachedSettings() {
+    if (cachedSettings && Date.now() - cachedAt < SETTINGS_TTL) return cachedSettings;
+
+    const settings = await getSettings();
+    // The environment fallback after a database error is not kept
+    if (settings instanceof SettingsDB) {
+        cachedSettings = settings;
+        cachedAt = Date.now();
+    }
+    return settings;
+}
+
+function invalidateSettingsCache() {
+    cachedSettings = null;
+    cachedAt = 0;
+}
+
 async function updateSettings(updates) {
     try {
         const settings = await getSettings();
+        invalidateSettingsCache();
         return await settings.update(updates);
     } catch (error) {
         console.error('Error updating settings:', error);
@@ -147,6 +214,8 @@ async function getSetting(key) {
 module.exports = {
     initSettingsDB,
     getSettings,
+    getCachedSettings,
+    invalidateSettingsCache,
     updateSettings,
     getSetting,
     SettingsDB
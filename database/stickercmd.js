@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -55,7 +56,7 @@ if (!fs.existsSync(DATA_DIR)) {
 // Initialize database
 async function initStickerCmdDB() {
     try {
-        await StickerCmdDB.sync({ alter: true });
+        await ensureSchema();
         console.log('StickerCmd table ready');
     } catch (error) {
         console.error('Error initializing StickerCmd table:', error);
@@ -1,5 +1,6 @@
 
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
 const { DataTypes } = require('sequelize');
 
 const SudoDB = database.define('sudo', {
@@ -19,7 +20,7 @@ const SudoDB = database.define('sudo', {
 
 async function initSudoDB() {
     try {
-        await SudoDB.sync({ alter: true });
+        await ensureSchema();
         console.log('Sudo table ready');
     } catch (error) {
         console.error('Error initializing sudo table:', error);
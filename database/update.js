@@ -1,4 +1,5 @@
 const { database } = require("../settings");
+const { ensureSchema } = require("../lib/migrator");
 const { DataTypes } = require('sequelize');
 
 const UpdateDB = database.define('bot_updates', {
@@ -56,7 +57,7 @@ const UpdateDB = database.define('bot_updates', {
 
 async function initialize() {
     try {
-        await UpdateDB.sync({ alter: true });
+        await ensureSchema();
         const [record] = await UpdateDB.findOrCreate({
             where: { id: 1 },
             defaults: { status: 'initial' }
@@ -1,5 +1,7 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { database } = require('../settings');
+const { ensureSchema } = require('../lib/migrator');
+const { BOT_ACTOR, logModerationAction } = require('./modlog');
 
 // Warn settings table (per group)
 const WarnSettingsDB = database.define('warn_settings', {
@@ -36,12 +38,18 @@ const WarnSettingsDB = database.define('warn_settings', {
         type: DataTypes.INTEGER,
         defaultValue: 7, // Reset warns after 7 days
         allowNull: false
+    },
+    ladder: { // Escalation steps such as [{ action: 'delete' }, { action: 'mute', duration: 600000 }], null = off
+        type: DataTypes.JSON,
+        allowNull: true
     }
 }, {
     timestamps: true
 });
 
-// Warns table (individual warnings)
+// Strike ledger: manual warns plus every strike the anti-* modules hand out, tagged by source
+const STRIKE_SOURCES = ['manual', 'link', 'badword', 'spam', 'tag', 'sticker', 'statusmention', 'promote', 'demote', 'block', 'call'];
+
 const WarnsDB = database.define('warns', {
     id: {
         type: DataTypes.INTEGER,
@@ -64,21 +72,37 @@ const WarnsDB = database.define('warns', {
         type: DataTypes.TEXT,
         allowNull: true
     },
+    source: { // Which module gave the strike, one of STRIKE_SOURCES
+        type: DataTypes.STRING(20),
+        defaultValue: 'manual',
+        allowNull: false
+    },
+    expiresAt: { // Stops counting after this, null never expires
+        type: DataTypes.DATE,
+        allowNull: true
+    },
     createdAt: {
         type: DataTypes.DATE,
         defaultValue: DataTypes.NOW
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    indexes: [
+        { fields: ['groupJid', 'userJid'] }
+    ]
 });
 
-// In-memory cache for quick access
-const warnCache = new Map(); // Key: `${groupJid}:${userJid}` -> array of warns
+// Detectors count strikes on every message, so the live ledger is kept in memory and
+// written through to the database in order. Strikes outside groups use the user's JID as groupJid.
+const warnCache = new Map(); // Key: `${groupJid}:${userJid}` -> array of strikes
+const unsaved = new Set(); // Strikes still waiting for their insert
+const expiryDays = new Map(); // Key: groupJid -> auto_reset_days, groups without settings use DEFAULT_EXPIRY_DAYS
+const DEFAULT_EXPIRY_DAYS = 7;
+let writes = Promise.resolve();
 
 async function initWarnDB() {
     try {
-        await WarnSettingsDB.sync({ alter: true });
-        await WarnsDB.sync({ alter: true });
+        await ensureSchema();
         console.log('Warn database tables ready');
         
         // Load existing warns into cache
@@ -89,28 +113,68 @@ async function initWarnDB() {
     }
 }
 
+// Runs database writes one after another, so a clear never overtakes the insert before it
+function persist(task) {
+    writes = writes.then(task).catch(error => console.error('Error saving strikes:', error));
+    return writes;
+}
+
+// Resolves once every queued strike write reached the database
+function flushStrikes() {
+    return writes;
+}
+
+function isActive(strike, now = Date.now()) {
+    return !strike.expiresAt || new Date(strike.expiresAt).getTime() > now;
+}
+
+function toStrike(warn) {
+    return {
+        id: warn.id,
+        source: warn.source,
+        warnedBy: warn.warnedBy,
+        reason: warn.reason,
+        createdAt: warn.createdAt,
+        expiresAt: warn.expiresAt
+    };
+}
+
 // Refresh cache from database
 async function refreshWarnCache() {
-    try {
-        const allWarns = await WarnsDB.findAll();
+    return persist(async () => {
+        const [allWarns, settings] = await Promise.all([
+            WarnsDB.findAll({
+                where: { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+                order: [['createdAt', 'ASC']]
+            }),
+            WarnSettingsDB.findAll()
+        ]);
         warnCache.clear();
+        settings.forEach(setting => expiryDays.set(setting.groupJid, setting.auto_reset_days));
         
-        allWarns.forEach(warn => {
-            const key = `${warn.groupJid}:${warn.userJid}`;
-            if (!warnCache.has(key)) {
-                warnCache.set(key, []);
-            }
-            warnCache.get(key).push({
-                id: warn.id,
-                warnedBy: warn.warnedBy,
-                reason: warn.reason,
-                createdAt: warn.createdAt
-            });
-        });
+        allWarns.forEach(warn => cacheStrike(warn.groupJid, warn.userJid, toStrike(warn)));
+        // Strikes recorded while loading are not in the rows yet
+        unsaved.forEach(({ groupJid, userJid, strike }) => cacheStrike(groupJid, userJid, strike));
         
         console.log(`✅ Loaded ${allWarns.length} warns into cache`);
-    } catch (error) {
-        console.error('Error refreshing warn cache:', error);
+    });
+}
+
+function cacheStrike(groupJid, userJid, strike) {
+    const key = `${groupJid}:${userJid}`;
+    if (!warnCache.has(key)) {
+        warnCache.set(key, []);
+    }
+    warnCache.get(key).push(strike);
+}
+
+// Keeps only the strikes `keep` accepts, for one user or with userJid null for every user in the group
+function dropCached(groupJid, userJid, keep) {
+    for (const [key, strikes] of warnCache) {
+        if (userJid ? key !== `${groupJid}:${userJid}` : groupJid && !key.startsWith(`${groupJid}:`)) continue;
+        const left = strikes.filter(keep);
+        if (left.length) warnCache.set(key, left);
+        else warnCache.delete(key);
     }
 }
 
@@ -130,6 +194,7 @@ async function getWarnSettings(groupJid) {
                 auto_reset_days: 7
             }
         });
+        expiryDays.set(groupJid, settings.auto_reset_days);
         return settings;
     } catch (error) {
         console.error('Error getting warn settings:', error);
@@ -141,13 +206,27 @@ async function updateWarnSettings(groupJid, updates) {
     try {
         const settings = await getWarnSettings(groupJid);
         if (!settings) return null;
-        return await settings.update(updates);
+        await settings.update(updates);
+        expiryDays.set(groupJid, settings.auto_reset_days);
+        return settings;
     } catch (error) {
         console.error('Error updating warn settings:', error);
         return null;
     }
 }
 
+async function getLadder(groupJid) {
+    const settings = await getWarnSettings(groupJid);
+    return settings && Array.isArray(settings.ladder) && settings.ladder.length ? settings.ladder : null;
+}
+
+// Pass null to turn the ladder off again
+async function setLadder(groupJid, ladder, groupName) {
+    const updates = { ladder };
+    if (groupName) updates.groupName = groupName;
+    return updateWarnSettings(groupJid, updates);
+}
+
 async function getAllWarnGroups() {
     try {
         const settings = await WarnSettingsDB.findAll({
@@ -160,40 +239,118 @@ async function getAllWarnGroups() {
     }
 }
 
+// ===== STRIKE LEDGER =====
+
+/**
+ * Records a strike and returns how many active strikes the user now has from that source.
+ * Synchronous so detectors can compare against their limit straight away, the insert follows in order.
+ *   recordStrike(groupJid, userJid, 'link', { reason: 'posted a link' })
+ * The strike also goes to the moderation log, callers that log the action they took pass audit: false.
+ */
+function recordStrike(groupJid, userJid, source, { reason = null, issuedBy = 'system', audit = true } = {}) {
+    if (audit) {
+        const actor = issuedBy === 'system' ? BOT_ACTOR : issuedBy;
+        logModerationAction({ groupJid, actor, targetJid: userJid, rule: source, action: 'strike', reason });
+    }
+    return queueStrike(groupJid, userJid, source, reason, issuedBy).count;
+}
+
+function queueStrike(groupJid, userJid, source, reason, issuedBy) {
+    if (!STRIKE_SOURCES.includes(source)) throw new Error(`Unknown strike source "${source}"`);
+
+    const days = expiryDays.has(groupJid) ? expiryDays.get(groupJid) : DEFAULT_EXPIRY_DAYS;
+    const createdAt = new Date();
+    const strike = {
+        id: null,
+        source,
+        warnedBy: issuedBy,
+        reason,
+        createdAt,
+        expiresAt: days > 0 ? new Date(createdAt.getTime() + days * 24 * 60 * 60 * 1000) : null
+    };
+    const pending = { groupJid, userJid, strike };
+    unsaved.add(pending);
+    cacheStrike(groupJid, userJid, strike);
+
+    const saved = persist(async () => {
+        const warn = await WarnsDB.create({ groupJid, userJid, ...strike, id: undefined });
+        strike.id = warn.id;
+    }).finally(() => unsaved.delete(pending));
+
+    return { strike, saved, count: getStrikeCount(groupJid, userJid, source) };
+}
+
+// Active strikes, newest first, optionally from one source only
+function getStrikes(groupJid, userJid, source) {
+    const now = Date.now();
+    return (warnCache.get(`${groupJid}:${userJid}`) || [])
+        .filter(strike => isActive(strike, now) && (!source || strike.source === source))
+        .reverse();
+}
+
+function getStrikeCount(groupJid, userJid, source) {
+    return getStrikes(groupJid, userJid, source).length;
+}
+
+// { link: 2, spam: 1, ... } for the user's active strikes
+function getStrikeBreakdown(groupJid, userJid) {
+    const breakdown = {};
+    getStrikes(groupJid, userJid).forEach(strike => {
+        breakdown[strike.source] = (breakdown[strike.source] || 0) + 1;
+    });
+    return breakdown;
+}
+
+// Every user in the group with active strikes -> their breakdown
+function getGroupStrikes(groupJid, source) {
+    const users = {};
+    for (const key of warnCache.keys()) {
+        if (!key.startsWith(`${groupJid}:`)) continue;
+        const userJid = key.slice(groupJid.length + 1);
+        if (getStrikeCount(groupJid, userJid, source)) users[userJid] = getStrikeBreakdown(groupJid, userJid);
+    }
+    return users;
+}
+
+// Clears one user's strikes, all of them or one source
+function clearStrikes(groupJid, userJid, source) {
+    dropCached(groupJid, userJid, strike => source && strike.source !== source);
+    const where = { groupJid, userJid };
+    if (source) where.source = source;
+    return persist(() => WarnsDB.destroy({ where }));
+}
+
+// Clears a source (or everything) for a whole group, or with groupJid null for every group
+function clearGroupStrikes(groupJid, source) {
+    dropCached(groupJid, null, strike => source && strike.source !== source);
+    const where = {};
+    if (groupJid) where.groupJid = groupJid;
+    if (source) where.source = source;
+    return persist(() => WarnsDB.destroy({ where }));
+}
+
+// Deletes expired strikes from the database and the cache
+async function pruneExpiredStrikes() {
+    const now = Date.now();
+    dropCached(null, null, strike => isActive(strike, now));
+    return persist(() => WarnsDB.destroy({ where: { expiresAt: { [Op.lte]: new Date(now) } } }));
+}
+
 // ===== WARN FUNCTIONS =====
+// Manual warns from the warn command, the 'manual' source of the ledger
 
 async function addWarn(groupJid, userJid, warnedBy, reason = 'No reason provided') {
     try {
-        // Check if user is admin and if admins are exempt
         const settings = await getWarnSettings(groupJid);
-        
-        // Create warn in database
-        const warn = await WarnsDB.create({
-            groupJid,
-            userJid,
-            warnedBy,
-            reason
-        });
-        
-        // Update cache
-        const key = `${groupJid}:${userJid}`;
-        if (!warnCache.has(key)) {
-            warnCache.set(key, []);
-        }
-        warnCache.get(key).push({
-            id: warn.id,
-            warnedBy,
-            reason,
-            createdAt: warn.createdAt
-        });
-        
-        // Get updated warn count
-        const warnCount = await getUserWarnCount(groupJid, userJid);
+        const { strike, saved, count } = queueStrike(groupJid, userJid, 'manual', reason, warnedBy);
+        await saved;
+        if (!strike.id) return { success: false, error: 'The warn could not be saved' };
+        await logModerationAction({ groupJid, actor: warnedBy, targetJid: userJid, rule: 'manual', action: 'warn', reason });
         
         return {
             success: true,
-            warnCount,
-            warnId: warn.id,
+            warnCount: count,
+            warnId: strike.id,
             limit: settings.warn_limit
         };
     } catch (error) {
@@ -207,21 +364,8 @@ async function removeWarn(warnId) {
         const warn = await WarnsDB.findByPk(warnId);
         if (!warn) return false;
         
-        const key = `${warn.groupJid}:${warn.userJid}`;
-        
-        // Remove from database
-        await warn.destroy();
-        
-        // Update cache
-        if (warnCache.has(key)) {
-            const warns = warnCache.get(key).filter(w => w.id !== warnId);
-            if (warns.length === 0) {
-                warnCache.delete(key);
-            } else {
-                warnCache.set(key, warns);
-            }
-        }
-        
+        dropCached(warn.groupJid, warn.userJid, strike => strike.id !== warnId);
+        await persist(() => warn.destroy());
         return true;
     } catch (error) {
         console.error('Error removing warn:', error);
@@ -230,90 +374,24 @@ async function removeWarn(warnId) {
 }
 
 async function getUserWarnCount(groupJid, userJid) {
-    try {
-        const key = `${groupJid}:${userJid}`;
-        
-        if (warnCache.has(key)) {
-            return warnCache.get(key).length;
-        }
-        
-        // If not in cache, get from database
-        const count = await WarnsDB.count({
-            where: { groupJid, userJid }
-        });
-        
-        return count;
-    } catch (error) {
-        console.error('Error getting user warn count:', error);
-        return 0;
-    }
+    return getStrikeCount(groupJid, userJid, 'manual');
 }
 
 async function getUserWarns(groupJid, userJid) {
-    try {
-        const key = `${groupJid}:${userJid}`;
-        
-        if (warnCache.has(key)) {
-            return warnCache.get(key);
-        }
-        
-        // If not in cache, get from database
-        const warns = await WarnsDB.findAll({
-            where: { groupJid, userJid },
-            order: [['createdAt', 'DESC']]
-        });
-        
-        return warns.map(w => ({
-            id: w.id,
-            warnedBy: w.warnedBy,
-            reason: w.reason,
-            createdAt: w.createdAt
-        }));
-    } catch (error) {
-        console.error('Error getting user warns:', error);
-        return [];
-    }
+    return getStrikes(groupJid, userJid, 'manual').map(({ id, warnedBy, reason, createdAt }) => ({ id, warnedBy, reason, createdAt }));
 }
 
 async function getAllWarns(groupJid) {
-    try {
-        const warns = await WarnsDB.findAll({
-            where: { groupJid },
-            order: [['createdAt', 'DESC']]
-        });
-        
-        // Group by user
-        const grouped = {};
-        warns.forEach(warn => {
-            if (!grouped[warn.userJid]) {
-                grouped[warn.userJid] = [];
-            }
-            grouped[warn.userJid].push({
-                id: warn.id,
-                warnedBy: warn.warnedBy,
-                reason: warn.reason,
-                createdAt: warn.createdAt
-            });
-        });
-        
-        return grouped;
-    } catch (error) {
-        console.error('Error getting all warns:', error);
-        return {};
+    const grouped = {};
+    for (const userJid of Object.keys(getGroupStrikes(groupJid, 'manual'))) {
+        grouped[userJid] = await getUserWarns(groupJid, userJid);
     }
+    return grouped;
 }
 
 async function clearUserWarns(groupJid, userJid) {
     try {
-        // Delete from database
-        await WarnsDB.destroy({
-            where: { groupJid, userJid }
-        });
-        
-        // Clear from cache
-        const key = `${groupJid}:${userJid}`;
-        warnCache.delete(key);
-        
+        await clearStrikes(groupJid, userJid, 'manual');
         return true;
     } catch (error) {
         console.error('Error clearing user warns:', error);
@@ -323,18 +401,7 @@ async function clearUserWarns(groupJid, userJid) {
 
 async function clearAllWarns(groupJid) {
     try {
-        // Delete from database
-        await WarnsDB.destroy({
-            where: { groupJid }
-        });
-        
-        // Clear from cache
-        for (const key of warnCache.keys()) {
-            if (key.startsWith(`${groupJid}:`)) {
-                warnCache.delete(key);
-            }
-        }
-        
+        await clearGroupStrikes(groupJid, 'manual');
         return true;
     } catch (error) {
         console.error('Error clearing all warns:', error);
@@ -342,41 +409,35 @@ async function clearAllWarns(groupJid) {
     }
 }
 
-// Auto-reset old warns (can be called periodically)
+// Kept for older callers, strikes now expire on their own
 async function autoResetOldWarns() {
-    try {
-        const settings = await WarnSettingsDB.findAll();
-        const now = new Date();
-        
-        for (const setting of settings) {
-            const days = setting.auto_reset_days;
-            const cutoffDate = new Date(now.setDate(now.getDate() - days));
-            
-            // Delete warns older than cutoff
-            await WarnsDB.destroy({
-                where: {
-                    groupJid: setting.groupJid,
-                    createdAt: {
-                        [DataTypes.Op.lt]: cutoffDate
-                    }
-                }
-            });
-        }
-        
-        // Refresh cache
-        await refreshWarnCache();
-        
-        console.log('✅ Auto-reset old warns completed');
-    } catch (error) {
-        console.error('Error auto-resetting warns:', error);
-    }
+    await pruneExpiredStrikes();
+    console.log('✅ Auto-reset old warns completed');
 }
 
+setInterval(pruneExpiredStrikes, 60 * 60 * 1000).unref();
+
+initWarnDB().catch(err => {
+    console.error('❌ Failed to initialize warn database:', err);
+});
+
 module.exports = {
     initWarnDB,
     getWarnSettings,
     updateWarnSettings,
+    getLadder,
+    setLadder,
     getAllWarnGroups,
+    STRIKE_SOURCES,
+    recordStrike,
+    getStrikes,
+    getStrikeCount,
+    getStrikeBreakdown,
+    getGroupStrikes,
+    clearStrikes,
+    clearGroupStrikes,
+    pruneExpiredStrikes,
+    flushStrikes,
     addWarn,
     removeWarn,
     getUserWarnCount,
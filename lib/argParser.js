@@ -0,0 +1,230 @@
+const { isUrl, isNumber } = require('./botFunctions');
+
+const durationUnits = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Splits on whitespace but keeps "quoted text" together
+function tokenize(text) {
+    const tokens = [];
+    const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = regex.exec(text || '')) !== null) {
+        tokens.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return tokens;
+}
+
+function toJid(value) {
+    const clean = String(value).trim().replace(/^@/, '');
+    if (/@(s\.whatsapp\.net|g\.us|lid|newsletter)$/.test(clean)) return clean;
+    const number = clean.replace(/[^0-9]/g, '');
+    if (number.length < 7 || number.length > 15) return null;
+    return `${number}@s.whatsapp.net`;
+}
+
+// "90" -> 90s, "10m" -> 10 minutes, "1h30m" -> 90 minutes. Returns milliseconds.
+function parseDuration(value) {
+    const text = String(value).trim().toLowerCase();
+    if (/^\d+$/.test(text)) return Number(text) * 1000;
+
+    const parts = text.match(/(\d+)\s*([smhdw])/g);
+    if (!parts || parts.join('') !== text.replace(/\s+/g, '')) return null;
+
+    return parts.reduce((total, part) => {
+        const [, amount, unit] = part.match(/(\d+)\s*([smhdw])/);
+        return total + Number(amount) * durationUnits[unit];
+    }, 0);
+}
+
+// Accepts 2026-10-18 style dates, returns a Date at the start of that day
+function parseDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+    const date = new Date(`${value}T00:00:00`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+const types = {
+    string: value => value,
+    number: value => (isNumber(value) && !isNaN(Number(value)) ? Number(value) : null),
+    boolean: value => {
+        if (/^(true|on|yes|1)$/i.test(value)) return true;
+        if (/^(false|off|no|0)$/i.test(value)) return false;
+        return null;
+    },
+    url: value => (isUrl(value) ? value : null),
+    jid: value => toJid(value),
+    mention: value => (String(value).startsWith('@') ? toJid(value) : null),
+    duration: value => parseDuration(value),
+    date: value => parseDate(value)
+};
+
+const typeLabels = {
+    number: 'a number',
+    boolean: 'on/off',
+    url: 'a valid link',
+    jid: 'a phone number or JID',
+    mention: 'a @mention',
+    duration: 'a duration like 30s, 10m or 2h',
+    date: 'a date like 2026-01-31'
+};
+
+function convert(spec, value) {
+    const type = spec.type || 'string';
+    const converter = types[type];
+    if (!converter) throw new Error(`Unknown argument type "${type}"`);
+
+    const converted = converter(value);
+    if (converted === null) return { success: false };
+    if (spec.choices && !spec.choices.includes(converted)) return { success: false };
+    return { success: true, value: converted };
+}
+
+function describeExpected(spec) {
+    if (spec.choices) return `one of ${spec.choices.join(', ')}`;
+    return typeLabels[spec.type] || 'text';
+}
+
+// Builds "kick <user> [reason...] [--silent]" from a command's schema
+function buildUsage(cmd) {
+    const parts = [cmd.pattern];
+    for (const spec of cmd.args || []) {
+        const label = spec.rest ? `${spec.name}...` : spec.name;
+        parts.push(spec.required ? `<${label}>` : `[${label}]`);
+    }
+    for (const [name, spec] of Object.entries(cmd.flags || {})) {
+        parts.push(spec.type === 'boolean' ? `[--${name}]` : `[--${name} <${spec.type || 'value'}>]`);
+    }
+    return parts.join(' ');
+}
+
+function findFlag(flags, key) {
+    if (flags[key]) return key;
+    return Object.keys(flags).find(name => flags[name].alias === key);
+}
+
+/**
+ * Parses the text after a command against its `args` (positional) and `flags` schema.
+ * Mentions that WhatsApp resolved for us can be passed in `context.mentionedJid` and
+ * a replied-to sender in `context.quotedSender`, they fill missing mention/jid arguments.
+ * Options are read up to a bare `--` or until a rest argument starts, everything after that
+ * is text, so "note add buy milk --urgent" keeps its --urgent.
+ * Returns { success: true, args } or { success: false, message }.
+ */
+function parseArgs(cmd, text, context = {}) {
+    const positionalSpecs = cmd.args || [];
+    const flagSpecs = cmd.flags || {};
+    const tokens = tokenize(text);
+    const mentioned = [...(context.mentionedJid || [])];
+    const result = {};
+    const positional = [];
+    // Next positional spec a token would fill, mirrors how they are handed out below
+    let specIndex = 0;
+    let optionsEnded = false;
+
+    const takesRest = token => {
+        while (positionalSpecs[specIndex]?.type === 'mention' && !String(token).startsWith('@')) specIndex++;
+        if (positionalSpecs[specIndex]?.rest) return true;
+        specIndex++;
+        return false;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (!optionsEnded && token === '--') {
+            optionsEnded = true;
+            continue;
+        }
+
+        const flagMatch = !optionsEnded && token.match(/^--?([a-zA-Z][\w-]*)(?:=(.*))?$/);
+        if (!flagMatch) {
+            if (takesRest(token)) optionsEnded = true;
+            positional.push(token);
+            continue;
+        }
+
+        const name = findFlag(flagSpecs, flagMatch[1]);
+        if (!name) return { success: false, message: `Unknown option --${flagMatch[1]}` };
+
+        const spec = flagSpecs[name];
+        let raw = flagMatch[2];
+        if (raw === undefined) {
+            if (spec.type === 'boolean') {
+                raw = 'true';
+            } else if (i + 1 < tokens.length) {
+                raw = tokens[++i];
+            } else {
+                return { success: false, message: `Option --${name} needs ${describeExpected(spec)}` };
+            }
+        }
+
+        const converted = convert(spec, raw);
+        if (!converted.success) {
+            return { success: false, message: `Option --${name} must be ${describeExpected(spec)}` };
+        }
+        result[name] = converted.value;
+    }
+
+    for (const spec of positionalSpecs) {
+        let raw;
+        if (spec.rest) {
+            raw = positional.length ? positional.splice(0).join(' ') : undefined;
+        } else if (spec.type !== 'mention' || String(positional[0]).startsWith('@')) {
+            raw = positional.shift();
+        }
+
+        if (raw === undefined && (spec.type === 'mention' || spec.type === 'jid')) {
+            const fallback = mentioned.shift() || context.quotedSender;
+            if (fallback) {
+                result[spec.name] = fallback;
+                continue;
+            }
+        }
+
+        if (raw === undefined) {
+            if (spec.required) return { success: false, message: `Missing ${spec.name}` };
+            if (spec.default !== undefined) result[spec.name] = spec.default;
+            continue;
+        }
+
+        const converted = convert(spec, raw);
+        if (!converted.success) {
+            return { success: false, message: `${spec.name} must be ${describeExpected(spec)}` };
+        }
+
+        // Prefer the JID WhatsApp resolved for a typed @mention, it may be a @lid
+        if (spec.type === 'mention' || spec.type === 'jid') {
+            const user = converted.value.split('@')[0];
+            const index = mentioned.findIndex(jid => jid.split('@')[0] === user);
+            if (index !== -1) converted.value = mentioned.splice(index, 1)[0];
+        }
+        result[spec.name] = converted.value;
+    }
+
+    if (positional.length) {
+        return { success: false, message: `Unexpected argument "${positional[0]}"` };
+    }
+
+    for (const [name, spec] of Object.entries(flagSpecs)) {
+        if (result[name] !== undefined) continue;
+        if (spec.required) return { success: false, message: `Missing option --${name}` };
+        if (spec.default !== undefined) result[name] = spec.default;
+        else if (spec.type === 'boolean') result[name] = false;
+    }
+
+    return { success: true, args: result };
+}
+
+module.exports = {
+    tokenize,
+    toJid,
+    parseDuration,
+    parseDate,
+    buildUsage,
+    parseArgs,
+    types
+};
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const KeithLogger = require('../logger');
+const { database, backupDir } = require('../settings');
+const { ensureSchema, loadMigrations } = require('./migrator');
+
+const BACKUP_FORMAT = 'keith-md-backup';
+const BACKUP_VERSION = 1;
+const BATCH_SIZE = 500;
+const FILE_PATTERN = /^keith-backup-.+\.(zip|json)$/;
+const databaseDir = path.join(__dirname, '..', 'database');
+
+// The migrations table belongs to the target database, never copy it across
+const SKIPPED_TABLES = new Set(['schema_migrations']);
+
+// Models only exist once their module is required, so pull every database module in
+function loadModels() {
+    for (const file of fs.readdirSync(databaseDir).filter(name => name.endsWith('.js'))) {
+        require(path.join(databaseDir, file));
+    }
+    return Object.values(database.models)
+        .filter(model => !SKIPPED_TABLES.has(model.getTableName().toString()))
+        .sort((a, b) => a.getTableName().toString().localeCompare(b.getTableName().toString()));
+}
+
+async function readTable(model) {
+    const order = model.primaryKeyAttributes.map(key => [key, 'ASC']);
+    const rows = [];
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+        const batch = await model.findAll({ order, offset, limit: BATCH_SIZE });
+        rows.push(...batch.map(row => row.get({ plain: true })));
+        if (batch.length < BATCH_SIZE) return rows;
+    }
+}
+
+/**
+ * Reads every table into one plain object:
+ *   { format, version, createdAt, dialect, schemaVersion, tables: { name: [rows] } }
+ * Dates turn into ISO strings once serialised, which every dialect reads back.
+ */
+async function exportDatabase() {
+    await ensureSchema();
+    const migrations = loadMigrations();
+    const tables = {};
+
+    for (const model of loadModels()) {
+        tables[model.getTableName().toString()] = await readTable(model);
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        dialect: database.getDialect(),
+        schemaVersion: migrations.length ? migrations[migrations.length - 1].version : 0,
+        tables
+    };
+}
+
+function getManifest(backup) {
+    const { tables, ...manifest } = backup;
+    manifest.rows = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.length]));
+    return manifest;
+}
+
+// Zip archives hold manifest.json plus tables/<name>.json, so one table can be inspected on its own
+function toZip(backup) {
+    const zip = new AdmZip();
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(getManifest(backup), null, 2)));
+    for (const [name, rows] of Object.entries(backup.tables)) {
+        zip.addFile(`tables/${name}.json`, Buffer.from(JSON.stringify(rows)));
+    }
+    return zip.toBuffer();
+}
+
+function fromZip(buffer) {
+    const zip = new AdmZip(buffer);
+    const manifestEntry = zip.getEntry('manifest.json');
+    if (!manifestEntry) throw new Error('Archive has no manifest.json');
+
+    const { rows, ...manifest } = JSON.parse(manifestEntry.getData().toString('utf8'));
+    const tables = {};
+    for (const name of Object.keys(rows || {})) {
+        const entry = zip.getEntry(`tables/${name}.json`);
+        if (!entry) throw new Error(`Archive is missing tables/${name}.json`);
+        tables[name] = JSON.parse(entry.getData().toString('utf8'));
+    }
+    return { ...manifest, tables };
+}
+
+function checkBackup(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.tables !== 'object') {
+        throw new Error('Not a KEITH-MD backup');
+    }
+    if (backup.version > BACKUP_VERSION) {
+        throw new Error(`Backup format v${backup.version} is newer than this bot understands (v${BACKUP_VERSION})`);
+    }
+    const migrations = loadMigrations();
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+    if (backup.schemaVersion > latest) {
+        throw new Error(`Backup was made at schema version ${backup.schemaVersion}, this bot only knows up to ${latest}. Update the bot first.`);
+    }
+    return backup;
+}
+
+// Accepts a zip or JSON archive as a file path or buffer
+function readBackup(source) {
+    const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+    const isZip = buffer.length > 3 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+    return checkBackup(isZip ? fromZip(buffer) : JSON.parse(buffer.toString('utf8')));
+}
+
+// Restored rows keep their ids, move Postgres sequences past them so new rows do not collide
+async function resetSequence(model, transaction) {
+    if (model.sequelize.getDialect() !== 'postgres') return;
+    const key = model.primaryKeyAttributes.find(name => model.rawAttributes[name].autoIncrement);
+    if (!key) return;
+
+    const table = model.getTableName().toString();
+    const column = model.rawAttributes[key].field || key;
+    await model.sequelize.query(
+        `SELECT setval(pg_get_serial_sequence('"${table}"', '${column}'), COALESCE(MAX("${column}"), 1), MAX("${column}") IS NOT NULL) FROM "${table}"`,
+        { transaction }
+    );
+}
+
+/**
+ * Replaces the contents of every table in the backup, all or nothing.
+ * Tables the backup lacks are left alone, tables this bot does not know are skipped.
+ * Returns { restored: { name: rows }, skipped: [names] }.
+ */
+async function restoreDatabase(backup) {
+    checkBackup(backup);
+    await ensureSchema();
+
+    const models = new Map(loadModels().map(model => [model.getTableName().toString(), model]));
+    const restored = {};
+    const skipped = [];
+
+    await database.transaction(async transaction => {
+        for (const [name, rows] of Object.entries(backup.tables)) {
+            const model = models.get(name);
+            if (!model) {
+                skipped.push(name);
+                continue;
+            }
+
+            await model.destroy({ where: {}, transaction });
+            for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+                await model.bulkCreate(rows.slice(i, i + BATCH_SIZE), { transaction, hooks: false, silent: true });
+            }
+            await resetSequence(model, transaction);
+            restored[name] = rows.length;
+        }
+    });
+
+    KeithLogger.info(`Restored ${Object.keys(restored).length} tables from a ${backup.dialect} backup made ${backup.createdAt}`);
+    return { restored, skipped };
+}
+
+function backupFileName(format, label) {
+    const stamp = new Date().toISOString().replace(/\.\d+Z$/, '').replace(/:/g, '-');
+    return `keith-backup-${stamp}${label ? `-${label}` : ''}.${format}`;
+}
+
+/**
+ * Writes a backup into `dir` and returns { file, size, manifest }.
+ *   format 'zip' (default) or 'json', label ends up in the file name, e.g. 'pre-restore'
+ */
+async function createBackup({ dir = backupDir, format = 'zip', label } = {}) {
+    const backup = await exportDatabase();
+    const data = format === 'json' ? Buffer.from(JSON.stringify(backup)) : toZip(backup);
+
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, backupFileName(format, label));
+    fs.writeFileSync(file, data);
+    return { file, size: data.length, manifest: getManifest(backup) };
+}
+
+// Newest first
+function listBackups(dir = backupDir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => FILE_PATTERN.test(name))
+        .map(name => {
+            const file = path.join(dir, name);
+            const { size, mtimeMs } = fs.statSync(file);
+            return { name, file, size, createdAt: new Date(mtimeMs) };
+        })
+        .sort((a, b) => b.createdAt - a.createdAt || b.name.localeCompare(a.name));
+}
+
+// Deletes all but the newest `keep` backups, returns the removed names
+function pruneBackups(keep, dir = backupDir) {
+    const removed = listBackups(dir).slice(Math.max(keep, 1));
+    removed.forEach(backup => fs.unlinkSync(backup.file));
+    return removed.map(backup => backup.name);
+}
+
+// Finds a backup by exact name, or the newest one whose name contains the text
+function findBackup(name, dir = backupDir) {
+    const backups = listBackups(dir);
+    return backups.find(backup => backup.name === name) || backups.find(backup => backup.name.includes(name)) || null;
+}
+
+let scheduleTimer = null;
+
+async function runScheduledBackup() {
+    const { getSettings } = require('../database/settings');
+    const { backupKeep } = await getSettings();
+    const { file } = await createBackup({ label: 'auto' });
+    const removed = pruneBackups(backupKeep);
+    KeithLogger.info(`Automatic backup saved to ${path.basename(file)}${removed.length ? `, removed ${removed.length} old` : ''}`);
+}
+
+/**
+ * Backs up every `backupInterval` hours from the settings table.
+ * The first run is timed from the newest backup on disk, so frequent restarts do not skip it.
+ */
+async function startBackupSchedule() {
+    stopBackupSchedule();
+    await ensureSchema();
+    const { getSettings } = require('../database/settings');
+    const { backupInterval } = await getSettings();
+    if (!backupInterval) return false;
+
+    const every = backupInterval * 60 * 60 * 1000;
+    const [newest] = listBackups();
+    const schedule = delay => {
+        scheduleTimer = setTimeout(async () => {
+            try {
+                await runScheduledBackup();
+            } catch (error) {
+                KeithLogger.error('Automatic backup failed', error);
+            }
+            schedule(every);
+        }, delay);
+        scheduleTimer.unref();
+    };
+    schedule(newest ? Math.max(0, newest.createdAt.getTime() + every - Date.now()) : 0);
+    return true;
+}
+
+function stopBackupSchedule() {
+    if (scheduleTimer) clearTimeout(scheduleTimer);
+    scheduleTimer = null;
+}
+
+function isBackupScheduled() {
+    return scheduleTimer !== null;
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    loadModels,
+    resetSequence,
+    exportDatabase,
+    restoreDatabase,
+    readBackup,
+    toZip,
+    getManifest,
+    createBackup,
+    listBackups,
+    pruneBackups,
+    findBackup,
+    startBackupSchedule,
+    stopBackupSchedule,
+    isBackupScheduled
+};
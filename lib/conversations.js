@@ -0,0 +1,221 @@
+const { types } = require('./argParser');
+const { defaultText } = require('./i18n');
+
+const DEFAULT_TIMEOUT = 60 * 1000;
+const DEFAULT_RETRIES = 3;
+const cancelWords = ['cancel', 'stop', 'exit', 'quit'];
+
+// One open question per user per chat
+const pending = new Map(); // Key: `${chatJid}:${userNumber}` -> { resolve, reject, timer, ignoreIds }
+const attachedClients = new WeakSet();
+
+function getNumber(jid) {
+    return String(jid || '').split('@')[0].split(':')[0];
+}
+
+function conversationKey(chatJid, userJid) {
+    return `${chatJid}:${getNumber(userJid)}`;
+}
+
+function getMessageText(message) {
+    const content = message?.message || {};
+    return (
+        content.conversation ||
+        content.extendedTextMessage?.text ||
+        content.imageMessage?.caption ||
+        content.videoMessage?.caption ||
+        ''
+    ).trim();
+}
+
+// Every JID the sender of a message might be known by (LID and phone number)
+function getSenderJids(message, client) {
+    const key = message?.key || {};
+    if (key.fromMe) return [client?.user?.id, client?.user?.lid].filter(Boolean);
+    if (String(key.remoteJid).endsWith('@g.us')) {
+        return [key.participant, key.participantAlt, key.participantPn].filter(Boolean);
+    }
+    return [key.remoteJid, key.remoteJidAlt, key.senderPn].filter(Boolean);
+}
+
+function isCancel(text) {
+    const word = text.toLowerCase().replace(/^[^a-z]+/, '');
+    return cancelWords.includes(word);
+}
+
+function conversationError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isConversationEnd(error) {
+    return error?.code === 'CONVERSATION_CANCELLED' || error?.code === 'CONVERSATION_TIMEOUT';
+}
+
+function isAwaitingReply(chatJid, userJid) {
+    return pending.has(conversationKey(chatJid, userJid));
+}
+
+function clearPending(key, error) {
+    const entry = pending.get(key);
+    if (!entry) return false;
+    clearTimeout(entry.timer);
+    pending.delete(key);
+    if (error) entry.reject(error);
+    return true;
+}
+
+function cancelConversation(chatJid, userJid) {
+    return clearPending(conversationKey(chatJid, userJid), conversationError('CONVERSATION_CANCELLED', 'Cancelled'));
+}
+
+/**
+ * Feeds an incoming message to a waiting conversation.
+ * Returns true when the message was an answer, so the caller can skip other handling.
+ */
+function handleIncomingMessage(message, client) {
+    const chatJid = message?.key?.remoteJid;
+    if (!chatJid || !pending.size) return false;
+
+    for (const jid of getSenderJids(message, client)) {
+        const key = conversationKey(chatJid, jid);
+        const entry = pending.get(key);
+        if (!entry || entry.ignoreIds.has(message.key.id)) continue;
+
+        const text = getMessageText(message);
+        if (!text) return false;
+
+        clearTimeout(entry.timer);
+        pending.delete(key);
+        if (isCancel(text)) {
+            entry.reject(conversationError('CONVERSATION_CANCELLED', 'Cancelled'));
+        } else {
+            entry.resolve({ text, message });
+        }
+        return true;
+    }
+    return false;
+}
+
+// Listens on the client's own message stream so answers arrive even though
+// the main message handler knows nothing about conversations
+function attachClient(client) {
+    if (!client?.ev || attachedClients.has(client)) return;
+    attachedClients.add(client);
+    client.ev.on('messages.upsert', ({ messages }) => {
+        for (const message of messages || []) {
+            handleIncomingMessage(message, client);
+        }
+    });
+}
+
+function waitForReply(chatJid, userJid, { timeout = DEFAULT_TIMEOUT, ignoreIds = [] } = {}) {
+    const key = conversationKey(chatJid, userJid);
+    clearPending(key, conversationError('CONVERSATION_CANCELLED', 'Replaced by a new question'));
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pending.delete(key);
+            reject(conversationError('CONVERSATION_TIMEOUT', 'No reply in time'));
+        }, timeout);
+        if (timer.unref) timer.unref();
+        pending.set(key, { resolve, reject, timer, ignoreIds: new Set(ignoreIds.filter(Boolean)) });
+    });
+}
+
+/**
+ * Starts a conversation with whoever ran the command, in the chat it was run in.
+ *   const convo = createConversation(client, from, conText, { timeout: 60000 });
+ *   const limit = await convo.ask('How many messages?', { type: 'number', validate: n => n > 0 || 'Must be above 0' });
+ * ask() re-asks on an invalid answer and resolves undefined for "skip" when `optional` is set.
+ * It rejects with code CONVERSATION_CANCELLED (user typed cancel, or too many bad answers)
+ * or CONVERSATION_TIMEOUT.
+ */
+function createConversation(client, from, conText, options = {}) {
+    attachClient(client);
+
+    const userJid = conText.roles?.sender || conText.sender || conText.mek?.key?.participant || from;
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const ignoreIds = [conText.mek?.key?.id];
+    const t = conText.t || defaultText;
+
+    async function send(text) {
+        const sent = await client.sendMessage(from, { text }, { quoted: conText.mek });
+        // The bot's own messages come back through messages.upsert when the owner runs a wizard
+        ignoreIds.push(sent?.key?.id);
+        return sent;
+    }
+
+    async function ask(question, askOptions = {}) {
+        const { type = 'string', choices, validate, optional, retries = DEFAULT_RETRIES } = askOptions;
+        const converter = types[type];
+        if (!converter) throw new Error(`Unknown answer type "${type}"`);
+
+        let hint = choices ? `\n\n${t('conversation.options', { choices: choices.join(', ') })}` : '';
+        if (optional) hint += `\n${t('conversation.skipHint')}`;
+        const seconds = Math.round((askOptions.timeout || timeout) / 1000);
+        await send(`${question}${hint}\n\n${t('conversation.replyWithin', { seconds })}`);
+
+        for (let attempt = 1; ; attempt++) {
+            const { text } = await waitForReply(from, userJid, { timeout: askOptions.timeout || timeout, ignoreIds });
+            if (optional && /^skip$/i.test(text)) return undefined;
+
+            let value = converter(text);
+            if (value !== null && choices) {
+                const match = choices.find(choice => String(choice).toLowerCase() === String(value).toLowerCase());
+                value = match === undefined ? null : match;
+            }
+
+            let problem = null;
+            if (value === null) problem = choices ? t('conversation.pickOne', { choices: choices.join(', ') }) : t('conversation.invalidType', { type });
+            if (!problem && validate) {
+                const verdict = await validate(value);
+                if (verdict !== true && verdict !== undefined) problem = typeof verdict === 'string' ? verdict : t('conversation.invalidAnswer');
+            }
+            if (!problem) return value;
+
+            if (attempt >= retries) {
+                throw conversationError('CONVERSATION_CANCELLED', 'Too many invalid answers');
+            }
+            await send(t('conversation.retry', { problem }));
+        }
+    }
+
+    // Yes/no question, resolves a boolean
+    function confirm(question, askOptions = {}) {
+        return ask(question, { ...askOptions, type: 'boolean' });
+    }
+
+    return { ask, confirm, send, userJid, cancel: () => cancelConversation(from, userJid) };
+}
+
+/**
+ * Runs a wizard and turns a cancel or timeout into a friendly reply.
+ * Resolves whatever the wizard returns, or null when it did not finish.
+ */
+async function runWizard(client, from, conText, wizard, options = {}) {
+    const convo = createConversation(client, from, conText, options);
+    try {
+        return await wizard(convo);
+    } catch (error) {
+        if (!isConversationEnd(error)) throw error;
+        const t = conText.t || (key => defaultText(key));
+        const text = t(error.code === 'CONVERSATION_TIMEOUT' ? 'conversation.timeout' : 'conversation.cancelled');
+        await client.sendMessage(from, { text }, { quoted: conText.mek });
+        return null;
+    }
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    createConversation,
+    runWizard,
+    waitForReply,
+    handleIncomingMessage,
+    attachClient,
+    isAwaitingReply,
+    cancelConversation,
+    isConversationEnd,
+    getMessageText
+};
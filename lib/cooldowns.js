@@ -0,0 +1,51 @@
+const { takeCooldowns } = require('../database/cooldown');
+const { resolveRoles } = require('./permissions');
+const { defaultText } = require('./i18n');
+
+const cooldownScopes = ['user', 'chat', 'global'];
+
+// `cooldown: 10` is shorthand for a 10 second per-user cooldown
+function normalizeCooldown(cooldown) {
+    if (!cooldown) return null;
+    if (typeof cooldown === 'number') return { user: cooldown };
+
+    for (const scope of Object.keys(cooldown)) {
+        if (!cooldownScopes.includes(scope)) {
+            throw new Error(`Unknown cooldown scope "${scope}"`);
+        }
+    }
+    return cooldown;
+}
+
+function getBuckets(cmd, from, sender) {
+    const name = cmd.pattern;
+    const keys = {
+        user: `${name}:user:${sender}`,
+        chat: `${name}:chat:${from}`,
+        global: `${name}:global`
+    };
+
+    return cooldownScopes
+        .filter(scope => cmd.cooldown[scope] > 0)
+        .map(scope => ({ bucket: keys[scope], seconds: cmd.cooldown[scope] }));
+}
+
+// Returns the "try again" reply while any bucket is still running, otherwise starts them all
+async function checkCooldown(cmd, client, from, conText) {
+    if (!cmd.cooldown) return null;
+
+    const roles = await resolveRoles(client, from, conText);
+    if (roles.isOwner || roles.isSudo) return null;
+
+    const remaining = await takeCooldowns(getBuckets(cmd, from, roles.sender));
+    if (!remaining) return null;
+
+    const vars = { command: cmd.pattern, seconds: remaining };
+    return conText.t ? conText.t('command.cooldown', vars) : defaultText('command.cooldown', vars);
+}
+
+module.exports = {
+    cooldownScopes,
+    normalizeCooldown,
+    checkCooldown
+};
@@ -0,0 +1,228 @@
+const { Op } = require('sequelize');
+const KeithLogger = require('../logger');
+const { database, createDatabase } = require('../settings');
+const { migrate, ensureSchema } = require('./migrator');
+const { loadModels, resetSequence } = require('./backup');
+
+const BATCH_SIZE = 500;
+const MAX_REPORTED_CONFLICTS = 20; // per table, the rest are only counted
+
+// The same model bound to another connection
+function bindModel(model, connection) {
+    if (model.sequelize === connection) return model;
+    if (connection.models[model.name]) return connection.models[model.name];
+
+    const { timestamps, createdAt, updatedAt, paranoid, freezeTableName, underscored } = model.options;
+    return connection.define(model.name, model.getAttributes(), {
+        tableName: model.getTableName().toString(),
+        timestamps,
+        createdAt,
+        updatedAt,
+        paranoid,
+        freezeTableName,
+        underscored
+    });
+}
+
+// Primary key first, then every unique column or unique index
+function getKeys(model) {
+    const keys = [model.primaryKeyAttributes];
+    Object.entries(model.rawAttributes)
+        .filter(([name, attribute]) => attribute.unique && !attribute.primaryKey)
+        .forEach(([name]) => keys.push([name]));
+    (model.options.indexes || [])
+        .filter(index => index.unique)
+        .forEach(index => keys.push(index.fields.map(field => field.name || field)));
+    return keys;
+}
+
+function normalize(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function keyOf(row, fields) {
+    return JSON.stringify(fields.map(field => normalize(row[field])));
+}
+
+function describeKey(row, fields) {
+    return fields.map(field => `${field} ${JSON.stringify(row[field])}`).join(', ');
+}
+
+function sameRow(a, b, attributes) {
+    return attributes.every(name => normalize(a[name]) === normalize(b[name]));
+}
+
+// Target rows sharing any key with the batch, one query per key
+async function findExisting(model, rows, keys, transaction) {
+    const existing = [];
+    for (const fields of keys) {
+        const matches = await model.findAll({
+            where: { [Op.or]: rows.map(row => Object.fromEntries(fields.map(field => [field, row[field] ?? null]))) },
+            transaction
+        });
+        existing.push(new Map(matches.map(match => [keyOf(match, fields), match.get({ plain: true })])));
+    }
+    return existing;
+}
+
+/**
+ * Copies one table in batches. A row whose primary key is already in the target is left alone
+ * when identical, replaced with conflict 'overwrite', otherwise reported. A row that clashes on
+ * another unique key is always reported, since overwriting it would change a different row.
+ */
+async function copyTable(model, source, target, { batchSize, conflict }) {
+    const table = model.getTableName().toString();
+    const sourceModel = bindModel(model, source);
+    const targetModel = bindModel(model, target);
+    const report = { table, source: 0, copied: 0, unchanged: 0, overwritten: 0, conflicts: 0, details: [] };
+
+    let columns;
+    try {
+        columns = await source.getQueryInterface().describeTable(table);
+    } catch (error) {
+        return { ...report, missing: true, verified: true };
+    }
+
+    // Older databases may lack newer columns, those rows take the target's defaults
+    const attributes = Object.keys(model.rawAttributes)
+        .filter(name => columns[model.rawAttributes[name].field || name]);
+    const keys = getKeys(model).filter(fields => fields.every(field => attributes.includes(field)));
+    const [primaryKey, ...uniqueKeys] = keys;
+    const order = model.primaryKeyAttributes.map(key => [key, 'ASC']);
+
+    report.source = await sourceModel.count();
+    report.targetBefore = await targetModel.count();
+
+    for (let offset = 0; offset < report.source; offset += batchSize) {
+        const rows = (await sourceModel.findAll({ attributes, order, offset, limit: batchSize }))
+            .map(row => row.get({ plain: true }));
+
+        await target.transaction(async transaction => {
+            const [byPrimaryKey, ...byUniqueKey] = await findExisting(targetModel, rows, keys, transaction);
+            const fresh = [];
+
+            for (const row of rows) {
+                const current = byPrimaryKey.get(keyOf(row, primaryKey));
+                if (current && sameRow(row, current, attributes)) {
+                    report.unchanged++;
+                    continue;
+                }
+
+                const clashIndex = uniqueKeys.findIndex((fields, i) => {
+                    const other = byUniqueKey[i].get(keyOf(row, fields));
+                    return other && keyOf(other, primaryKey) !== keyOf(row, primaryKey);
+                });
+                if (clashIndex !== -1) {
+                    const fields = uniqueKeys[clashIndex];
+                    const other = byUniqueKey[clashIndex].get(keyOf(row, fields));
+                    report.conflicts++;
+                    if (report.details.length < MAX_REPORTED_CONFLICTS) {
+                        report.details.push(`${describeKey(row, primaryKey)}: ${describeKey(row, fields)} already belongs to ${describeKey(other, primaryKey)}`);
+                    }
+                    continue;
+                }
+
+                if (!current) {
+                    fresh.push(row);
+                } else if (conflict === 'overwrite') {
+                    const where = Object.fromEntries(primaryKey.map(field => [field, row[field]]));
+                    await targetModel.update(row, { where, transaction, hooks: false, silent: true });
+                    report.overwritten++;
+                } else {
+                    report.conflicts++;
+                    if (report.details.length < MAX_REPORTED_CONFLICTS) {
+                        report.details.push(`${describeKey(row, primaryKey)}: target has a different row`);
+                    }
+                }
+            }
+
+            if (fresh.length) {
+                await targetModel.bulkCreate(fresh, { transaction, hooks: false, silent: true, validate: false });
+                report.copied += fresh.length;
+            }
+        });
+    }
+
+    await resetSequence(targetModel);
+    report.targetAfter = await targetModel.count();
+
+    // Every source row is accounted for and the target grew by exactly what was inserted
+    report.verified = report.copied + report.unchanged + report.overwritten + report.conflicts === report.source &&
+        report.targetAfter === report.targetBefore + report.copied;
+    return report;
+}
+
+function toConnection(value) {
+    return typeof value === 'string' ? createDatabase(value) : value;
+}
+
+/**
+ * Copies every model's rows from one database into another, e.g. ./database.db into Postgres.
+ *   from, to        Sequelize instances or DATABASE_URL style strings, `to` defaults to the bot's database
+ *   conflict        'skip' (default) reports rows that differ, 'overwrite' replaces them by primary key
+ *   onTable(report) called after each table, for progress output
+ * The target is migrated to the latest schema first. The source is only read.
+ * Returns { tables: [report], copied, conflicts, verified }.
+ */
+async function copyDatabase({ from, to = database, batchSize = BATCH_SIZE, conflict = 'skip', onTable } = {}) {
+    if (!from) throw new Error('Say which database to copy from');
+    if (!['skip', 'overwrite'].includes(conflict)) throw new Error(`Unknown conflict mode "${conflict}"`);
+
+    const source = toConnection(from);
+    const target = toConnection(to);
+    if (source === target) throw new Error('Source and target are the same database');
+
+    try {
+        await source.authenticate();
+        // The bot's own database is migrated by its modules as they load, wait for that instead of racing it
+        if (source === database || target === database) await ensureSchema();
+        if (target !== database) await migrate({ database: target });
+
+        const tables = [];
+        for (const model of loadModels()) {
+            const report = await copyTable(model, source, target, { batchSize, conflict });
+            tables.push(report);
+            if (onTable) onTable(report);
+        }
+
+        const result = {
+            tables,
+            copied: tables.reduce((sum, report) => sum + report.copied, 0),
+            conflicts: tables.reduce((sum, report) => sum + report.conflicts, 0),
+            verified: tables.every(report => report.verified)
+        };
+        KeithLogger.info(`Copied ${result.copied} rows from ${source.getDialect()} to ${target.getDialect()}, ${result.conflicts} conflicts`);
+        return result;
+    } finally {
+        if (source !== from) await source.close();
+        if (target !== to) await target.close();
+    }
+}
+
+// One line per table plus the conflicts, for chat replies and the CLI
+function formatCopyReport(result) {
+    const lines = result.tables.map(report => {
+        if (report.missing) return `▸ ${report.table}: not in the source`;
+        let line = `${report.verified ? '✔' : '✘'} ${report.table}: ${report.copied}/${report.source} copied`;
+        if (report.unchanged) line += `, ${report.unchanged} already there`;
+        if (report.overwritten) line += `, ${report.overwritten} overwritten`;
+        if (report.conflicts) line += `, ${report.conflicts} conflicts`;
+        return line;
+    });
+
+    const details = result.tables.flatMap(report => report.details.map(detail => `  ${report.table} ${detail}`));
+    if (details.length) lines.push('', 'Conflicts:', ...details);
+
+    if (!result.verified) lines.push('', '⚠️ Row counts do not match, check the tables marked ✘.');
+    else lines.push('', `✅ ${result.copied} rows copied, ${result.conflicts} conflicts left as they were, counts match.`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    copyDatabase,
+    copyTable,
+    formatCopyReport
+};
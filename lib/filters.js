@@ -0,0 +1,214 @@
+const KeithLogger = require('../logger');
+const { getTranslator } = require('./i18n');
+const { getMessageText } = require('./conversations');
+const { resolveRoles } = require('./permissions');
+const { applyFilterAction, deleteMessage } = require('./moderation');
+const { isMuted } = require('../database/mutes');
+const { recordStrike, clearStrikes } = require('../database/warn');
+const { logModerationAction } = require('../database/modlog');
+const { AutoBlockDB, BlockTriggersDB, containsTriggerWord } = require('../database/autoblock');
+const { AntiLinkDB, findLinks, checkLinks, getLinkDomains } = require('../database/antilink');
+const { AntiBadDB, BadWordsDB, containsBadWord } = require('../database/antibad');
+const { AntiSpamDB, addUserMessage, getUserMessageCount, clearUserMessages } = require('../database/antispam');
+const { AntiTagDB } = require('../database/antitag');
+const { AntiStickerDB } = require('../database/antisticker');
+const { AntiStatusMentionDB } = require('../database/antistatusmention');
+
+/**
+ * The anti-* detectors that look at every group message. A detector gets
+ * { client, groupJid, userJid, mek, text } and resolves null to let the message through,
+ * or { settings, reason, vars } when it caught it; reason picks the moderation.reasons.* text
+ * and defaults to the filter's name. Admins are spared unless the filter's exempt_admins is off.
+ * Other modules add their own with registerFilter.
+ */
+const filters = new Map();
+
+function registerFilter(source, detect) {
+    if (typeof detect !== 'function') throw new Error(`Filter ${source} needs a detect function`);
+    filters.set(source, detect);
+}
+
+/**
+ * Filter settings and word lists are read for every message, so they are kept per model and key.
+ * Any write to a model drops what is cached for it: the hooks see the update* and toggle*
+ * helpers as well as direct writes. A failed lookup throws and is not cached.
+ */
+const lookupCache = new Map(); // Key: model -> { version, entries: Map(key -> value) }
+const writeHooks = ['afterSave', 'afterDestroy', 'afterUpsert', 'afterBulkCreate', 'afterBulkUpdate', 'afterBulkDestroy'];
+
+function getModelCache(model) {
+    let cache = lookupCache.get(model);
+    if (!cache) {
+        cache = { version: 0, entries: new Map() };
+        const clear = () => {
+            cache.version++;
+            cache.entries.clear();
+        };
+        writeHooks.forEach(hook => model.addHook(hook, clear));
+        lookupCache.set(model, cache);
+    }
+    return cache;
+}
+
+async function cachedLookup(model, key, load) {
+    const cache = getModelCache(model);
+    if (cache.entries.has(key)) return cache.entries.get(key);
+
+    const version = cache.version;
+    const value = await load();
+    // A write while it loaded made the value stale
+    if (cache.version === version) cache.entries.set(key, value);
+    return value;
+}
+
+// A plain lookup, the get*Settings helpers create a row for every group that ever sends a message
+async function getActiveSettings(model, groupJid) {
+    const settings = await cachedLookup(model, groupJid, () => model.findOne({ where: { groupJid } }));
+    return settings?.status === 'on' ? settings : null;
+}
+
+function getWords(model, where = {}) {
+    return cachedLookup(model, where.groupJid || '', async () => (await model.findAll({ where, attributes: ['word'] })).map(row => row.word));
+}
+
+registerFilter('link', async ({ groupJid, text }) => {
+    if (!text || !findLinks(text).length) return null;
+    const settings = await getActiveSettings(AntiLinkDB, groupJid);
+    if (!settings) return null;
+    const caught = checkLinks(text, { mode: settings.mode, ...await getLinkDomains(groupJid) });
+    return caught && { settings, reason: caught.reason, vars: { domain: caught.link.domain } };
+});
+
+registerFilter('badword', async ({ groupJid, text }) => {
+    if (!text) return null;
+    const settings = await getActiveSettings(AntiBadDB, groupJid);
+    if (!settings) return null;
+    const words = await getWords(BadWordsDB, { groupJid });
+    return containsBadWord(text, words, settings.filter_type) ? { settings } : null;
+});
+
+registerFilter('spam', async ({ groupJid, userJid }) => {
+    const settings = await getActiveSettings(AntiSpamDB, groupJid);
+    if (!settings) return null;
+    addUserMessage(groupJid, userJid);
+    if (getUserMessageCount(groupJid, userJid, settings.time_window) <= settings.message_limit) return null;
+    // One flood is one offence
+    clearUserMessages(groupJid, userJid);
+    return { settings };
+});
+
+registerFilter('tag', async ({ groupJid, mek }) => {
+    const contextInfo = Object.values(mek.message || {}).find(content => content?.contextInfo)?.contextInfo;
+    const mentions = contextInfo?.mentionedJid || [];
+    if (!mentions.length) return null;
+    const settings = await getActiveSettings(AntiTagDB, groupJid);
+    if (!settings || mentions.length <= settings.allowed_mentions) return null;
+    return { settings };
+});
+
+registerFilter('sticker', async ({ groupJid, mek }) => {
+    if (!mek.message?.stickerMessage) return null;
+    const settings = await getActiveSettings(AntiStickerDB, groupJid);
+    return settings ? { settings } : null;
+});
+
+registerFilter('statusmention', async ({ groupJid, mek }) => {
+    if (!mek.message?.groupStatusMentionMessage) return null;
+    const settings = await getActiveSettings(AntiStatusMentionDB, groupJid);
+    return settings ? { settings } : null;
+});
+
+/**
+ * Runs every filter on a group message and hands the first catch to applyFilterAction,
+ * so the filter's own action or the group's ladder decides what happens.
+ * Resolves true when the message was caught and should not be handled any further.
+ */
+async function runFilters(client, mek) {
+    const groupJid = mek?.key?.remoteJid;
+    if (!String(groupJid).endsWith('@g.us') || mek.key.fromMe || !mek.message) return false;
+
+    const userJid = mek.key.participant;
+    // attachModeration already deletes everything a muted member sends
+    if (isMuted(groupJid, userJid)) return false;
+    const text = getMessageText(mek);
+    let roles = null;
+
+    for (const [source, detect] of filters) {
+        let caught = null;
+        try {
+            caught = await detect({ client, groupJid, userJid, mek, text });
+        } catch (error) {
+            KeithLogger.error(`Filter ${source} failed in ${groupJid}`, error);
+        }
+        if (!caught) continue;
+
+        roles = roles || await resolveRoles(client, groupJid, { mek, sender: userJid });
+        // Without admin rights the bot can neither delete nor remove
+        if (!roles.isBotAdmin || roles.isSudo) return false;
+        if (roles.isAdmin && caught.settings.exempt_admins !== false) continue;
+
+        const t = await getTranslator(groupJid);
+        await applyFilterAction(client, {
+            groupJid,
+            userJid,
+            source,
+            mek,
+            reason: t(`moderation.reasons.${caught.reason || source}`, caught.vars),
+            settings: caught.settings
+        });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Autoblock for private chats: whoever sends one of the trigger words is blocked, or with the
+ * warn action warned until warn_limit first. Resolves true when the message was acted on.
+ */
+async function runAutoBlock(client, mek) {
+    const chatJid = mek?.key?.remoteJid;
+    if (!chatJid || /@(g\.us|broadcast|newsletter)$/.test(chatJid) || mek.key.fromMe) return false;
+    const text = getMessageText(mek);
+    if (!text) return false;
+
+    const settings = await cachedLookup(AutoBlockDB, '', () => AutoBlockDB.findOne());
+    if (settings?.status !== 'on') return false;
+    const words = await getWords(BlockTriggersDB);
+    if (!containsTriggerWord(text, words)) return false;
+    if ((await resolveRoles(client, chatJid, { mek, sender: chatJid })).isSudo) return false;
+
+    const reason = 'Sent a blocked trigger word';
+    const log = action => logModerationAction({ groupJid: chatJid, targetJid: chatJid, rule: 'block', action, excerpt: text, reason });
+
+    if (settings.action === 'delete') {
+        await deleteMessage(client, mek);
+        await log('delete');
+        return true;
+    }
+    if (settings.action === 'warn') {
+        const strikes = recordStrike(chatJid, chatJid, 'block', { reason, audit: false });
+        if (strikes < settings.warn_limit) {
+            const t = await getTranslator(chatJid, chatJid);
+            await client.sendMessage(chatJid, { text: t('autoblock.warned', { count: strikes, limit: settings.warn_limit }) });
+            await log('warn');
+            return true;
+        }
+        await clearStrikes(chatJid, chatJid, 'block');
+    }
+
+    await client.sendMessage(chatJid, { text: settings.block_message });
+    try {
+        await client.updateBlockStatus(chatJid, 'block');
+    } catch (error) {
+        KeithLogger.error(`Could not block ${chatJid}`, error);
+        return true;
+    }
+    await log('block');
+    return true;
+}
+
+module.exports = {
+    registerFilter,
+    runFilters,
+    runAutoBlock
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { botLanguage } = require('../settings');
+const { getLanguage } = require('../database/language');
+
+const localesDir = path.join(__dirname, '..', 'locales');
+const BASE_LANGUAGE = 'en';
+
+// Catalogues are nested JSON, flattened to "command.failed" style keys
+const catalogues = new Map(); // Key: language code -> { key: text }
+
+function flatten(object, parent = '', result = {}) {
+    for (const [key, value] of Object.entries(object)) {
+        const fullKey = parent ? `${parent}.${key}` : key;
+        if (value && typeof value === 'object') flatten(value, fullKey, result);
+        else result[fullKey] = String(value);
+    }
+    return result;
+}
+
+function loadCatalogues(dir = localesDir) {
+    catalogues.clear();
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+        const code = path.basename(file, '.json').toLowerCase();
+        catalogues.set(code, flatten(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))));
+    }
+    return [...catalogues.keys()];
+}
+
+function getAvailableLanguages() {
+    return [...catalogues.keys()].map(code => ({ code, name: catalogues.get(code)['language.name'] || code }));
+}
+
+function normalizeLanguage(code) {
+    return String(code || '').trim().toLowerCase().replace('_', '-');
+}
+
+function isSupportedLanguage(code) {
+    const normalized = normalizeLanguage(code);
+    return catalogues.has(normalized) || catalogues.has(normalized.split('-')[0]);
+}
+
+// "sw-ke" -> sw-ke, sw, the bot default, English
+function getFallbackChain(code) {
+    const normalized = normalizeLanguage(code);
+    const chain = [normalized, normalized.split('-')[0], normalizeLanguage(botLanguage), BASE_LANGUAGE];
+    return [...new Set(chain.filter(Boolean))];
+}
+
+function interpolate(text, vars = {}) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/**
+ * Looks key up in the language, walking the fallback chain when a catalogue
+ * does not have it. A key missing everywhere comes back as the key itself.
+ */
+function translate(language, key, vars) {
+    for (const code of getFallbackChain(language)) {
+        const text = catalogues.get(code)?.[key];
+        if (text !== undefined) return interpolate(text, vars);
+    }
+    return key;
+}
+
+// English text for a key, used as the stored default for customisable templates
+function defaultText(key, vars) {
+    return translate(BASE_LANGUAGE, key, vars);
+}
+
+// Personal preference first, then the chat's, then the bot default
+async function resolveLanguage(chatJid, userJid) {
+    const userLanguage = userJid ? await getLanguage(userJid, 'user') : null;
+    if (userLanguage) return userLanguage;
+    const chatLanguage = chatJid ? await getLanguage(chatJid, 'chat') : null;
+    return chatLanguage || normalizeLanguage(botLanguage) || BASE_LANGUAGE;
+}
+
+async function getTranslator(chatJid, userJid) {
+    const language = await resolveLanguage(chatJid, userJid);
+    const t = (key, vars) => translate(language, key, vars);
+    t.language = language;
+    return t;
+}
+
+/**
+ * Templates such as the anticall message are stored in the database. While a template
+ * still holds the English default it is swapped for the chat's language, edited ones are kept.
+ */
+function localizeTemplate(value, key, language) {
+    if (value === undefined || value === null || value === defaultText(key)) return translate(language, key);
+    return value;
+}
+
+// Same for every template field of a settings row. The row keeps its stored value, so saving it
+// later does not write the translation back.
+async function localizeRecord(record, templates, chatJid, userJid) {
+    const language = await resolveLanguage(chatJid, userJid);
+    for (const [field, key] of Object.entries(templates)) {
+        record.dataValues[field] = localizeTemplate(record.dataValues[field], key, language);
+    }
+    return record;
+}
+
+loadCatalogues();
+
+module.exports = {
+    BASE_LANGUAGE,
+    loadCatalogues,
+    getAvailableLanguages,
+    normalizeLanguage,
+    isSupportedLanguage,
+    getFallbackChain,
+    translate,
+    defaultText,
+    resolveLanguage,
+    getTranslator,
+    localizeTemplate,
+    localizeRecord
+};
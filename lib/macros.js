@@ -0,0 +1,52 @@
+const MAX_MACRO_STEPS = 10;
+const MAX_MACRO_DEPTH = 5;
+
+// "tagall $*; lock; say rules" -> ['tagall $*', 'lock', 'say rules'], a leading prefix on a step is dropped
+function parseSteps(text, prefixes = []) {
+    const known = [].concat(prefixes).filter(Boolean).sort((a, b) => b.length - a.length);
+    return String(text || '')
+        .split(';')
+        .map(step => step.trim())
+        .map(step => {
+            const used = known.find(prefix => step.startsWith(prefix));
+            return used ? step.slice(used.length).trim() : step;
+        })
+        .filter(Boolean);
+}
+
+// $1..$9 are the macro's arguments, $* is all of them
+function expandStep(step, args) {
+    return step
+        .replace(/\$\*/g, args.join(' '))
+        .replace(/\$([1-9])/g, (match, index) => args[Number(index) - 1] || '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function splitStep(step) {
+    const [name, ...rest] = step.split(/\s+/);
+    return { name: name.toLowerCase(), q: rest.join(' ') };
+}
+
+function getStepNames(steps) {
+    return steps.map(step => splitStep(step).name);
+}
+
+// Every name a macro runs, "macro run <name>" steps included
+function getCalledNames(steps) {
+    return steps.map(step => {
+        const { name, q } = splitStep(step);
+        const [action = '', target = ''] = q.split(/\s+/);
+        return /^macros?$/.test(name) && action.toLowerCase() === 'run' ? target.toLowerCase() : name;
+    });
+}
+
+module.exports = {
+    MAX_MACRO_STEPS,
+    MAX_MACRO_DEPTH,
+    parseSteps,
+    expandStep,
+    splitStep,
+    getStepNames,
+    getCalledNames
+};
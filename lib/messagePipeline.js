@@ -0,0 +1,46 @@
+const KeithLogger = require('../logger');
+const { dispatchMessage } = require('../commandHandler');
+const { attachModeration } = require('./moderation');
+const { runFilters, runAutoBlock } = require('./filters');
+
+const attachedClients = new WeakSet();
+
+// Messages still being handled -> { chat, sender }, lets callers wait for the bot to catch up
+const running = new Map();
+
+async function handleMessage(client, mek) {
+    // A message a filter caught is gone, it cannot run a command either
+    if (await runFilters(client, mek) || await runAutoBlock(client, mek)) return false;
+    return dispatchMessage(client, mek);
+}
+
+/**
+ * Hooks the in-tree message handling onto a socket: mutes and group bans (see attachModeration),
+ * the anti-* filters and autoblock (see lib/filters.js), then prefixes, macros and commands through
+ * dispatchMessage. index.js runs this for every socket the bootstrap creates.
+ * Only new messages count, not the ones the bot sent itself.
+ */
+function attachPipeline(client) {
+    if (!client?.ev || attachedClients.has(client)) return;
+    attachedClients.add(client);
+    attachModeration(client);
+
+    client.ev.on('messages.upsert', ({ messages, type }) => {
+        if (type !== 'notify') return;
+        for (const mek of messages || []) {
+            const task = handleMessage(client, mek)
+                .catch(error => KeithLogger.error('Message handling failed', error))
+                .finally(() => running.delete(task));
+            running.set(task, { chat: mek.key?.remoteJid, sender: mek.key?.participant || mek.key?.remoteJid });
+        }
+    });
+}
+
+function getRunningMessages() {
+    return [...running.values()];
+}
+
+module.exports = {
+    attachPipeline,
+    getRunningMessages
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+const KeithLogger = require('../logger');
+const { database } = require('../settings');
+
+const migrationsDir = path.join(__dirname, '..', 'database', 'migrations');
+
+const schemaModels = new WeakMap(); // Sequelize connection -> its schema_migrations model
+
+// Which migrations have run, the highest version is the schema version
+function getSchemaModel(connection = database) {
+    if (!schemaModels.has(connection)) {
+        schemaModels.set(connection, connection.define('schema_migrations', {
+            version: {
+                type: DataTypes.INTEGER,
+                primaryKey: true
+            },
+            name: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            ranAt: {
+                type: DataTypes.DATE,
+                defaultValue: DataTypes.NOW,
+                allowNull: false
+            }
+        }, {
+            timestamps: false
+        }));
+    }
+    return schemaModels.get(connection);
+}
+
+const SchemaMigrationsDB = getSchemaModel(database);
+
+/**
+ * Migration files are named 001_what_it_does.js and export
+ *   up({ queryInterface, DataTypes, database, transaction })
+ *   down({ queryInterface, DataTypes, database, transaction })
+ * Each one runs inside its own transaction, pass `transaction` on to every query.
+ */
+function loadMigrations(dir = migrationsDir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(/^(\d+)[_-](.+)\.js$/) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { version: Number(match[1]), name: path.basename(file, '.js'), up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    const duplicate = migrations.find((migration, index) => index > 0 && migrations[index - 1].version === migration.version);
+    if (duplicate) throw new Error(`Two migrations share version ${duplicate.version}`);
+    return migrations;
+}
+
+async function getAppliedMigrations(connection = database) {
+    const model = getSchemaModel(connection);
+    await model.sync();
+    return model.findAll({ order: [['version', 'ASC']], raw: true });
+}
+
+async function getSchemaStatus(migrations = loadMigrations(), connection = database) {
+    const applied = await getAppliedMigrations(connection);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return {
+        current: applied.length ? applied[applied.length - 1].version : 0,
+        latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+        applied,
+        pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+        unknown: applied.filter(row => !known.has(row.version))
+    };
+}
+
+// A database migrated by a newer release would be damaged by older code, so stop instead
+function assertSchemaSupported(status) {
+    if (status.current > status.latest || status.unknown.length) {
+        const names = status.unknown.map(row => row.name).join(', ');
+        throw new Error(
+            `Database schema is at version ${status.current} but this code only knows up to ${status.latest}` +
+            `${names ? ` (unknown: ${names})` : ''}. Update the bot or roll the database back first.`
+        );
+    }
+}
+
+async function runStep(migration, direction, connection) {
+    const model = getSchemaModel(connection);
+    await connection.transaction(async transaction => {
+        const context = { queryInterface: connection.getQueryInterface(), DataTypes, database: connection, transaction };
+        await migration[direction](context);
+
+        if (direction === 'up') {
+            await model.create({ version: migration.version, name: migration.name }, { transaction });
+        } else {
+            await model.destroy({ where: { version: migration.version }, transaction });
+        }
+    });
+    KeithLogger.info(`${direction === 'up' ? 'Applied' : 'Rolled back'} migration ${migration.name}`);
+}
+
+// Runs pending migrations in order, up to and including `to` when given.
+// `database` picks another connection, the bot's own is the default.
+async function migrate({ to, database: connection = database } = {}) {
+    const migrations = loadMigrations();
+    const status = await getSchemaStatus(migrations, connection);
+    assertSchemaSupported(status);
+
+    const ran = [];
+    for (const migration of status.pending) {
+        if (to !== undefined && migration.version > to) break;
+        await runStep(migration, 'up', connection);
+        ran.push(migration.name);
+    }
+    return ran;
+}
+
+// Undoes the last `steps` migrations, or everything above version `to`
+async function rollback({ steps = 1, to, database: connection = database } = {}) {
+    const migrations = loadMigrations();
+    const status = await getSchemaStatus(migrations, connection);
+    assertSchemaSupported(status);
+
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const targets = [...status.applied].reverse()
+        .filter((row, index) => (to !== undefined ? row.version > to : index < steps));
+
+    const undone = [];
+    for (const row of targets) {
+        await runStep(byVersion.get(row.version), 'down', connection);
+        undone.push(row.name);
+    }
+    return undone;
+}
+
+let schemaReady = null;
+
+// Every database module waits on this before touching its table. Runs once per process.
+function ensureSchema() {
+    if (!schemaReady) {
+        schemaReady = migrate().catch(error => {
+            schemaReady = null;
+            throw error;
+        });
+    }
+    return schemaReady;
+}
+
+module.exports = {
+    migrationsDir,
+    loadMigrations,
+    getAppliedMigrations,
+    getSchemaStatus,
+    assertSchemaSupported,
+    migrate,
+    rollback,
+    ensureSchema,
+    getSchemaModel,
+    SchemaMigrationsDB
+};
@@ -0,0 +1,358 @@
+const KeithLogger = require('../logger');
+const { parseDuration } = require('./argParser');
+const { getTranslator } = require('./i18n');
+const { getMessageText } = require('./conversations');
+const { recordStrike, getStrikeCount, clearStrikes, getLadder } = require('../database/warn');
+const { addBan, isBanned } = require('../database/groupbans');
+const { addMute, isMuted, takeExpiredMutes } = require('../database/mutes');
+const { logModerationAction } = require('../database/modlog');
+const { GroupEventsDB } = require('../database/groupevents');
+const { resolveRoles } = require('./permissions');
+
+const MAX_STEPS = 10;
+const MAX_MUTE = 7 * 24 * 60 * 60 * 1000;
+const MUTE_SWEEP_INTERVAL = 30 * 1000;
+
+/**
+ * Things a ladder step can do to a member. Each one gets
+ * { client, groupJid, userJid, mek, reason, strikes, step, next, t } and may
+ * return false when it could not act (e.g. the bot is not an admin).
+ * Other modules add their own with registerAction.
+ */
+const actions = new Map();
+
+function registerAction(name, { run, needsDuration = false }) {
+    if (typeof run !== 'function') throw new Error(`Action ${name} needs a run function`);
+    actions.set(name, { run, needsDuration });
+}
+
+function getActionNames() {
+    return [...actions.keys()];
+}
+
+const tag = jid => `@${String(jid).split('@')[0]}`;
+
+function formatDuration(ms) {
+    const units = [['w', 604800000], ['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+    let rest = ms;
+    const parts = [];
+    for (const [unit, size] of units) {
+        if (rest < size) continue;
+        parts.push(`${Math.floor(rest / size)}${unit}`);
+        rest %= size;
+    }
+    return parts.join('') || '0s';
+}
+
+function formatStep(step) {
+    return step.duration ? `${step.action} ${formatDuration(step.duration)}` : step.action;
+}
+
+function formatLadder(steps) {
+    return steps.map(formatStep).join(' → ');
+}
+
+/**
+ * Reads a ladder the way admins type it: "delete, warn, mute 10m, kick, ban".
+ * Steps are split on commas or arrows, a duration follows the action after a space or colon.
+ * Resolves { success, steps } or { success: false, message }.
+ */
+function parseLadder(text) {
+    const parts = String(text || '').split(/\s*(?:,|→|->|>)\s*/).map(part => part.trim()).filter(Boolean);
+    if (!parts.length) return { success: false, message: 'List at least one step' };
+    if (parts.length > MAX_STEPS) return { success: false, message: `A ladder has at most ${MAX_STEPS} steps` };
+
+    const steps = [];
+    for (const part of parts) {
+        const [name, ...rest] = part.toLowerCase().split(/[\s:]+/);
+        const action = actions.get(name);
+        if (!action) return { success: false, message: `Unknown action *${name}*, use one of: ${getActionNames().join(', ')}` };
+
+        const step = { action: name };
+        if (rest.length) {
+            if (!action.needsDuration) return { success: false, message: `*${name}* does not take a duration` };
+            const duration = parseDuration(rest.join(''));
+            if (!duration) return { success: false, message: `*${rest.join(' ')}* is not a duration, try 10m or 2h` };
+            if (name === 'mute' && duration > MAX_MUTE) return { success: false, message: `A mute lasts at most ${formatDuration(MAX_MUTE)}` };
+            step.duration = duration;
+        } else if (action.needsDuration) {
+            return { success: false, message: `*${name}* needs a duration, e.g. ${name} 10m` };
+        }
+        steps.push(step);
+    }
+    return { success: true, steps };
+}
+
+async function deleteMessage(client, mek) {
+    if (!mek?.key) return false;
+    try {
+        await client.sendMessage(mek.key.remoteJid, { delete: mek.key });
+        return true;
+    } catch (error) {
+        KeithLogger.error('Failed to delete message', error);
+        return false;
+    }
+}
+
+async function removeMember(client, groupJid, userJid) {
+    try {
+        await client.groupParticipantsUpdate(groupJid, [userJid], 'remove');
+        return true;
+    } catch (error) {
+        KeithLogger.error(`Failed to remove ${userJid} from ${groupJid}`, error);
+        return false;
+    }
+}
+
+registerAction('delete', {
+    // The message goes on every step, nothing more to do
+    run: async () => true
+});
+
+registerAction('warn', {
+    run: async ({ client, groupJid, userJid, reason, strikes, next, t }) => {
+        const text = t('moderation.warned', {
+            user: tag(userJid),
+            reason,
+            count: strikes,
+            next: next ? formatStep(next) : t('moderation.sameAgain')
+        });
+        await client.sendMessage(groupJid, { text, mentions: [userJid] });
+        return true;
+    }
+});
+
+registerAction('kick', {
+    run: async ({ client, groupJid, userJid, reason, t }) => {
+        if (!await removeMember(client, groupJid, userJid)) return false;
+        await client.sendMessage(groupJid, { text: t('moderation.kicked', { user: tag(userJid), reason }), mentions: [userJid] });
+        return true;
+    }
+});
+
+registerAction('ban', {
+    run: async ({ client, groupJid, userJid, reason, t }) => {
+        await addBan(groupJid, userJid, 'system', reason);
+        await removeMember(client, groupJid, userJid);
+        await client.sendMessage(groupJid, { text: t('moderation.banned', { user: tag(userJid), reason }), mentions: [userJid] });
+        return true;
+    }
+});
+
+registerAction('mute', {
+    needsDuration: true,
+    run: async ({ client, groupJid, userJid, reason, step, t }) => {
+        if (!await addMute(groupJid, userJid, step.duration, 'system', reason)) return false;
+        const text = t('moderation.muted', { user: tag(userJid), duration: formatDuration(step.duration), reason });
+        await client.sendMessage(groupJid, { text, mentions: [userJid] });
+        return true;
+    }
+});
+
+/**
+ * Takes the next step of the group's ladder for an offence a detector caught:
+ *   const result = await escalate(client, { groupJid, userJid, source: 'link', mek, reason: 'links are not allowed' });
+ * The strike goes to the ledger first, so strikes from every detector climb the same ladder.
+ * Resolves null when the group has no ladder and the detector should use its own action,
+ * otherwise { strikes, step, done }.
+ */
+async function escalate(client, { groupJid, userJid, source, mek, reason }) {
+    const steps = await getLadder(groupJid);
+    if (!steps) return null;
+
+    recordStrike(groupJid, userJid, source, { reason, audit: false });
+    const strikes = getStrikeCount(groupJid, userJid);
+    const step = steps[Math.min(strikes, steps.length) - 1];
+    const next = steps[Math.min(strikes + 1, steps.length) - 1];
+    const action = actions.get(step.action);
+
+    await deleteMessage(client, mek);
+    if (!action) {
+        KeithLogger.warning(`Ladder in ${groupJid} has an unknown action ${step.action}`);
+        return { strikes, step, done: false };
+    }
+
+    const t = await getTranslator(groupJid);
+    let done = false;
+    try {
+        done = await action.run({
+            client, groupJid, userJid, mek, strikes, step, next, t,
+            reason: reason || t('moderation.defaultReason')
+        }) !== false;
+    } catch (error) {
+        KeithLogger.error(`Ladder step ${step.action} failed in ${groupJid}`, error);
+    }
+    await logModerationAction({ groupJid, targetJid: userJid, rule: source, action: step.action, excerpt: getMessageText(mek), reason });
+    return { strikes, step, done };
+}
+
+/**
+ * Runs the action a filter is set to (its `action` column) for a message it caught:
+ *   await applyFilterAction(client, { groupJid, userJid, source: 'spam', mek, reason, settings: await getAntiSpamSettings(groupJid) });
+ * The group's ladder wins when it has one. Otherwise the message is deleted and
+ * warn counts up to the filter's warn_limit, remove kicks and mute silences for mute_minutes.
+ */
+async function applyFilterAction(client, { groupJid, userJid, source, mek, reason, settings = {} }) {
+    const laddered = await escalate(client, { groupJid, userJid, source, mek, reason });
+    if (laddered) return laddered;
+
+    await deleteMessage(client, mek);
+    const t = await getTranslator(groupJid);
+    const context = { client, groupJid, userJid, mek, t, reason: reason || t('moderation.defaultReason') };
+    const result = await runFilterAction(settings, source, context);
+    await logModerationAction({ groupJid, targetJid: userJid, rule: source, action: result.step.action, excerpt: getMessageText(mek), reason });
+    return result;
+}
+
+async function runFilterAction(settings, source, context) {
+    const { client, groupJid, userJid, t } = context;
+    switch (settings.action) {
+        case 'mute': {
+            const step = { action: 'mute', duration: (settings.mute_minutes || 30) * 60 * 1000 };
+            return { step, done: await actions.get('mute').run({ ...context, step }) };
+        }
+        case 'remove':
+            return { step: { action: 'kick' }, done: await actions.get('kick').run(context) };
+        case 'warn': {
+            const limit = settings.warn_limit || 3;
+            const strikes = recordStrike(groupJid, userJid, source, { reason: context.reason, audit: false });
+            if (strikes >= limit) {
+                await clearStrikes(groupJid, userJid, source);
+                return { strikes, step: { action: 'kick' }, done: await actions.get('kick').run(context) };
+            }
+            const text = t('moderation.warnedLimit', { user: tag(userJid), reason: context.reason, count: strikes, limit });
+            await client.sendMessage(groupJid, { text, mentions: [userJid] });
+            return { strikes, step: { action: 'warn' }, done: true };
+        }
+        default:
+            return { step: { action: 'delete' }, done: true };
+    }
+}
+
+/**
+ * Deletes the message when its sender is muted in the group, attachModeration runs it on
+ * every incoming message. dispatchMessage skips muted senders, so they cannot run commands either.
+ * Resolves true when it deleted.
+ */
+async function enforceMute(client, mek) {
+    const groupJid = mek?.key?.remoteJid;
+    if (!String(groupJid).endsWith('@g.us') || mek.key.fromMe) return false;
+    if (!isMuted(groupJid, mek.key.participant)) return false;
+    const deleted = await deleteMessage(client, mek);
+    await logModerationAction({ groupJid, targetJid: mek.key.participant, rule: 'mute', action: 'delete', excerpt: getMessageText(mek) });
+    return deleted;
+}
+
+// Lifts mutes that ran out and tells their groups
+async function sweepMutes(client) {
+    for (const mute of await takeExpiredMutes()) {
+        await logModerationAction({ groupJid: mute.groupJid, targetJid: mute.userJid, rule: 'mute', action: 'unmute', reason: 'expired' });
+        const t = await getTranslator(mute.groupJid);
+        await client.sendMessage(mute.groupJid, { text: t('moderation.unmuted', { user: tag(mute.userJid) }), mentions: [mute.userJid] })
+            .catch(error => KeithLogger.error(`Failed to announce unmute in ${mute.groupJid}`, error));
+    }
+}
+
+// Banned members that someone adds back are removed again
+async function handleParticipantsUpdate(client, { id, participants, action }) {
+    if (action !== 'add' || !String(id).endsWith('@g.us')) return;
+    for (const participant of participants || []) {
+        const userJid = typeof participant === 'string' ? participant : participant?.id;
+        if (!userJid || !await isBanned(id, userJid)) continue;
+
+        await removeMember(client, id, userJid);
+        await logModerationAction({ groupJid: id, targetJid: userJid, rule: 'groupban', action: 'kick', reason: 'banned member added back' });
+        const t = await getTranslator(id);
+        await client.sendMessage(id, { text: t('moderation.bannedRejoin', { user: tag(userJid) }), mentions: [userJid] });
+    }
+}
+
+// Admin changes made by someone without the right are undone, see antiPromote/antiDemote in database/groupevents.js
+const adminGuards = {
+    promote: { setting: 'antiPromote', action: 'antiPromoteAction', revert: 'demote', notice: 'moderation.promoteReverted' },
+    demote: { setting: 'antiDemote', action: 'antiDemoteAction', revert: 'promote', notice: 'moderation.demoteReverted' }
+};
+
+const sameNumber = (a, b) => String(a || '').split('@')[0].split(':')[0] === String(b || '').split('@')[0].split(':')[0];
+
+async function guardAdminChange(client, { id, participants, action, author }) {
+    const guard = adminGuards[action];
+    if (!guard || !author || sameNumber(author, client.user?.id)) return;
+    const settings = await GroupEventsDB.findOne({ where: { groupJid: id } });
+    if (settings?.[guard.setting] !== 'on') return;
+
+    const conText = { sender: author };
+    const roles = await resolveRoles(client, id, conText);
+    const creator = (conText.groupMetadata?.participants || []).find(p => sameNumber(p.id, author) && p.admin === 'superadmin');
+    if (roles.isSudo || creator) return;
+
+    const targets = (participants || [])
+        .map(participant => (typeof participant === 'string' ? participant : participant?.id))
+        .filter(jid => jid && !sameNumber(jid, author) && !sameNumber(jid, client.user?.id));
+    if (!targets.length) return;
+
+    try {
+        await client.groupParticipantsUpdate(id, targets, guard.revert);
+    } catch (error) {
+        KeithLogger.error(`Could not undo ${action} in ${id}`, error);
+        return;
+    }
+
+    const t = await getTranslator(id);
+    const reason = t(`moderation.reasons.${action}`);
+    for (const target of targets) {
+        await logModerationAction({ groupJid: id, targetJid: target, rule: action, action: guard.revert, reason: `${action} by ${tag(author)}` });
+    }
+    await client.sendMessage(id, { text: t(guard.notice, { user: targets.map(tag).join(', ') }), mentions: targets });
+
+    // demote/promote only undo the change, warn and remove also deal with whoever made it
+    const punishment = settings[guard.action];
+    if (punishment !== 'warn' && punishment !== 'remove') return;
+    const context = { client, groupJid: id, userJid: author, t, reason };
+    const result = await runFilterAction({ action: punishment, warn_limit: settings.warn_limit }, action, context);
+    await logModerationAction({ groupJid: id, targetJid: author, rule: action, action: result.step.action, reason });
+}
+
+const attachedClients = new WeakSet();
+let sweepClient = null; // The newest socket, a reconnect replaces the old one
+let sweepTimer = null;
+
+function attachModeration(client) {
+    if (!client?.ev || attachedClients.has(client)) return;
+    attachedClients.add(client);
+    client.ev.on('group-participants.update', update => {
+        handleParticipantsUpdate(client, update).catch(error => KeithLogger.error('Ban check failed', error));
+        guardAdminChange(client, update).catch(error => KeithLogger.error('Admin change check failed', error));
+    });
+    client.ev.on('messages.upsert', ({ messages, type }) => {
+        if (type !== 'notify') return;
+        for (const mek of messages || []) {
+            enforceMute(client, mek).catch(error => KeithLogger.error('Mute check failed', error));
+        }
+    });
+
+    sweepClient = client;
+    if (!sweepTimer) {
+        sweepTimer = setInterval(() => {
+            sweepMutes(sweepClient).catch(error => KeithLogger.error('Mute sweep failed', error));
+        }, MUTE_SWEEP_INTERVAL);
+        sweepTimer.unref();
+    }
+}
+
+module.exports = {
+    MAX_STEPS,
+    MAX_MUTE,
+    registerAction,
+    getActionNames,
+    formatDuration,
+    formatLadder,
+    parseLadder,
+    deleteMessage,
+    removeMember,
+    escalate,
+    applyFilterAction,
+    enforceMute,
+    sweepMutes,
+    attachModeration
+};
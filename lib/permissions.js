@@ -0,0 +1,119 @@
+const { dev } = require('../settings');
+const { getAllSudoNumbers } = require('../database/sudo');
+const { getCachedSettings } = require('../database/settings');
+const { defaultText } = require('./i18n');
+
+const permissionLevels = ['owner', 'sudo', 'group-admin', 'bot-admin-required', 'private-only', 'group-only'];
+
+// English texts, replies go through conText.t so the chat's language is used
+const denialMessages = Object.fromEntries(permissionLevels.map(level => [level, defaultText(`permission.${level}`)]));
+
+const ownerNumbers = dev.split(',').map(number => number.replace(/[^0-9]/g, '')).filter(Boolean);
+
+function getNumber(jid) {
+    return String(jid || '').split('@')[0].split(':')[0];
+}
+
+function sameUser(a, b) {
+    return Boolean(a && b) && getNumber(a) === getNumber(b);
+}
+
+function findParticipant(metadata, jid) {
+    return (metadata?.participants || []).find(p => sameUser(p.id, jid) || sameUser(p.lid, jid) || sameUser(p.pn, jid));
+}
+
+async function getGroupMetadata(client, from, conText) {
+    if (conText.groupMetadata) return conText.groupMetadata;
+    try {
+        conText.groupMetadata = await client.groupMetadata(from);
+    } catch (error) {
+        conText.groupMetadata = null;
+    }
+    return conText.groupMetadata;
+}
+
+/**
+ * Works out who is running the command. Values the message handler already put on
+ * conText (isSuperUser, isAdmin, isBotAdmin...) win over looking them up again.
+ */
+async function resolveRoles(client, from, conText = {}) {
+    if (conText.roles) return conText.roles;
+
+    const isGroup = typeof conText.isGroup === 'boolean' ? conText.isGroup : String(from).endsWith('@g.us');
+    const sender = conText.sender || conText.mek?.key?.participant || conText.mek?.key?.remoteJid || from;
+    const metadata = isGroup ? await getGroupMetadata(client, from, conText) : null;
+    const participant = isGroup ? findParticipant(metadata, sender) : null;
+    const senderNumber = getNumber(participant?.pn || conText.senderPn || sender);
+
+    const isOwner = Boolean(conText.mek?.key?.fromMe) || ownerNumbers.includes(senderNumber);
+    const sudo = isOwner || Boolean(conText.isSuperUser) ||
+        (await getAllSudoNumbers()).some(jid => getNumber(jid) === senderNumber);
+
+    let isAdmin = conText.isAdmin;
+    if (typeof isAdmin !== 'boolean') isAdmin = Boolean(participant?.admin);
+
+    let isBotAdmin = conText.isBotAdmin;
+    if (typeof isBotAdmin !== 'boolean') {
+        const bot = findParticipant(metadata, client.user?.id) || findParticipant(metadata, client.user?.lid);
+        isBotAdmin = Boolean(bot?.admin);
+    }
+
+    conText.roles = { sender, senderNumber, isGroup, isOwner, isSudo: sudo, isAdmin, isBotAdmin };
+    return conText.roles;
+}
+
+function hasPermission(permission, roles) {
+    switch (permission) {
+        case 'owner':
+            return roles.isOwner;
+        case 'sudo':
+            return roles.isSudo;
+        case 'group-admin':
+            return roles.isGroup && (roles.isAdmin || roles.isSudo);
+        case 'bot-admin-required':
+            return roles.isGroup && roles.isBotAdmin;
+        case 'private-only':
+            return !roles.isGroup;
+        case 'group-only':
+            return roles.isGroup;
+        default:
+            throw new Error(`Unknown permission "${permission}"`);
+    }
+}
+
+// The bot's mode setting, 'private' keeps every command to the owner and sudo users.
+// Checked on every dispatch, so it comes from the cached settings.
+async function isPrivateMode() {
+    const { mode } = await getCachedSettings();
+    return String(mode || 'public').toLowerCase() === 'private';
+}
+
+// Returns the denial message for the first requirement that fails, or null when allowed
+async function checkPermission(cmd, client, from, conText) {
+    const required = [].concat(cmd.permission || []);
+    const privateMode = await isPrivateMode();
+    if (!required.length && !privateMode) return null;
+
+    const roles = await resolveRoles(client, from, conText);
+    const t = conText.t || (key => defaultText(key));
+    if (privateMode && !roles.isSudo) return t('permission.private-mode');
+    for (const permission of required) {
+        if (!hasPermission(permission, roles)) {
+            if (!roles.isGroup && (permission === 'group-admin' || permission === 'bot-admin-required')) {
+                return t('permission.group-only');
+            }
+            return t(`permission.${permission}`);
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    permissionLevels,
+    denialMessages,
+    findParticipant,
+    resolveRoles,
+    hasPermission,
+    isPrivateMode,
+    checkPermission
+};
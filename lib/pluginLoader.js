@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const KeithLogger = require('../logger');
+const { pluginsDir, dev } = require('../settings');
+const { commands, evt, unregisterFile, restoreCommands } = require('../commandHandler');
+
+const cmdsDir = path.join(__dirname, '..', 'Cmds');
+
+// Files that live in Cmds/ but are not command plugins
+const ignoredFiles = ['.gitkeep'];
+
+// Loaded once at startup: requiring Remote.js again fetches and evaluates every remote script
+// a second time, registering their commands twice
+const startupOnlyFiles = [path.join(cmdsDir, 'Remote.js')];
+
+function isReloadable(file) {
+    return !startupOnlyFiles.includes(path.resolve(file));
+}
+
+function discoverPluginFiles(dir) {
+    if (!dir || !fs.existsSync(dir)) return [];
+
+    const files = [];
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        if (entry.name.startsWith('.') || ignoredFiles.includes(entry.name)) continue;
+        if (entry.name === 'node_modules') continue;
+
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...discoverPluginFiles(fullPath));
+        } else if (entry.isFile() && entry.name.endsWith('.js')) {
+            files.push(fullPath);
+        }
+    }
+
+    return files;
+}
+
+function loadPluginFile(file) {
+    try {
+        require(file);
+        return { file, loaded: true };
+    } catch (error) {
+        KeithLogger.error(`Failed to load plugin ${path.relative(process.cwd(), file)}`, error);
+        return { file, loaded: false, error };
+    }
+}
+
+function getPluginDirs() {
+    const dirs = [cmdsDir];
+    if (pluginsDir) {
+        dirs.push(path.resolve(pluginsDir));
+    }
+    return dirs;
+}
+
+// Require every command file so it registers itself through keith().
+// A broken file is reported and skipped, it never stops the others from loading.
+function loadPlugins(dirs = getPluginDirs()) {
+    const loaded = [];
+    const failed = [];
+
+    for (const dir of dirs) {
+        if (!fs.existsSync(dir)) {
+            KeithLogger.warning(`Plugin directory not found: ${dir}`);
+            continue;
+        }
+
+        for (const file of discoverPluginFiles(dir)) {
+            const result = loadPluginFile(file);
+            if (result.loaded) {
+                loaded.push(file);
+            } else {
+                failed.push({ file, error: result.error });
+            }
+        }
+    }
+
+    KeithLogger.info(`Loaded ${loaded.length} plugin file(s)${failed.length ? `, ${failed.length} failed` : ''}`);
+    return { loaded, failed };
+}
+
+function checkSyntax(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    new vm.Script(`(function (exports, require, module, __filename, __dirname) {\n${source}\n})`, { filename: file, lineOffset: -1 });
+}
+
+// Re-registers a single file. If the new version does not load, the old commands are put back.
+function reloadPluginFile(file) {
+    const fullPath = path.resolve(file);
+    if (!isReloadable(fullPath)) {
+        return { file: fullPath, loaded: false, error: new Error('This file only loads at startup, restart the bot to reload it'), commands: 0 };
+    }
+    try {
+        checkSyntax(fullPath);
+    } catch (error) {
+        return { file: fullPath, loaded: false, error, commands: 0 };
+    }
+
+    const previous = unregisterFile(fullPath);
+    const cached = require.cache[fullPath];
+    delete require.cache[fullPath];
+
+    try {
+        require(fullPath);
+    } catch (error) {
+        unregisterFile(fullPath);
+        if (cached) require.cache[fullPath] = cached;
+        restoreCommands(previous);
+        return { file: fullPath, loaded: false, error, commands: previous.length };
+    }
+
+    const count = commands.filter(cmd => cmd.filename === fullPath).length;
+    evt.emit('plugins.reloaded', { file: fullPath, commands: count });
+    return { file: fullPath, loaded: true, commands: count };
+}
+
+function findPluginFile(name) {
+    const target = name.endsWith('.js') ? name : `${name}.js`;
+    for (const dir of getPluginDirs()) {
+        const match = discoverPluginFiles(dir)
+            .find(file => file === path.resolve(target) || file.endsWith(`${path.sep}${target}`));
+        if (match) return match;
+    }
+    return null;
+}
+
+function formatReloadResult(result) {
+    const name = path.relative(process.cwd(), result.file);
+    if (result.loaded) {
+        return `♻️ Reloaded *${name}* (${result.commands} command${result.commands === 1 ? '' : 's'})`;
+    }
+    const details = (result.error.stack || result.error.message).split('\n').slice(0, 6).join('\n');
+    return `❌ Failed to reload *${name}*, the previous version is still active.\n\n\`\`\`${details}\`\`\``;
+}
+
+async function notifyOwner(text) {
+    const client = KeithLogger.client;
+    const owner = dev.split(',')[0].replace(/[^0-9]/g, '');
+    if (!client || !owner) return;
+    try {
+        await client.sendMessage(`${owner}@s.whatsapp.net`, { text });
+    } catch (error) {
+        KeithLogger.error('Could not notify owner about plugin reload', error);
+    }
+}
+
+let watchers = [];
+const pendingReloads = new Map();
+
+function isWatching() {
+    return watchers.length > 0;
+}
+
+// Watches the plugin directories and reloads a file shortly after it stops changing
+function startPluginWatcher(dirs = getPluginDirs()) {
+    if (isWatching()) return false;
+
+    for (const dir of dirs) {
+        if (!fs.existsSync(dir)) continue;
+
+        const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+            if (!filename || !filename.endsWith('.js')) return;
+            const file = path.join(dir, filename);
+
+            clearTimeout(pendingReloads.get(file));
+            pendingReloads.set(file, setTimeout(() => {
+                pendingReloads.delete(file);
+                if (!fs.existsSync(file)) {
+                    const removed = unregisterFile(file);
+                    delete require.cache[file];
+                    if (removed.length) notifyOwner(`🗑️ Removed *${path.relative(process.cwd(), file)}* (${removed.length} command${removed.length === 1 ? '' : 's'})`);
+                    return;
+                }
+
+                const result = reloadPluginFile(file);
+                if (result.loaded) {
+                    KeithLogger.info(`Reloaded plugin ${file}`);
+                } else {
+                    KeithLogger.error(`Failed to reload plugin ${file}`, result.error);
+                }
+                notifyOwner(formatReloadResult(result));
+            }, 300));
+        });
+
+        watcher.on('error', error => KeithLogger.error(`Plugin watcher error in ${dir}`, error));
+        watchers.push(watcher);
+    }
+
+    KeithLogger.info(`Watching ${watchers.length} plugin director${watchers.length === 1 ? 'y' : 'ies'} for changes`);
+    return true;
+}
+
+function stopPluginWatcher() {
+    if (!isWatching()) return false;
+    watchers.forEach(watcher => watcher.close());
+    watchers = [];
+    pendingReloads.forEach(timer => clearTimeout(timer));
+    pendingReloads.clear();
+    return true;
+}
+
+module.exports = {
+    cmdsDir,
+    discoverPluginFiles,
+    loadPluginFile,
+    getPluginDirs,
+    loadPlugins,
+    isReloadable,
+    reloadPluginFile,
+    findPluginFile,
+    formatReloadResult,
+    startPluginWatcher,
+    stopPluginWatcher,
+    isWatching
+};
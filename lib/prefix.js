@@ -0,0 +1,102 @@
+const { botPrefix } = require('../settings');
+const { getCachedSettings, invalidateSettingsCache } = require('../database/settings');
+const { getGroupPrefixes } = require('../database/groupprefix');
+
+const MAX_PREFIX_LENGTH = 3;
+
+function getNumber(jid) {
+    return String(jid || '').split('@')[0].split(':')[0];
+}
+
+// Drops blanks and duplicates, keeps the order they were given in
+function normalizePrefixes(list) {
+    return [...new Set([].concat(list || []).map(prefix => String(prefix).trim()).filter(Boolean))];
+}
+
+// Prefixes are single short tokens, "!" or "🤖" or ">>"
+function isValidPrefix(prefix) {
+    return Boolean(prefix) && !/\s/.test(prefix) && [...prefix].length <= MAX_PREFIX_LENGTH;
+}
+
+// Read from the shared settings cache, see getCachedSettings in database/settings.js
+async function getPrefixSettings() {
+    const settings = await getCachedSettings();
+    return {
+        prefixes: normalizePrefixes([settings.prefix ?? botPrefix, ...(settings.prefixes || [])]),
+        prefixlessPrivate: Boolean(settings.prefixlessPrivate),
+        mentionPrefix: settings.mentionPrefix !== false
+    };
+}
+
+// updateSettings already does this, only needed after changing the settings row directly
+function invalidatePrefixCache() {
+    invalidateSettingsCache();
+}
+
+// A group's own prefixes replace the global list, the first one is what help text shows
+async function getChatPrefixes(chatJid) {
+    const groupPrefixes = String(chatJid).endsWith('@g.us') ? await getGroupPrefixes(chatJid) : null;
+    if (groupPrefixes && groupPrefixes.length) return groupPrefixes;
+    return (await getPrefixSettings()).prefixes;
+}
+
+// "@2547... help" where the number is the bot's phone number or LID
+function matchMention(text, botJids) {
+    const match = text.match(/^@(\d+)\s*/);
+    if (!match) return null;
+    return botJids.some(jid => getNumber(jid) === match[1]) ? match[0] : null;
+}
+
+/**
+ * The one place that decides whether a message is a command and which prefix it used,
+ * dispatchMessage asks it for every message the live socket delivers (see lib/messagePipeline.js).
+ *   options: { chatJid, botJids, isKnownCommand(name) }
+ * Resolves { prefix, usedPrefix, via, body } where prefix is the chat's display prefix,
+ * via is 'prefix', 'mention' or 'prefixless' and body is the text after the prefix.
+ * Resolves null when the message is not a command.
+ */
+async function resolvePrefix(text, options = {}) {
+    const { chatJid, botJids = [], isKnownCommand } = options;
+    const message = String(text || '').trim();
+    if (!message) return null;
+
+    const settings = await getPrefixSettings();
+    const prefixes = await getChatPrefixes(chatJid);
+    const prefix = prefixes[0] || '';
+
+    // Longest first so "!!" wins over "!"
+    const used = [...prefixes].sort((a, b) => b.length - a.length).find(p => message.startsWith(p));
+    if (used) {
+        const body = message.slice(used.length).trim();
+        return body ? { prefix, usedPrefix: used, via: 'prefix', body } : null;
+    }
+
+    if (settings.mentionPrefix) {
+        const mention = matchMention(message, botJids);
+        if (mention) {
+            const body = message.slice(mention.length).trim();
+            return body ? { prefix, usedPrefix: mention, via: 'mention', body } : null;
+        }
+    }
+
+    // Without a prefix only real command names count, so normal chatting is left alone
+    const isPrivate = !String(chatJid).endsWith('@g.us');
+    if (isPrivate && settings.prefixlessPrivate) {
+        const name = message.split(/\s+/)[0].toLowerCase();
+        if (!isKnownCommand || isKnownCommand(name)) {
+            return { prefix, usedPrefix: '', via: 'prefixless', body: message };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    MAX_PREFIX_LENGTH,
+    normalizePrefixes,
+    isValidPrefix,
+    getPrefixSettings,
+    invalidatePrefixCache,
+    getChatPrefixes,
+    resolvePrefix
+};
@@ -31,9 +31,24 @@ if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir);
 }
 
+// Called with every socket the bootstrap hands over, a reconnect hands over a new one
+const clientListeners = [];
+
 class KeithLogger {
     static setClientInstance(clientInstance) {
         this.client = clientInstance;
+        for (const listener of clientListeners) {
+            try {
+                listener(clientInstance);
+            } catch (error) {
+                this.error('Client listener failed', error);
+            }
+        }
+    }
+
+    static onClient(listener) {
+        clientListeners.push(listener);
+        if (this.client) listener(this.client);
     }
 
     static async logMessage(m) {
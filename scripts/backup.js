@@ -0,0 +1,77 @@
+/*
+ * Database backups from the command line.
+ *   npm run backup                          write a zip backup into BACKUP_DIR
+ *   npm run backup -- create --json         write a JSON backup instead
+ *   npm run backup -- list                  list saved backups, newest first
+ *   npm run backup -- prune 7               keep only the newest 7
+ *   npm run backup -- restore <file> --yes  replace the database with a backup
+ * Point DATABASE_URL at another database to restore into it, SQLite and Postgres read each other's backups.
+ */
+const path = require('path');
+const { database } = require('../settings');
+const {
+    createBackup,
+    listBackups,
+    pruneBackups,
+    findBackup,
+    readBackup,
+    restoreDatabase,
+    getManifest
+} = require('../lib/backup');
+
+async function main(argv) {
+    const flags = argv.filter(arg => arg.startsWith('--'));
+    const [command = 'create', value] = argv.filter(arg => !arg.startsWith('--'));
+
+    switch (command) {
+        case 'create': {
+            const { file, manifest } = await createBackup({ format: flags.includes('--json') ? 'json' : 'zip' });
+            const rows = Object.values(manifest.rows).reduce((sum, count) => sum + count, 0);
+            console.log(`✅ Saved ${file} (${Object.keys(manifest.rows).length} tables, ${rows} rows)`);
+            break;
+        }
+
+        case 'list': {
+            const backups = listBackups();
+            if (!backups.length) console.log('No backups saved yet');
+            backups.forEach(backup => console.log(`${backup.name}  ${(backup.size / 1024).toFixed(1)} KB`));
+            break;
+        }
+
+        case 'prune': {
+            const keep = Number(value);
+            if (!Number.isInteger(keep) || keep < 1) throw new Error('Give how many backups to keep, e.g. prune 7');
+            const removed = pruneBackups(keep);
+            console.log(removed.length ? `🗑️ Removed ${removed.join(', ')}` : 'Nothing to remove');
+            break;
+        }
+
+        case 'restore': {
+            if (!value) throw new Error('Give a backup file or name to restore');
+            const found = findBackup(value);
+            const backup = readBackup(found ? found.file : path.resolve(value));
+            const manifest = getManifest(backup);
+            console.log(`Backup from ${manifest.createdAt} (${manifest.dialect}, schema v${manifest.schemaVersion})`);
+
+            if (!flags.includes('--yes')) {
+                console.log(`This replaces the ${database.getDialect()} database, run again with --yes to go ahead`);
+                return;
+            }
+            const { restored, skipped } = await restoreDatabase(backup);
+            Object.entries(restored).forEach(([name, count]) => console.log(`  ✔ ${name}: ${count}`));
+            skipped.forEach(name => console.log(`  ✘ ${name} (unknown table, skipped)`));
+            console.log('✅ Restore complete');
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}", use create, list, prune or restore`);
+    }
+}
+
+main(process.argv.slice(2))
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => database.close());
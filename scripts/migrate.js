@@ -0,0 +1,45 @@
+/*
+ * Database migrations from the command line.
+ *   npm run migrate                 run every pending migration
+ *   npm run migrate -- up 3         migrate up to version 3
+ *   npm run migrate -- down         roll the last migration back
+ *   npm run migrate -- down 2       roll back the last 2 migrations
+ *   npm run migrate -- status       list applied and pending migrations
+ */
+const { migrate, rollback, getSchemaStatus } = require('../lib/migrator');
+const { database } = require('../settings');
+
+async function main([command = 'up', value] = []) {
+    switch (command) {
+        case 'up': {
+            const ran = await migrate(value ? { to: Number(value) } : {});
+            console.log(ran.length ? `✅ Applied ${ran.join(', ')}` : '✅ Already up to date');
+            break;
+        }
+
+        case 'down': {
+            const undone = await rollback({ steps: value ? Number(value) : 1 });
+            console.log(undone.length ? `↩️ Rolled back ${undone.join(', ')}` : 'Nothing to roll back');
+            break;
+        }
+
+        case 'status': {
+            const status = await getSchemaStatus();
+            console.log(`Schema version ${status.current}, latest known ${status.latest}`);
+            status.applied.forEach(row => console.log(`  ✔ ${row.name}`));
+            status.pending.forEach(migration => console.log(`  … ${migration.name} (pending)`));
+            status.unknown.forEach(row => console.log(`  ✘ ${row.name} (not in this code)`));
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}", use up, down or status`);
+    }
+}
+
+main(process.argv.slice(2))
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => database.close());
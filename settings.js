@@ -28,29 +28,52 @@ const botBotname = process.env.BOTNAME || "KEITH-MD";
 const botPackname = process.env.BOT_PACKNAME || "KEITH-MD";
 const botMode = process.env.BOT_MODE || "public";
 const botSessionName = process.env.BOT_SESSION_NAME || "keith-md";
+const botLanguage = process.env.BOT_LANGUAGE || "en";
+
+// Plugin settings
+const remoteCommands = process.env.REMOTE_COMMANDS || 'false';
+const pluginsDir = process.env.PLUGINS_DIR || '';
+const remoteManifest = process.env.REMOTE_MANIFEST || '';
+const remoteCacheDir = process.env.REMOTE_CACHE_DIR || '';
+const remoteBootstrap = process.env.REMOTE_BOOTSTRAP || 'true';
+const bootstrapHash = process.env.BOOTSTRAP_SHA256 || '';
+const pluginWatch = process.env.PLUGIN_WATCH || 'false';
+
+// Backup settings
+const backupDir = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const backupInterval = process.env.BACKUP_INTERVAL || '0';
+const backupKeep = process.env.BACKUP_KEEP || '7';
 
 // Database connection
 const { Sequelize } = require('sequelize'); 
 const DATABASE_URL = process.env.DATABASE_URL || './database.db'; 
 
-const database = DATABASE_URL === './database.db'
-    ? new Sequelize({
-        dialect: 'sqlite',
-        storage: DATABASE_URL,
-        logging: false,
-      })
-    : new Sequelize(DATABASE_URL, {
-        dialect: 'postgres',
-        ssl: true,
-        protocol: 'postgres',
-        dialectOptions: {
-          ssl: { require: true, rejectUnauthorized: false },
-        },
-        logging: false,
-      });
+// ./database.db, any *.db file, sqlite:path or :memory: (used by the tests) stay on SQLite, anything else is Postgres
+function createDatabase(url) {
+    const isSqlite = url === './database.db' || url === ':memory:' || url.startsWith('sqlite:') || url.endsWith('.db');
+
+    return isSqlite
+        ? new Sequelize({
+            dialect: 'sqlite',
+            storage: url.replace(/^sqlite:(\/\/)?/, ''),
+            logging: false,
+          })
+        : new Sequelize(url, {
+            dialect: 'postgres',
+            ssl: true,
+            protocol: 'postgres',
+            dialectOptions: {
+              ssl: { require: true, rejectUnauthorized: false },
+            },
+            logging: false,
+          });
+}
+
+const database = createDatabase(DATABASE_URL);
 
 module.exports = {  
   database,
+  createDatabase,
   dev,
   session, 
   autostatusAutoviewStatus,
@@ -68,5 +91,20 @@ module.exports = {
   botBotname,
   botPackname,
   botMode,
-  botSessionName
+  botSessionName,
+  botLanguage,
+
+  // Plugin settings
+  remoteCommands,
+  pluginsDir,
+  remoteManifest,
+  remoteCacheDir,
+  remoteBootstrap,
+  bootstrapHash,
+  pluginWatch,
+
+  // Backup settings
+  backupDir,
+  backupInterval,
+  backupKeep
 };
@@ -0,0 +1,153 @@
+const { createHarness, setupDatabase } = require('./helpers/harness');
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeDomain,
+    findLinks,
+    checkLinks,
+    checkMessageLinks,
+    addLinkDomain,
+    removeLinkDomain,
+    getLinkDomains,
+    updateAntiLinkSettings
+} = require('../database/antilink');
+
+const domains = text => findLinks(text).map(link => link.domain);
+
+describe('findLinks', () => {
+    test('finds full links and bare domains', () => {
+        assert.deepEqual(domains('watch https://www.YouTube.com/watch?v=1 now'), ['youtube.com']);
+        assert.deepEqual(domains('join chat.whatsapp.com/AbC123 or shop.example.co.ke'), ['chat.whatsapp.com', 'shop.example.co.ke']);
+    });
+
+    test('finds links written to dodge the filter', () => {
+        assert.deepEqual(findLinks('go to example dot com'), [{ text: 'example dot com', domain: 'example.com', obfuscated: true }]);
+        assert.deepEqual(domains('evil . net and evil[.]xyz and bad(dot)site'), ['evil.net', 'evil.xyz', 'bad.site']);
+        assert.deepEqual(domains('chat . whatsapp . com/AbC'), ['chat.whatsapp.com']);
+        assert.equal(findLinks('hxxp://bad.site/x')[0].obfuscated, true);
+    });
+
+    test('leaves ordinary text alone', () => {
+        assert.deepEqual(domains('Ok. Me too'), []);
+        assert.deepEqual(domains('mail me at a@b.com'), []);
+        assert.deepEqual(domains('node.js, e.g. file.txt'), []);
+        assert.deepEqual(domains('a polka dot dress'), []);
+    });
+});
+
+describe('checkLinks', () => {
+    test('all mode catches every link but allowed domains', () => {
+        const lists = { allow: ['*.youtube.com', 'github.com'], block: [] };
+        assert.equal(checkLinks('see m.youtube.com and youtube.com', lists), null);
+        assert.equal(checkLinks('see github.com', lists), null);
+        assert.deepEqual(checkLinks('see gist.github.com', lists).reason, 'link');
+    });
+
+    test('the blocked list wins over wildcards on the allowed list', () => {
+        const result = checkLinks('casino.example.com', { mode: 'blocklist', allow: ['*.example.com'], block: ['casino.example.com'] });
+        assert.equal(result.reason, 'blocked');
+        assert.equal(checkLinks('news.example.com', { mode: 'blocklist', block: ['casino.example.com'] }), null);
+    });
+
+    test('invites mode only catches group invites, shorteners are caught everywhere', () => {
+        assert.equal(checkLinks('google.com', { mode: 'invites' }), null);
+        assert.equal(checkLinks('chat dot whatsapp dot com/AbC', { mode: 'invites' }).reason, 'invite');
+        assert.equal(checkLinks('https://bit.ly/x', { mode: 'blocklist' }).reason, 'shortener');
+        assert.equal(checkLinks('https://bit.ly/x', { mode: 'invites', allow: ['bit.ly'] }), null);
+    });
+
+    test('normalizes what admins type', () => {
+        assert.deepEqual(
+            ['https://www.Example.com/x', '*.Example.com', 'sub.x.co.ke', 'foo', '*.com'].map(normalizeDomain),
+            ['example.com', '*.example.com', 'sub.x.co.ke', null, null]
+        );
+    });
+});
+
+describe('antilink domain lists', () => {
+    before(setupDatabase);
+
+    test('saves per group lists and uses them with the group mode', async () => {
+        const group = 'antilink-lists@g.us';
+        await updateAntiLinkSettings(group, { status: 'on' });
+        assert.equal((await addLinkDomain(group, '*.YouTube.com', 'allow', 'admin')).success, true);
+        assert.equal((await addLinkDomain(group, 'youtube.com', 'allow', 'admin')).success, true);
+        assert.equal((await addLinkDomain(group, '*.youtube.com', 'allow', 'admin')).success, false);
+
+        assert.equal(await checkMessageLinks(group, 'music.youtube.com/x'), null);
+        assert.equal((await checkMessageLinks(group, 'example.com')).reason, 'link');
+
+        const moved = await addLinkDomain(group, 'youtube.com', 'block', 'admin');
+        assert.equal(moved.moved, true);
+        assert.deepEqual(await getLinkDomains(group), { allow: ['*.youtube.com'], block: ['youtube.com'] });
+        assert.equal((await checkMessageLinks(group, 'youtube.com')).reason, 'blocked');
+
+        assert.equal(await removeLinkDomain(group, 'youtube.com'), true);
+        assert.deepEqual((await getLinkDomains(group)).block, []);
+    });
+
+    test('does nothing while antilink is off', async () => {
+        assert.equal(await checkMessageLinks('antilink-off@g.us', 'chat.whatsapp.com/AbC'), null);
+    });
+});
+
+describe('linkfilter command', () => {
+    const GROUP = 'linkfilter-command@g.us';
+    const ADMIN = '254722222222@s.whatsapp.net';
+    const MEMBER = '254733333333@s.whatsapp.net';
+    let bot;
+
+    before(async () => {
+        bot = await createHarness({
+            groups: {
+                [GROUP]: { subject: 'Links', participants: [{ id: ADMIN, admin: 'admin' }, { id: MEMBER }] }
+            }
+        });
+    });
+
+    test('admins manage the lists and the mode', async () => {
+        const [added] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.linkfilter allow *.youtube.com, github.com nonsense' });
+        assert.match(added, /✅ \*\.youtube\.com added to the allow list\n✅ github\.com added to the allow list\n❌ nonsense: Not a domain/);
+
+        await bot.texts({ chat: GROUP, sender: ADMIN, text: '.linkfilter block casino.example.com' });
+        const [mode] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.linkfilter mode invites' });
+        assert.match(mode, /only WhatsApp group invite links/);
+
+        const [shown] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.linkfilter' });
+        assert.match(shown, /Mode: \*invites\*/);
+        assert.match(shown, /\*Allowed\*\n▸ \*\.youtube\.com\n▸ github\.com\n\n\*Blocked\*\n▸ casino\.example\.com/);
+    });
+
+    test('test shows what would be caught', async () => {
+        const [caught] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.linkfilter test join chat . whatsapp . com/AbC' });
+        assert.match(caught, /Caught \*chat\.whatsapp\.com\* \(disguised\): it is a group invite link/);
+
+        const [passed] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.linkfilter test see news.example.com' });
+        assert.match(passed, /would pass/);
+    });
+
+    test('live messages are checked with the lists and the mode', async () => {
+        const group = 'linkfilter-live@g.us';
+        const BOT = '254700000000@s.whatsapp.net';
+        bot.client.addGroup(group, { participants: [{ id: BOT, admin: 'admin' }, { id: ADMIN, admin: 'admin' }, { id: MEMBER }] });
+        await updateAntiLinkSettings(group, { status: 'on', action: 'warn', mode: 'invites', warn_limit: 3 });
+        await addLinkDomain(group, 'casino.example.com', 'block', ADMIN);
+
+        assert.deepEqual(await bot.send({ chat: group, sender: MEMBER, text: 'see news.example.com' }), []);
+
+        const caught = await bot.send({ chat: group, sender: MEMBER, text: 'join chat dot whatsapp dot com/AbC' });
+        assert.equal(caught[0].content.delete.participant, MEMBER);
+        assert.match(caught[1].content.text, /group invite links are not allowed here\. Warning 1\/3/);
+
+        const [blocked] = await bot.texts({ chat: group, sender: MEMBER, text: 'casino.example.com/win' });
+        assert.match(blocked, /links to casino\.example\.com are not allowed here\. Warning 2\/3/);
+
+        assert.deepEqual(await bot.send({ chat: group, sender: ADMIN, text: 'chat.whatsapp.com/AbC' }), []);
+    });
+
+    test('members cannot change the lists', async () => {
+        const [reply] = await bot.texts({ chat: GROUP, sender: MEMBER, text: '.linkfilter allow evil.com' });
+        assert.match(reply, /Only group admins/);
+    });
+});
@@ -0,0 +1,42 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs } = require('../lib/argParser');
+
+const note = {
+    pattern: 'note',
+    args: [{ name: 'action', choices: ['add', 'del'], required: true }, { name: 'text', rest: true }],
+    flags: { pin: { type: 'boolean' } }
+};
+
+const kick = {
+    pattern: 'kick',
+    args: [{ name: 'user', type: 'mention' }, { name: 'reason', rest: true }],
+    flags: { silent: { type: 'boolean' } }
+};
+
+describe('parseArgs', () => {
+    test('options after the rest argument starts are part of its text', () => {
+        const parsed = parseArgs(note, 'add buy milk --urgent --pin');
+        assert.deepEqual(parsed, { success: true, args: { action: 'add', text: 'buy milk --urgent --pin', pin: false } });
+    });
+
+    test('options before the rest argument are still read', () => {
+        const parsed = parseArgs(note, '--pin add buy milk');
+        assert.deepEqual(parsed.args, { action: 'add', text: 'buy milk', pin: true });
+        assert.match(parseArgs(note, '--urgent add buy milk').message, /Unknown option --urgent/);
+    });
+
+    test('a bare -- ends the options', () => {
+        const parsed = parseArgs(note, '--pin -- add --json');
+        assert.deepEqual(parsed.args, { action: 'add', text: '--json', pin: true });
+        assert.deepEqual(parseArgs({ pattern: 'echo', args: [{ name: 'word' }] }, '-- --help').args, { word: '--help' });
+    });
+
+    test('a skipped mention does not hide where the rest starts', () => {
+        const parsed = parseArgs(kick, 'spamming --silent', { mentionedJid: ['254733333333@s.whatsapp.net'] });
+        assert.deepEqual(parsed.args, { user: '254733333333@s.whatsapp.net', reason: 'spamming --silent', silent: false });
+
+        const typed = parseArgs(kick, '--silent @254733333333 spamming');
+        assert.deepEqual(typed.args, { user: '254733333333@s.whatsapp.net', reason: 'spamming', silent: true });
+    });
+});
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keith-backups-'));
+process.env.BACKUP_DIR = backupDir;
+const { OWNER, createHarness, resetDatabase, setupDatabase } = require('./helpers/harness');
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    BACKUP_VERSION,
+    exportDatabase,
+    restoreDatabase,
+    readBackup,
+    toZip,
+    createBackup,
+    listBackups,
+    pruneBackups
+} = require('../lib/backup');
+const { addNote, getNotes } = require('../database/notes');
+const { getSettings, updateSettings } = require('../database/settings');
+
+function emptyBackupDir() {
+    fs.readdirSync(backupDir).forEach(name => fs.unlinkSync(path.join(backupDir, name)));
+}
+
+after(() => fs.rmSync(backupDir, { recursive: true, force: true }));
+
+describe('backups', () => {
+    before(setupDatabase);
+    beforeEach(async () => {
+        await resetDatabase();
+        emptyBackupDir();
+    });
+
+    test('a zip archive restores every row with its ids and timestamps', async () => {
+        const note = await addNote('groceries', 'milk, bread');
+        await updateSettings({ prefixes: ['!', '#'] });
+        const backup = await exportDatabase();
+        assert.equal(backup.version, BACKUP_VERSION);
+        assert.equal(backup.tables.notes.length, 1);
+        assert.equal(backup.tables.schema_migrations, undefined);
+
+        const archive = toZip(backup);
+        await resetDatabase();
+        await addNote('left over', 'should be gone after restore');
+
+        const { restored, skipped } = await restoreDatabase(readBackup(archive));
+        assert.equal(restored.notes, 1);
+        assert.deepEqual(skipped, []);
+
+        const [restoredNote] = await getNotes();
+        assert.equal(restoredNote.id, note.id);
+        assert.equal(restoredNote.title, 'groceries');
+        assert.equal(restoredNote.createdAt.getTime(), note.createdAt.getTime());
+        assert.deepEqual((await getSettings()).prefixes, ['!', '#']);
+    });
+
+    test('reads JSON backups written to disk and skips unknown tables', async () => {
+        await addNote('json', 'backup');
+        const { file } = await createBackup({ format: 'json' });
+        assert.match(path.basename(file), /^keith-backup-.+\.json$/);
+
+        const backup = readBackup(file);
+        backup.tables.from_a_plugin = [{ id: 1 }];
+        await resetDatabase();
+
+        const { skipped } = await restoreDatabase(backup);
+        assert.deepEqual(skipped, ['from_a_plugin']);
+        assert.equal((await getNotes()).length, 1);
+    });
+
+    test('refuses archives from a newer format or schema', async () => {
+        const backup = await exportDatabase();
+        const newer = json => Buffer.from(JSON.stringify(json));
+        assert.throws(() => readBackup(newer({ ...backup, version: BACKUP_VERSION + 1 })), /format v2 is newer/);
+        assert.throws(() => readBackup(newer({ ...backup, schemaVersion: 9999 })), /schema version 9999/);
+        assert.throws(() => readBackup(newer({ hello: 'world' })), /Not a KEITH-MD backup/);
+    });
+
+    test('pruning keeps the newest backups', async () => {
+        const now = Date.now() / 1000;
+        ['a', 'b', 'c', 'd'].forEach((name, i) => {
+            const file = path.join(backupDir, `keith-backup-${name}.zip`);
+            fs.writeFileSync(file, '');
+            fs.utimesSync(file, now - 100 + i, now - 100 + i);
+        });
+        fs.writeFileSync(path.join(backupDir, 'unrelated.zip'), '');
+
+        assert.deepEqual(pruneBackups(2), ['keith-backup-b.zip', 'keith-backup-a.zip']);
+        assert.deepEqual(listBackups().map(backup => backup.name), ['keith-backup-d.zip', 'keith-backup-c.zip']);
+        assert.ok(fs.existsSync(path.join(backupDir, 'unrelated.zip')));
+    });
+});
+
+describe('backup and restore commands', () => {
+    let bot;
+
+    before(async () => {
+        bot = await createHarness();
+    });
+
+    beforeEach(async () => {
+        await resetDatabase();
+        emptyBackupDir();
+    });
+
+    test('backup sends the archive as a document', async () => {
+        const [sent] = await bot.send({ sender: OWNER, text: '.backup' });
+        assert.equal(sent.content.mimetype, 'application/zip');
+        assert.match(sent.content.fileName, /^keith-backup-.+\.zip$/);
+        assert.equal(readBackup(sent.content.document).format, 'keith-md-backup');
+        assert.equal(listBackups().length, 1);
+    });
+
+    test('restore asks first and saves the current data before replacing it', async () => {
+        await addNote('kept', 'in the backup');
+        const { file } = await createBackup();
+        await addNote('added later', 'not in the backup');
+
+        const [question] = await bot.texts({ sender: OWNER, text: `.restore ${path.basename(file)}` });
+        assert.match(question, /Restore this backup\?/);
+        const [done] = await bot.texts({ sender: OWNER, text: 'yes' });
+        assert.match(done, /Restored \d+ tables/);
+
+        assert.deepEqual((await getNotes()).map(note => note.title), ['kept']);
+        assert.ok(listBackups().some(backup => backup.name.includes('pre-restore')));
+    });
+
+    test('only the owner can back up', async () => {
+        const [reply] = await bot.texts({ sender: '254733333333@s.whatsapp.net', text: '.backup' });
+        assert.match(reply, /owner/i);
+        assert.equal(listBackups().length, 0);
+    });
+});
@@ -0,0 +1,51 @@
+const { OWNER, createHarness } = require('./helpers/harness');
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { CommandUsageDB, getTopCommands, getErrorRates, getGroupActivity } = require('../database/commandstats');
+
+const GROUP = 'cmdstats@g.us';
+const MEMBER = '254733333333@s.whatsapp.net';
+
+// The after stage records without waiting for the insert
+async function waitForUsage(count, timeout = 2000) {
+    const started = Date.now();
+    while (await CommandUsageDB.count() < count) {
+        if (Date.now() - started > timeout) throw new Error('Timed out waiting for command usage');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('command stats', () => {
+    let bot;
+
+    before(async () => {
+        bot = await createHarness({
+            groups: {
+                [GROUP]: { subject: 'Stats', participants: [{ id: OWNER, admin: 'admin' }, { id: MEMBER }, { id: '254700000000@s.whatsapp.net', admin: 'admin' }] }
+            }
+        });
+        await CommandUsageDB.destroy({ where: {} });
+    });
+
+    test('blocked dispatches are not counted as uses', async () => {
+        await bot.send({ chat: GROUP, sender: MEMBER, text: '.cmdstats' });
+        await bot.send({ chat: GROUP, sender: MEMBER, text: '.cmdstats' });
+        await bot.send({ chat: GROUP, sender: OWNER, text: '.help' });
+        await waitForUsage(3);
+
+        const top = await getTopCommands();
+        assert.deepEqual(top.map(row => [row.command, Number(row.uses), Number(row.blocked)]), [['help', 1, 0], ['cmdstats', 0, 2]]);
+        assert.deepEqual(await getErrorRates(), []);
+
+        const activity = await getGroupActivity(GROUP);
+        assert.equal(activity.total, 1);
+        assert.equal(activity.blocked, 2);
+        assert.deepEqual(activity.topUsers.map(row => row.userJid), [OWNER]);
+    });
+
+    test('top commands shows the blocked column', async () => {
+        const [text] = await bot.texts({ chat: GROUP, sender: OWNER, text: '.cmdstats' });
+        assert.match(text, /1\. help — 1 use\n2\. cmdstats — 0 uses, 2 blocked/);
+    });
+});
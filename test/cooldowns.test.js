@@ -0,0 +1,117 @@
+const { OWNER, createHarness } = require('./helpers/harness');
+
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { keith } = require('../commandHandler');
+const { addSudoNumber, removeSudoNumber } = require('../database/sudo');
+const {
+    CooldownDB,
+    initCooldownDB,
+    getCooldownRemaining,
+    setCooldown,
+    takeCooldowns,
+    clearCooldowns
+} = require('../database/cooldown');
+
+const GROUP = 'cooldowns@g.us';
+const OTHER_GROUP = 'cooldowns-other@g.us';
+const ALICE = '254722222222@s.whatsapp.net';
+const BOB = '254733333333@s.whatsapp.net';
+
+const members = { participants: [{ id: ALICE }, { id: BOB }] };
+
+// One command per scope, each replies "ran" when it gets past its cooldown
+for (const [pattern, cooldown] of Object.entries({ cooluser: 60, coolchat: { chat: 60 }, coolglobal: { global: 60 } })) {
+    keith({ pattern, category: 'Test', description: `${pattern} test command`, cooldown }, async (from, client, conText) => conText.reply('ran'));
+}
+
+describe('command cooldowns', () => {
+    let bot;
+    const run = async (sender, text, chat = GROUP) => (await bot.texts({ chat, sender, text }))[0];
+
+    before(async () => {
+        bot = await createHarness({ groups: { [GROUP]: members, [OTHER_GROUP]: members } });
+    });
+    beforeEach(() => clearCooldowns());
+
+    test('a user cooldown only holds back that user', async () => {
+        assert.equal(await run(ALICE, '.cooluser'), 'ran');
+        assert.match(await run(ALICE, '.cooluser', OTHER_GROUP), /Try \*cooluser\* again in (59|60)s/);
+        assert.equal(await run(BOB, '.cooluser'), 'ran');
+    });
+
+    test('a chat cooldown holds back everyone in that chat only', async () => {
+        assert.equal(await run(ALICE, '.coolchat'), 'ran');
+        assert.match(await run(BOB, '.coolchat'), /Try \*coolchat\* again/);
+        assert.equal(await run(BOB, '.coolchat', OTHER_GROUP), 'ran');
+    });
+
+    test('a global cooldown holds back every chat', async () => {
+        assert.equal(await run(ALICE, '.coolglobal'), 'ran');
+        assert.match(await run(BOB, '.coolglobal', OTHER_GROUP), /Try \*coolglobal\* again/);
+    });
+
+    test('the owner and sudo users skip cooldowns', async () => {
+        await addSudoNumber(BOB);
+        try {
+            for (const sender of [OWNER, OWNER, BOB, BOB]) {
+                assert.equal(await run(sender, '.coolglobal'), 'ran');
+            }
+        } finally {
+            await removeSudoNumber(BOB);
+        }
+        assert.equal(await run(ALICE, '.coolglobal'), 'ran');
+    });
+
+    test('two messages arriving together start the cooldown once', async () => {
+        const before = bot.client.sent.length;
+        bot.injectMessage({ chat: GROUP, sender: ALICE, text: '.cooluser' });
+        bot.injectMessage({ chat: GROUP, sender: ALICE, text: '.cooluser' });
+        await bot.settle();
+
+        const replies = bot.client.sent.slice(before).map(entry => entry.content.text);
+        assert.equal(replies.filter(text => text === 'ran').length, 1);
+        assert.equal(replies.length, 2);
+    });
+});
+
+describe('cooldown storage', () => {
+    beforeEach(() => clearCooldowns());
+
+    test('takeCooldowns starts every bucket or none', async () => {
+        assert.equal(await takeCooldowns([{ bucket: 'take:a', seconds: 30 }, { bucket: 'take:b', seconds: 10 }]), 0);
+        assert.equal(getCooldownRemaining('take:a'), 30);
+
+        assert.equal(await takeCooldowns([{ bucket: 'take:c', seconds: 30 }, { bucket: 'take:b', seconds: 10 }]), 10);
+        assert.equal(getCooldownRemaining('take:c'), 0);
+    });
+
+    test('only one of two simultaneous takes gets the bucket', async () => {
+        const results = await Promise.all([1, 2].map(() => takeCooldowns([{ bucket: 'take:race', seconds: 20 }])));
+        assert.deepEqual(results.sort(), [0, 20]);
+    });
+
+    test('running cooldowns survive a cache reload', async () => {
+        await setCooldown('saved:a', 120);
+        await CooldownDB.create({ bucket: 'saved:b', expiresAt: new Date(Date.now() + 90 * 1000) });
+        await CooldownDB.create({ bucket: 'saved:c', expiresAt: new Date(Date.now() - 1000) });
+        assert.equal(getCooldownRemaining('saved:b'), 0);
+
+        await initCooldownDB();
+        assert.equal(getCooldownRemaining('saved:a'), 120);
+        assert.equal(getCooldownRemaining('saved:b'), 90);
+        assert.equal(await CooldownDB.count({ where: { bucket: 'saved:c' } }), 0);
+    });
+
+    test('clearing by prefix treats % and _ literally', async () => {
+        for (const bucket of ['a_b:1', 'axb:1', 'a%c:1', 'abc:1', 'a!_:1']) await setCooldown(bucket, 60);
+
+        await clearCooldowns('a_b');
+        await clearCooldowns('a%');
+        await clearCooldowns('a!_');
+        const left = (await CooldownDB.findAll({ order: [['bucket', 'ASC']] })).map(row => row.bucket);
+        assert.deepEqual(left, ['abc:1', 'axb:1']);
+        assert.equal(getCooldownRemaining('axb:1'), 60);
+        assert.equal(getCooldownRemaining('a_b:1'), 0);
+    });
+});
@@ -0,0 +1,170 @@
+const { createHarness, createMockSocket, setupDatabase, injectMessage, injectGroupParticipants } = require('./helpers/harness');
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setLadder, getLadder, getStrikeCount } = require('../database/warn');
+const { addBan, isBanned } = require('../database/groupbans');
+const { updateAntiBadSettings, addBadWord } = require('../database/antibad');
+const { updateAntiTagSettings } = require('../database/antitag');
+const { parseLadder, formatLadder, escalate, attachModeration } = require('../lib/moderation');
+
+const BOT = '254700000000@s.whatsapp.net';
+const ADMIN = '254722222222@s.whatsapp.net';
+const MEMBER = '254733333333@s.whatsapp.net';
+let groups = 0;
+
+// Module caches outlive resets, so every test gets its own group
+function newGroup(client) {
+    const jid = `ladder-${++groups}@g.us`;
+    client.addGroup(jid, { participants: [{ id: BOT, admin: 'admin' }, { id: ADMIN, admin: 'admin' }, { id: MEMBER }] });
+    return jid;
+}
+
+function offence(client, group, text = 'https://spam.example') {
+    return injectMessage(client, { chat: group, sender: MEMBER, text });
+}
+
+describe('parseLadder', () => {
+    test('reads commas and arrows in any case', () => {
+        const parsed = parseLadder('Delete → warn -> kick > ban');
+        assert.deepEqual(parsed.steps, [{ action: 'delete' }, { action: 'warn' }, { action: 'kick' }, { action: 'ban' }]);
+        assert.equal(formatLadder(parsed.steps), 'delete → warn → kick → ban');
+    });
+
+    test('rejects unknown actions and stray durations', () => {
+        assert.match(parseLadder('delete, explode').message, /Unknown action \*explode\*/);
+        assert.match(parseLadder('delete, kick:1h').message, /\*kick\* does not take a duration/);
+    });
+
+    test('rejects empty and overlong ladders', () => {
+        assert.equal(parseLadder('').success, false);
+        assert.match(parseLadder(Array(11).fill('warn').join(',')).message, /at most 10/);
+    });
+});
+
+describe('escalate', () => {
+    before(setupDatabase);
+
+    test('does nothing without a ladder', async () => {
+        const client = createMockSocket();
+        const group = newGroup(client);
+        const result = await escalate(client, { groupJid: group, userJid: MEMBER, source: 'link', mek: offence(client, group) });
+
+        assert.equal(result, null);
+        assert.equal(getStrikeCount(group, MEMBER), 0);
+        assert.equal(client.deleted.length, 0);
+    });
+
+    test('climbs one step per strike across detectors and repeats the last', async () => {
+        const client = createMockSocket();
+        const group = newGroup(client);
+        await setLadder(group, parseLadder('delete, warn, kick, ban').steps);
+
+        const first = await escalate(client, { groupJid: group, userJid: MEMBER, source: 'link', mek: offence(client, group) });
+        assert.equal(first.step.action, 'delete');
+        assert.equal(client.deleted.length, 1);
+
+        const second = await escalate(client, { groupJid: group, userJid: MEMBER, source: 'badword', mek: offence(client, group, 'bad'), reason: 'watch your language' });
+        assert.equal(second.step.action, 'warn');
+        assert.match(client.lastText(group), /watch your language\. Strike 2, next time: \*kick\*/);
+
+        const third = await escalate(client, { groupJid: group, userJid: MEMBER, source: 'spam', mek: offence(client, group) });
+        assert.equal(third.step.action, 'kick');
+        assert.deepEqual(client.groupActions.at(-1), { type: 'participants', jid: group, participants: [MEMBER], action: 'remove' });
+
+        const fourth = await escalate(client, { groupJid: group, userJid: MEMBER, source: 'link', mek: offence(client, group) });
+        assert.equal(fourth.step.action, 'ban');
+        assert.equal(await isBanned(group, MEMBER), true);
+
+        const fifth = await escalate(client, { groupJid: group, userJid: MEMBER, source: 'link', mek: offence(client, group) });
+        assert.equal(fifth.step.action, 'ban');
+        assert.equal(client.deleted.length, 5);
+    });
+
+    test('removes banned members who are added back', async () => {
+        const client = createMockSocket();
+        const group = newGroup(client);
+        attachModeration(client);
+        await addBan(group, '254744444444@s.whatsapp.net', ADMIN, 'scams');
+
+        injectGroupParticipants(client, { chat: group, participants: ['254744444444', '254755555555'], action: 'add', author: ADMIN });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const removals = client.groupActions.filter(action => action.action === 'remove');
+        assert.deepEqual(removals.map(action => action.participants), [['254744444444@s.whatsapp.net']]);
+        assert.match(client.lastText(group), /is banned from this group/);
+    });
+});
+
+describe('ladder and groupban commands', () => {
+    const GROUP = 'ladder-command@g.us';
+    let bot;
+
+    before(async () => {
+        bot = await createHarness({
+            groups: {
+                [GROUP]: { subject: 'Ladder', participants: [{ id: BOT, admin: 'admin' }, { id: ADMIN, admin: 'admin' }, { id: MEMBER }] }
+            }
+        });
+    });
+
+    test('admins set, show and turn off the ladder', async () => {
+        const [saved] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.ladder set delete, warn, kick' });
+        assert.match(saved, /Ladder saved: delete → warn → kick/);
+        assert.deepEqual(await getLadder(GROUP), [{ action: 'delete' }, { action: 'warn' }, { action: 'kick' }]);
+
+        const [shown] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.ladder' });
+        assert.match(shown, /1\. delete\n2\. warn\n3\. kick/);
+
+        const [bad] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.ladder set warn, explode' });
+        assert.match(bad, /Unknown action \*explode\*/);
+
+        await bot.texts({ chat: GROUP, sender: ADMIN, text: '.ladder off' });
+        assert.equal(await getLadder(GROUP), null);
+    });
+
+    test('members cannot change the ladder', async () => {
+        const [reply] = await bot.texts({ chat: GROUP, sender: MEMBER, text: '.ladder set ban' });
+        assert.match(reply, /Only group admins/);
+    });
+
+    test('messages the filters catch climb the ladder', async () => {
+        const group = 'ladder-detectors@g.us';
+        const user = '254777777777@s.whatsapp.net';
+        bot.client.addGroup(group, { participants: [{ id: BOT, admin: 'admin' }, { id: ADMIN, admin: 'admin' }, { id: user }] });
+        await setLadder(group, parseLadder('delete, warn, kick').steps);
+        await updateAntiBadSettings(group, { status: 'on' });
+        await addBadWord(group, 'idiot', ADMIN);
+        await updateAntiTagSettings(group, { status: 'on', allowed_mentions: 1 });
+
+        const first = await bot.send({ chat: group, sender: user, text: 'you idiot' });
+        assert.deepEqual(first.map(entry => Boolean(entry.content.delete)), [true]);
+
+        const [warned] = await bot.texts({ chat: group, sender: user, text: '@a @b', mentions: [ADMIN, BOT] });
+        assert.match(warned, /mass tagging is not allowed here\. Strike 2, next time: \*kick\*/);
+
+        await bot.send({ chat: group, sender: user, text: 'idiot' });
+        assert.deepEqual(bot.client.groupActions.at(-1), { type: 'participants', jid: group, participants: [user], action: 'remove' });
+        assert.equal(getStrikeCount(group, user), 3);
+
+        // Admins are exempt by default
+        const admin = await bot.send({ chat: group, sender: ADMIN, text: 'idiot' });
+        assert.deepEqual(admin, []);
+    });
+
+    test('groupban removes and lists the member, groupunban lifts it', async () => {
+        const user = '254766666666@s.whatsapp.net';
+        bot.client.applyParticipantChange(GROUP, [user], 'add');
+
+        const [banned] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.groupban @254766666666 flooding', mentions: [user] });
+        assert.match(banned, /@254766666666 is banned/);
+        assert.deepEqual(bot.client.groupActions.at(-1).participants, [user]);
+
+        const [list] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.groupbans' });
+        assert.match(list, /@254766666666 by @254722222222: flooding/);
+
+        const [lifted] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.groupunban @254766666666', mentions: [user] });
+        assert.match(lifted, /no longer banned/);
+        assert.equal(await isBanned(GROUP, user), false);
+    });
+});
@@ -0,0 +1,108 @@
+require('./helpers/harness');
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const KeithLogger = require('../logger');
+const { evt } = require('../commandHandler');
+
+describe('evt', () => {
+    // evt is shared with the rest of the bot, so every listener a test adds is removed afterwards
+    let added;
+    const on = (event, callback) => {
+        const stop = evt.on(event, callback);
+        added.push(stop);
+        return stop;
+    };
+    const once = (event, callback) => added.push(evt.once(event, callback));
+
+    beforeEach(() => {
+        added = [];
+        mock.method(KeithLogger, 'error', () => {});
+    });
+    afterEach(() => {
+        added.forEach(stop => stop());
+        mock.restoreAll();
+    });
+
+    test('wildcard and namespace listeners run after the exact ones', () => {
+        const seen = [];
+        on('test.*', (data, event) => seen.push(`namespace ${event}`));
+        on('*', (data, event) => event.startsWith('test.') && seen.push(`all ${event}`));
+        on('test.join', data => seen.push(`exact ${data}`));
+
+        assert.equal(evt.emit('test.join', 'x'), true);
+        assert.deepEqual(seen, ['exact x', 'namespace test.join', 'all test.join']);
+
+        seen.length = 0;
+        evt.emit('test');
+        evt.emit('testing.join');
+        assert.deepEqual(seen, []);
+    });
+
+    test('pattern characters other than * match literally', () => {
+        const seen = [];
+        on('test.a+b.*', (data, event) => seen.push(event));
+        evt.emit('test.a+b.c');
+        evt.emit('test.aab.c');
+        evt.emit('testxa+b.c');
+        assert.deepEqual(seen, ['test.a+b.c']);
+    });
+
+    test('once fires exactly once', async () => {
+        let calls = 0;
+        once('test.once', () => calls++);
+        once('test.onceasync', async () => calls++);
+
+        evt.emit('test.once');
+        evt.emit('test.once');
+        await Promise.all([evt.emitAsync('test.onceasync'), evt.emitAsync('test.onceasync')]);
+        assert.equal(calls, 2);
+        assert.equal(evt.listenerCount('test.once'), 0);
+        assert.equal(evt.listenerCount('test.onceasync'), 0);
+    });
+
+    test('off with the original callback removes a once listener', () => {
+        let calls = 0;
+        const callback = () => calls++;
+        once('test.*', callback);
+        assert.equal(evt.listenerCount('test.off'), 1);
+
+        evt.off('test.*', callback);
+        assert.equal(evt.emit('test.off'), false);
+        assert.equal(calls, 0);
+        assert.equal(evt.patterns.has('test.*'), false);
+    });
+
+    test('the function on returns removes just that listener', () => {
+        const seen = [];
+        const stop = on('test.stop', () => seen.push('first'));
+        on('test.stop', () => seen.push('second'));
+        stop();
+        evt.emit('test.stop');
+        assert.deepEqual(seen, ['second']);
+    });
+
+    test('a failing listener does not stop the others', async () => {
+        const seen = [];
+        on('test.fail', () => {
+            throw new Error('sync');
+        });
+        on('test.*', async () => {
+            throw new Error('async');
+        });
+        on('test.fail', async data => {
+            seen.push(data);
+            return 'done';
+        });
+
+        const results = await evt.emitAsync('test.fail', 1);
+        assert.deepEqual(results.map(result => result.status), ['rejected', 'fulfilled', 'rejected']);
+        assert.equal(results[1].value, 'done');
+        assert.equal(results[2].reason.message, 'async');
+
+        evt.emit('test.fail', 2);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(seen, [1, 2]);
+        assert.equal(KeithLogger.error.mock.callCount(), 4);
+    });
+});
@@ -0,0 +1,63 @@
+const { createHarness } = require('./helpers/harness');
+
+const { test, describe, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { AntiLinkDB, updateAntiLinkSettings } = require('../database/antilink');
+const { updateAntiBadSettings, addBadWord } = require('../database/antibad');
+const { AutoBlockDB, updateAutoBlockSettings, addTriggerWord } = require('../database/autoblock');
+
+const BOT = '254700000000@s.whatsapp.net';
+const MEMBER = '254733333333@s.whatsapp.net';
+const STRANGER = '254744444444@s.whatsapp.net';
+const GROUP = 'filters-cache@g.us';
+
+const deleted = sent => sent.some(entry => entry.content.delete);
+
+describe('filter settings cache', () => {
+    let bot;
+
+    before(async () => {
+        bot = await createHarness({ groups: { [GROUP]: { subject: 'Filters', participants: [{ id: BOT, admin: 'admin' }, { id: MEMBER }] } } });
+    });
+    afterEach(() => mock.restoreAll());
+
+    test('group messages reuse the settings until they change', async () => {
+        await updateAntiLinkSettings(GROUP, { status: 'on', action: 'delete', mode: 'all' });
+        assert.ok(deleted(await bot.send({ chat: GROUP, sender: MEMBER, text: 'see example.com' })));
+
+        const findOne = mock.method(AntiLinkDB, 'findOne');
+        assert.ok(deleted(await bot.send({ chat: GROUP, sender: MEMBER, text: 'see example.org' })));
+        assert.equal(findOne.mock.callCount(), 0);
+        findOne.mock.restore();
+
+        await updateAntiLinkSettings(GROUP, { status: 'off' });
+        assert.deepEqual(await bot.send({ chat: GROUP, sender: MEMBER, text: 'see example.com' }), []);
+    });
+
+    test('word lists are read again after a word is added', async () => {
+        await updateAntiBadSettings(GROUP, { status: 'on', action: 'delete' });
+        assert.deepEqual(await bot.send({ chat: GROUP, sender: MEMBER, text: 'what a frack' }), []);
+
+        await addBadWord(GROUP, 'frack', BOT);
+        assert.ok(deleted(await bot.send({ chat: GROUP, sender: MEMBER, text: 'what a frack' })));
+        await updateAntiBadSettings(GROUP, { status: 'off' });
+    });
+
+    test('autoblock reads its settings once per change', async () => {
+        await updateAutoBlockSettings({ status: 'on', action: 'block' });
+        await bot.send({ sender: STRANGER, text: 'hello there' });
+
+        const findOne = mock.method(AutoBlockDB, 'findOne');
+        await bot.send({ sender: STRANGER, text: 'hello again' });
+        assert.equal(findOne.mock.callCount(), 0);
+        findOne.mock.restore();
+
+        await addTriggerWord('casino', BOT);
+        await bot.send({ sender: STRANGER, text: 'best casino in town' });
+        assert.deepEqual(bot.client.blocks, [{ jid: STRANGER, action: 'block' }]);
+
+        await updateAutoBlockSettings({ status: 'off' });
+        await bot.send({ sender: MEMBER, text: 'casino' });
+        assert.equal(bot.client.blocks.length, 1);
+    });
+});
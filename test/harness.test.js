@@ -0,0 +1,204 @@
+const { test, describe, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER, createHarness, createMockSocket, injectMessage, injectGroupParticipants, injectCall, toUserJid } = require('./helpers/harness');
+
+const ADMIN = '254722222222@s.whatsapp.net';
+const MEMBER = '254733333333@s.whatsapp.net';
+
+function groupWith(jid) {
+    return {
+        [jid]: {
+            subject: 'Harness Group',
+            participants: [
+                { id: ADMIN, admin: 'admin' },
+                { id: MEMBER },
+                { id: '254700000000@s.whatsapp.net', admin: 'admin' }
+            ]
+        }
+    };
+}
+
+describe('mock socket', () => {
+    test('records messages, group actions, presence and blocks', async () => {
+        const client = createMockSocket({ groups: groupWith('mock@g.us') });
+
+        const sent = await client.sendMessage('mock@g.us', { text: 'hello' });
+        await client.groupParticipantsUpdate('mock@g.us', [MEMBER], 'promote');
+        await client.sendPresenceUpdate('composing', 'mock@g.us');
+        await client.updateBlockStatus(MEMBER, 'block');
+
+        assert.equal(sent.key.fromMe, true);
+        assert.deepEqual(client.textsTo('mock@g.us'), ['hello']);
+        assert.deepEqual(client.groupActions[0], { type: 'participants', jid: 'mock@g.us', participants: [MEMBER], action: 'promote' });
+        assert.deepEqual(client.presence, [{ type: 'composing', jid: 'mock@g.us' }]);
+        assert.deepEqual(client.blocks, [{ jid: MEMBER, action: 'block' }]);
+
+        const metadata = await client.groupMetadata('mock@g.us');
+        assert.equal(metadata.participants.find(p => p.id === MEMBER).admin, 'admin');
+    });
+
+    test('delivers participant updates and calls as socket events', () => {
+        const client = createMockSocket({ groups: groupWith('events@g.us') });
+        const seen = [];
+        client.ev.on('group-participants.update', update => seen.push(update));
+        client.ev.on('call', calls => seen.push(...calls));
+
+        injectGroupParticipants(client, { chat: 'events@g.us', participants: ['254744444444'], action: 'add' });
+        const call = injectCall(client, { from: '254755555555', isVideo: true });
+
+        assert.deepEqual(seen[0].participants, [toUserJid('254744444444')]);
+        assert.equal(seen[1].id, call.id);
+        assert.equal(seen[1].isVideo, true);
+    });
+});
+
+describe('command pipeline', () => {
+    const GROUP = 'pipeline@g.us';
+    let bot;
+
+    before(async () => {
+        bot = await createHarness({ groups: groupWith(GROUP) });
+    });
+
+    test('runs a command from Cmds/ through the prefix resolver', async () => {
+        const [reply] = await bot.texts({ sender: MEMBER, text: '.help help' });
+        assert.match(reply, /\*Command:\* \.help/);
+    });
+
+    test('ignores messages without a prefix', async () => {
+        assert.deepEqual(await bot.texts({ sender: MEMBER, text: 'help' }), []);
+    });
+
+    test('applies permissions and per-group disabled commands', async () => {
+        assert.match((await bot.texts({ chat: GROUP, sender: MEMBER, text: '.disable help' }))[0], /Only group admins/);
+        assert.match((await bot.texts({ chat: GROUP, sender: ADMIN, text: '.disable help' }))[0], /now disabled/);
+        assert.match((await bot.texts({ chat: GROUP, sender: MEMBER, text: '.help' }))[0], /disabled in this group/);
+        assert.match((await bot.texts({ chat: GROUP, sender: OWNER, text: '.enable help' }))[0], /enabled in this group/);
+    });
+
+    test('runs macros step by step', async () => {
+        await bot.texts({ sender: MEMBER, text: '.macro add two help help; help macro --user' });
+        const replies = await bot.texts({ sender: MEMBER, text: '.two' });
+        assert.equal(replies.length, 2);
+        assert.match(replies[0], /\*Command:\* \.help/);
+        assert.match(replies[1], /\*Command:\* \.macro/);
+    });
+
+    test('stops macros that run themselves through macro run', async () => {
+        const [refused] = await bot.texts({ sender: MEMBER, text: '.macro add loop macro run loop --user' });
+        assert.match(refused, /\*loop\* cannot call itself/);
+
+        const { saveMacro } = require('../database/macros');
+        const chat = toUserJid(MEMBER);
+        await saveMacro('ping', 'user', chat, ['macro run pong'], chat);
+        await saveMacro('pong', 'user', chat, ['help help', 'macro run ping'], chat);
+
+        const replies = await bot.texts({ sender: MEMBER, text: '.ping' });
+        assert.equal(replies.length, 2);
+        assert.match(replies[0], /\*Command:\* \.help/);
+        assert.match(replies[1], /Macro \*ping\* calls itself \(ping → pong → ping\), stopped/);
+
+        const direct = await bot.texts({ sender: MEMBER, text: '.macro run ping' });
+        assert.equal(direct.length, 2);
+    });
+
+    test('walks through a setup wizard with follow-up replies', async () => {
+        const answers = ['yes', '8', '10', 'delete', 'no', 'yes'];
+        const replies = [...await bot.texts({ chat: GROUP, sender: ADMIN, text: '.setup antispam' })];
+        for (const text of answers) {
+            replies.push(...await bot.texts({ chat: GROUP, sender: ADMIN, text }));
+        }
+
+        assert.match(replies[replies.length - 1], /Anti-spam settings saved/);
+        const { getAntiSpamSettings } = require('../database/antispam');
+        const settings = await getAntiSpamSettings(GROUP);
+        assert.equal(settings.status, 'on');
+        assert.equal(settings.message_limit, 8);
+        assert.equal(settings.time_window, 10);
+        assert.equal(settings.action, 'delete');
+        assert.equal(settings.exempt_admins, false);
+    });
+
+    test('private mode keeps every command to the owner and sudo users', async () => {
+        const { updateSettings } = require('../database/settings');
+        const { addSudoNumber, removeSudoNumber } = require('../database/sudo');
+        await updateSettings({ mode: 'private' });
+        try {
+            assert.match((await bot.texts({ chat: GROUP, sender: MEMBER, text: '.help help' }))[0], /private mode/);
+            assert.match((await bot.texts({ sender: MEMBER, text: '.help help' }))[0], /private mode/);
+            assert.match((await bot.texts({ chat: GROUP, sender: OWNER, text: '.help help' }))[0], /\*Command:\* \.help/);
+
+            await addSudoNumber(ADMIN);
+            assert.match((await bot.texts({ chat: GROUP, sender: ADMIN, text: '.help help' }))[0], /\*Command:\* \.help/);
+        } finally {
+            await removeSudoNumber(ADMIN);
+            await updateSettings({ mode: 'public' });
+        }
+        assert.match((await bot.texts({ sender: MEMBER, text: '.help help' }))[0], /\*Command:\* \.help/);
+    });
+
+    test('dispatch reads the bot settings from the cache', async () => {
+        const { SettingsDB } = require('../database/settings');
+        await bot.texts({ sender: MEMBER, text: '.help help' });
+
+        const findOne = mock.method(SettingsDB, 'findOne');
+        try {
+            await bot.texts({ sender: MEMBER, text: '.help help' });
+            await bot.texts({ chat: GROUP, sender: MEMBER, text: '.help help' });
+            assert.equal(findOne.mock.callCount(), 0);
+        } finally {
+            findOne.mock.restore();
+        }
+    });
+});
+
+describe('live socket', () => {
+    const GROUP = 'live-prefix@g.us';
+    let client;
+
+    // Waits for the pipeline the way settle() does in the harness
+    async function settled() {
+        const { getRunningMessages } = require('../lib/messagePipeline');
+        while (getRunningMessages().length) await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    before(async () => {
+        await createHarness();
+        const KeithLogger = require('../logger');
+        const { attachPipeline } = require('../lib/messagePipeline');
+        client = createMockSocket({ groups: groupWith(GROUP) });
+
+        // What index.js does with the socket the bootstrap creates
+        KeithLogger.onClient(attachPipeline);
+        KeithLogger.setClientInstance(client);
+    });
+
+    test('group prefixes and @mentions reach commands', async () => {
+        const { setGroupPrefixes } = require('../database/groupprefix');
+        await setGroupPrefixes(GROUP, ['#']);
+
+        injectMessage(client, { chat: GROUP, sender: MEMBER, text: '#help help' });
+        injectMessage(client, { chat: GROUP, sender: MEMBER, text: '.help help' });
+        injectMessage(client, { chat: GROUP, sender: MEMBER, text: '@254700000000 help prefix', mentions: ['254700000000'] });
+        await settled();
+
+        const replies = client.textsTo(GROUP).sort();
+        assert.equal(replies.length, 2);
+        assert.match(replies[0], /\*Command:\* #help/);
+        assert.match(replies[1], /\*Command:\* #prefix/);
+    });
+
+    test('a macro name typed as a command runs the macro', async () => {
+        const { saveMacro } = require('../database/macros');
+        const chat = toUserJid('254799999999');
+        await saveMacro('twohelps', 'user', chat, ['help help', 'help macro'], chat);
+
+        injectMessage(client, { sender: '254799999999', text: '.twohelps' });
+        await settled();
+
+        const replies = client.textsTo(chat);
+        assert.equal(replies.length, 2);
+        assert.match(replies[0], /\*Command:\* \.help/);
+        assert.match(replies[1], /\*Command:\* \.macro/);
+    });
+});
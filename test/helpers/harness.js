@@ -0,0 +1,110 @@
+/**
+ * Test harness: an in-memory SQLite database, a mock socket and the real command pipeline.
+ * Require this before anything from the bot so settings.js picks up the test environment.
+ */
+process.env.DATABASE_URL = process.env.TEST_DATABASE_URL || ':memory:';
+process.env.OWNER_NUMBER = '254711111111';
+process.env.REMOTE_COMMANDS = 'false';
+process.env.PLUGIN_WATCH = 'false';
+
+const fs = require('fs');
+const path = require('path');
+const { createMockSocket, injectMessage, injectGroupParticipants, injectCall, toUserJid } = require('./mockSocket');
+
+const OWNER = '254711111111@s.whatsapp.net';
+const BOT = '254700000000';
+
+const rootDir = path.join(__dirname, '..', '..');
+let databaseReady = null;
+let commandsLoaded = false;
+
+// Loads every database module and runs the migrations once per test process
+function setupDatabase() {
+    if (!databaseReady) {
+        databaseReady = (async () => {
+            const { database } = require('../../settings');
+            const dir = path.join(rootDir, 'database');
+            for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js'))) {
+                require(path.join(dir, file));
+            }
+            await require('../../lib/migrator').ensureSchema();
+            return database;
+        })();
+    }
+    return databaseReady;
+}
+
+// Empties every table but the migration history, module caches keep their entries so prefer fresh JIDs per test
+async function resetDatabase() {
+    const database = await setupDatabase();
+    const models = Object.values(database.models).filter(model => model.getTableName() !== 'schema_migrations');
+    await Promise.all(models.map(model => model.destroy({ where: {}, truncate: true })));
+}
+
+function loadCommands() {
+    if (!commandsLoaded) {
+        require('../../lib/pluginLoader').loadPlugins();
+        commandsLoaded = true;
+    }
+    return require('../../commandHandler');
+}
+
+/**
+ * A mock socket with the real message pipeline attached, so injected messages run commands.
+ *   const bot = await createHarness({ groups: { 'g@g.us': { participants: [{ id: OWNER, admin: 'admin' }] } } });
+ *   const replies = await bot.send({ chat: 'g@g.us', sender: '2547...', text: '.help' });
+ */
+async function createHarness(options = {}) {
+    await setupDatabase();
+    loadCommands();
+    const { attachPipeline, getRunningMessages } = require('../../lib/messagePipeline');
+    const { isAwaitingReply } = require('../../lib/conversations');
+    const client = createMockSocket({ user: BOT, ...options });
+    attachPipeline(client);
+
+    // Waits until every message has been handled or is waiting for a conversation reply
+    async function settle(timeout = 5000) {
+        const started = Date.now();
+        const busy = () => getRunningMessages().some(({ chat, sender }) => !isAwaitingReply(chat, sender));
+        while (busy()) {
+            if (Date.now() - started > timeout) throw new Error('Timed out waiting for commands to finish');
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    async function send(message) {
+        const before = client.sent.length;
+        injectMessage(client, message);
+        await settle();
+        return client.sent.slice(before);
+    }
+
+    // Sends and returns just the reply texts
+    async function texts(message) {
+        return (await send(message)).map(entry => entry.content.text).filter(text => text !== undefined);
+    }
+
+    return {
+        client,
+        settle,
+        send,
+        texts,
+        injectMessage: message => injectMessage(client, message),
+        injectGroupParticipants: update => injectGroupParticipants(client, update),
+        injectCall: call => injectCall(client, call)
+    };
+}
+
+module.exports = {
+    OWNER,
+    BOT,
+    setupDatabase,
+    resetDatabase,
+    loadCommands,
+    createHarness,
+    createMockSocket,
+    injectMessage,
+    injectGroupParticipants,
+    injectCall,
+    toUserJid
+};
@@ -0,0 +1,268 @@
+const { EventEmitter } = require('events');
+
+let idCounter = 0;
+
+function nextId(prefix = 'TEST') {
+    idCounter += 1;
+    return `${prefix}${Date.now().toString(16).toUpperCase()}${idCounter}`;
+}
+
+function toUserJid(value) {
+    const text = String(value);
+    return text.includes('@') ? text : `${text.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+}
+
+/**
+ * A stand-in for a Baileys socket. Nothing leaves the process: every call is
+ * recorded so tests can assert on what the bot tried to do.
+ *   const client = createMockSocket({ user: '254700000000', groups: { 'g@g.us': { subject, participants } } });
+ *   client.sent            [{ jid, content, options, message }]
+ *   client.groupActions    [{ type, jid, ... }]  participants/settings/subject/description/leave
+ *   client.presence        [{ jid, type }]
+ *   client.blocks          [{ jid, action }]
+ *   client.rejectedCalls   [{ id, from }]
+ *   client.deleted         [key]                 messages deleted with { delete: key }
+ */
+function createMockSocket(options = {}) {
+    const ev = new EventEmitter();
+    ev.setMaxListeners(0);
+
+    const userJid = toUserJid(options.user || '254700000000');
+    const groups = new Map();
+
+    const client = {
+        ev,
+        user: { id: userJid.replace('@', ':1@'), lid: options.lid, name: options.name || 'KEITH-MD' },
+        sent: [],
+        groupActions: [],
+        presence: [],
+        blocks: [],
+        rejectedCalls: [],
+        deleted: [],
+        read: [],
+
+        addGroup(jid, metadata = {}) {
+            const participants = (metadata.participants || []).map(participant => (
+                typeof participant === 'string'
+                    ? { id: toUserJid(participant), admin: null }
+                    : { admin: null, ...participant, id: toUserJid(participant.id) }
+            ));
+            groups.set(jid, {
+                id: jid,
+                subject: metadata.subject || 'Test Group',
+                desc: metadata.desc || '',
+                owner: metadata.owner,
+                announce: false,
+                restrict: false,
+                ...metadata,
+                participants
+            });
+            return groups.get(jid);
+        },
+
+        async groupMetadata(jid) {
+            const metadata = groups.get(jid);
+            if (!metadata) throw new Error(`item-not-found: ${jid}`);
+            return JSON.parse(JSON.stringify(metadata));
+        },
+
+        async groupFetchAllParticipating() {
+            return Object.fromEntries([...groups.entries()].map(([jid, metadata]) => [jid, JSON.parse(JSON.stringify(metadata))]));
+        },
+
+        async sendMessage(jid, content, sendOptions = {}) {
+            const message = {
+                key: { remoteJid: jid, fromMe: true, id: nextId('BAE5') },
+                message: content.text !== undefined ? { conversation: content.text } : { ...content },
+                messageTimestamp: Math.floor(Date.now() / 1000)
+            };
+            if (content.delete) client.deleted.push(content.delete);
+            client.sent.push({ jid, content, options: sendOptions, message });
+            return message;
+        },
+
+        async groupParticipantsUpdate(jid, participants, action) {
+            client.groupActions.push({ type: 'participants', jid, participants, action });
+            client.applyParticipantChange(jid, participants, action);
+            return participants.map(participant => ({ status: '200', jid: participant }));
+        },
+
+        // Changes the stored metadata without recording an action, for updates made by others
+        applyParticipantChange(jid, participants, action) {
+            const metadata = groups.get(jid);
+            if (metadata) applyParticipantChange(metadata, participants, action);
+        },
+
+        async groupSettingUpdate(jid, setting) {
+            const metadata = groups.get(jid);
+            client.groupActions.push({ type: 'settings', jid, setting });
+            if (metadata) {
+                if (setting === 'announcement' || setting === 'not_announcement') metadata.announce = setting === 'announcement';
+                if (setting === 'locked' || setting === 'unlocked') metadata.restrict = setting === 'locked';
+            }
+        },
+
+        async groupUpdateSubject(jid, subject) {
+            client.groupActions.push({ type: 'subject', jid, subject });
+            if (groups.has(jid)) groups.get(jid).subject = subject;
+        },
+
+        async groupUpdateDescription(jid, description) {
+            client.groupActions.push({ type: 'description', jid, description });
+            if (groups.has(jid)) groups.get(jid).desc = description;
+        },
+
+        async groupLeave(jid) {
+            client.groupActions.push({ type: 'leave', jid });
+            groups.delete(jid);
+        },
+
+        async groupInviteCode(jid) {
+            client.groupActions.push({ type: 'inviteCode', jid });
+            return 'TESTINVITECODE';
+        },
+
+        async sendPresenceUpdate(type, jid) {
+            client.presence.push({ type, jid });
+        },
+
+        async presenceSubscribe(jid) {
+            client.presence.push({ type: 'subscribe', jid });
+        },
+
+        async updateBlockStatus(jid, action) {
+            client.blocks.push({ jid, action });
+        },
+
+        async rejectCall(id, from) {
+            client.rejectedCalls.push({ id, from });
+        },
+
+        async readMessages(keys) {
+            client.read.push(...keys);
+        },
+
+        async updateProfileStatus(status) {
+            client.groupActions.push({ type: 'profileStatus', status });
+        },
+
+        async profilePictureUrl() {
+            return 'https://example.com/profile.jpg';
+        },
+
+        async onWhatsApp(...numbers) {
+            return numbers.map(number => ({ jid: toUserJid(number), exists: true }));
+        },
+
+        // Texts sent to a chat, newest last
+        textsTo(jid) {
+            return client.sent.filter(entry => entry.jid === jid).map(entry => entry.content.text).filter(text => text !== undefined);
+        },
+
+        lastMessage(jid) {
+            const list = jid ? client.sent.filter(entry => entry.jid === jid) : client.sent;
+            return list[list.length - 1];
+        },
+
+        lastText(jid) {
+            return client.lastMessage(jid)?.content.text;
+        },
+
+        reset() {
+            for (const list of [client.sent, client.groupActions, client.presence, client.blocks, client.rejectedCalls, client.deleted, client.read]) {
+                list.length = 0;
+            }
+        }
+    };
+
+    for (const [jid, metadata] of Object.entries(options.groups || {})) {
+        client.addGroup(jid, metadata);
+    }
+
+    return client;
+}
+
+function applyParticipantChange(metadata, participants, action) {
+    for (const participant of participants) {
+        const existing = metadata.participants.find(p => p.id === participant);
+        switch (action) {
+            case 'add':
+                if (!existing) metadata.participants.push({ id: participant, admin: null });
+                break;
+            case 'remove':
+                metadata.participants = metadata.participants.filter(p => p.id !== participant);
+                break;
+            case 'promote':
+                if (existing) existing.admin = 'admin';
+                break;
+            case 'demote':
+                if (existing) existing.admin = null;
+                break;
+        }
+    }
+}
+
+/**
+ * Builds a WhatsApp message and delivers it through messages.upsert.
+ *   injectMessage(client, { chat: 'g@g.us', sender: '2547...', text: '.ping', mentions: [...], quoted })
+ * Resolves the message object that was delivered.
+ */
+function injectMessage(client, { chat, sender, text = '', fromMe = false, mentions, quoted, pushName = 'Tester', type = 'notify' } = {}) {
+    const remoteJid = chat || toUserJid(sender);
+    const isGroup = remoteJid.endsWith('@g.us');
+    const senderJid = fromMe ? client.user.id : toUserJid(sender || remoteJid);
+
+    const contextInfo = {};
+    if (mentions) contextInfo.mentionedJid = mentions.map(toUserJid);
+    if (quoted) {
+        contextInfo.stanzaId = quoted.key?.id;
+        contextInfo.participant = quoted.key?.participant || quoted.key?.remoteJid;
+        contextInfo.quotedMessage = quoted.message;
+    }
+
+    const message = {
+        key: { remoteJid, fromMe, id: nextId('3EB0'), ...(isGroup ? { participant: senderJid } : {}) },
+        message: Object.keys(contextInfo).length
+            ? { extendedTextMessage: { text, contextInfo } }
+            : { conversation: text },
+        messageTimestamp: Math.floor(Date.now() / 1000),
+        pushName
+    };
+
+    client.ev.emit('messages.upsert', { messages: [message], type });
+    return message;
+}
+
+// Delivers group-participants.update the way Baileys does and keeps the metadata in step
+function injectGroupParticipants(client, { chat, participants, action, author }) {
+    const jids = participants.map(toUserJid);
+    client.applyParticipantChange(chat, jids, action);
+
+    const update = { id: chat, participants: jids, action, author: author ? toUserJid(author) : undefined };
+    client.ev.emit('group-participants.update', update);
+    return update;
+}
+
+// Delivers an incoming call offer through the call event
+function injectCall(client, { from, isVideo = false, isGroup = false, status = 'offer' }) {
+    const call = {
+        id: nextId('CALL'),
+        from: toUserJid(from),
+        chatId: toUserJid(from),
+        date: new Date(),
+        isVideo,
+        isGroup,
+        status,
+        offline: false
+    };
+    client.ev.emit('call', [call]);
+    return call;
+}
+
+module.exports = {
+    createMockSocket,
+    injectMessage,
+    injectGroupParticipants,
+    injectCall,
+    toUserJid
+};
@@ -0,0 +1,73 @@
+const { setupDatabase, createHarness } = require('./helpers/harness');
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setLanguage } = require('../database/language');
+const { getGroupEventsSettings, updateGroupEventsSettings, GroupEventsDB } = require('../database/groupevents');
+const { getAntiCallSettings, updateAntiCallSettings } = require('../database/anticall');
+const { getGreetSettings } = require('../database/greet');
+const { defaultText, translate } = require('../lib/i18n');
+const { MAX_STEPS, getActionNames } = require('../lib/moderation');
+
+const GROUP = 'i18n-sw@g.us';
+const CALLER = '254755555555@s.whatsapp.net';
+
+describe('stored templates', () => {
+    before(async () => {
+        await setupDatabase();
+        await setLanguage(GROUP, 'chat', 'sw');
+        await setLanguage(CALLER, 'user', 'sw');
+    });
+
+    test('default templates come in the group language', async () => {
+        const settings = await getGroupEventsSettings(GROUP);
+        assert.match(settings.welcomeMessage, /^Habari @user 👋\nKaribu \*\{group\}\*/);
+        assert.match(settings.goodbyeMessage, /^Kwaheri @user/);
+
+        const other = await getGroupEventsSettings('i18n-en@g.us');
+        assert.equal(other.welcomeMessage, defaultText('groupevents.welcome'));
+    });
+
+    test('saving other settings keeps the stored default', async () => {
+        await updateGroupEventsSettings(GROUP, { enabled: true });
+        const row = await GroupEventsDB.findOne({ where: { groupJid: GROUP }, raw: true });
+        assert.equal(row.welcomeMessage, defaultText('groupevents.welcome'));
+    });
+
+    test('edited templates are kept as written', async () => {
+        await updateGroupEventsSettings(GROUP, { welcomeMessage: 'Welcome @user!' });
+        assert.equal((await getGroupEventsSettings(GROUP)).welcomeMessage, 'Welcome @user!');
+    });
+
+    test('private templates follow the contact language', async () => {
+        assert.notEqual((await getAntiCallSettings(CALLER)).message, defaultText('anticall.message'));
+        assert.equal((await getAntiCallSettings()).message, defaultText('anticall.message'));
+        assert.notEqual((await getGreetSettings(CALLER)).message, defaultText('greet.message'));
+
+        await updateAntiCallSettings({ message: 'No calls' });
+        assert.equal((await getAntiCallSettings(CALLER)).message, 'No calls');
+    });
+});
+
+describe('command replies', () => {
+    const CHAT = 'i18n-commands@g.us';
+    const ADMIN = '254722222222@s.whatsapp.net';
+    let bot;
+
+    before(async () => {
+        bot = await createHarness({
+            groups: { [CHAT]: { subject: 'Kikundi', participants: [{ id: ADMIN, admin: 'admin' }, { id: '254700000000@s.whatsapp.net', admin: 'admin' }] } }
+        });
+        await setLanguage(CHAT, 'chat', 'sw');
+    });
+
+    test('group commands answer in the group language', async () => {
+        const say = async text => (await bot.texts({ chat: CHAT, sender: ADMIN, text }))[0];
+
+        assert.equal(await say('.ladder'), translate('sw', 'ladder.none', { max: MAX_STEPS, actions: getActionNames().join(', ') }));
+        assert.equal(await say('.disable help'), translate('sw', 'groupcmd.commandDisabled', { name: 'help' }));
+        assert.match(await say('.linkfilter test join bit.ly/abc'), /^🚫 Imekamata \*bit\.ly\*: kinapitia kifupisha-viungo\./);
+        assert.match(await say('.setup'), /^\*⚙️ USANIDI\*\n\n.*ujumbe wa kukaribisha/);
+        assert.equal(await say('.macro del nothing'), translate('sw', 'macro.noChatMacro', { name: 'nothing' }));
+    });
+});
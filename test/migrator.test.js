@@ -0,0 +1,96 @@
+// Rows that predate the backup columns should pick these up
+process.env.BACKUP_INTERVAL = '12';
+process.env.BACKUP_KEEP = '3';
+const { setupDatabase } = require('./helpers/harness');
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    loadMigrations,
+    getSchemaStatus,
+    migrate,
+    rollback,
+    SchemaMigrationsDB
+} = require('../lib/migrator');
+const { createDatabase } = require('../settings');
+
+async function tableNames(database) {
+    return (await database.getQueryInterface().showAllTables()).map(table => (typeof table === 'string' ? table : table.tableName));
+}
+
+describe('migrations', () => {
+    let database;
+
+    before(async () => {
+        database = await setupDatabase();
+    });
+
+    test('migration files are numbered and export up and down', () => {
+        const migrations = loadMigrations();
+        assert.ok(migrations.length > 0);
+        migrations.forEach((migration, index) => {
+            assert.equal(typeof migration.up, 'function');
+            assert.equal(typeof migration.down, 'function');
+            if (index) assert.ok(migration.version > migrations[index - 1].version);
+        });
+    });
+
+    test('startup brings the schema to the latest version', async () => {
+        const status = await getSchemaStatus();
+        assert.equal(status.current, status.latest);
+        assert.deepEqual(status.pending, []);
+        assert.ok((await tableNames(database)).includes('bot_settings'));
+    });
+
+    test('running again does nothing', async () => {
+        assert.deepEqual(await migrate(), []);
+    });
+
+    test('rollback runs down and migrate runs up again', async () => {
+        const latest = loadMigrations().pop();
+        assert.deepEqual(await rollback(), [latest.name]);
+        assert.equal((await getSchemaStatus()).pending.length, 1);
+
+        assert.deepEqual(await migrate(), [latest.name]);
+        assert.equal((await getSchemaStatus()).current, latest.version);
+        assert.ok((await tableNames(database)).includes('bot_settings'));
+    });
+
+    test('refuses a schema newer than the code', async () => {
+        await SchemaMigrationsDB.create({ version: 9999, name: '9999_from_the_future' });
+        try {
+            await assert.rejects(migrate(), /schema is at version 9999/);
+            await assert.rejects(rollback(), /only knows up to/);
+        } finally {
+            await SchemaMigrationsDB.destroy({ where: { version: 9999 } });
+        }
+        assert.deepEqual(await migrate(), []);
+    });
+
+    test('upgrades a database from before the migrations', async () => {
+        const old = createDatabase(':memory:');
+        try {
+            // bot_settings as sync() left it before prefixes and mention prefixes existed
+            await old.query("CREATE TABLE bot_settings (id INTEGER PRIMARY KEY AUTOINCREMENT, prefix VARCHAR(255) NOT NULL DEFAULT '.', author VARCHAR(255) NOT NULL DEFAULT 'Keith', mode VARCHAR(255) NOT NULL DEFAULT 'public', createdAt DATETIME NOT NULL, updatedAt DATETIME NOT NULL)");
+            await old.query("INSERT INTO bot_settings (prefix, author, mode, createdAt, updatedAt) VALUES ('!', 'Me', 'private', '2024-01-01', '2024-01-01')");
+
+            const ran = await migrate({ database: old });
+            assert.equal(ran.length, loadMigrations().length);
+
+            const columns = await old.getQueryInterface().describeTable('bot_settings');
+            for (const column of ['prefixes', 'prefixlessPrivate', 'mentionPrefix', 'timezone', 'backupInterval']) {
+                assert.ok(columns[column], `${column} was added`);
+            }
+            const [[row]] = await old.query('SELECT prefix, author, mode, prefixes, mentionPrefix, backupInterval, backupKeep FROM bot_settings');
+            assert.equal(row.prefix, '!');
+            assert.equal(row.author, 'Me');
+            assert.equal(row.mode, 'private');
+            assert.deepEqual(JSON.parse(row.prefixes), []);
+            assert.equal(row.mentionPrefix, 1);
+            assert.equal(row.backupInterval, 12);
+            assert.equal(row.backupKeep, 3);
+        } finally {
+            await old.close();
+        }
+    });
+});
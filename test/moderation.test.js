@@ -0,0 +1,228 @@
+require('./helpers/harness');
+
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { containsBadWord } = require('../database/antibad');
+const { containsTriggerWord } = require('../database/autoblock');
+const { addUserMessage, getUserMessageCount, clearUserMessages, clearAllGroupMessages } = require('../database/antispam');
+
+describe('containsBadWord', () => {
+    test('returns false for empty text or an empty list', () => {
+        assert.equal(containsBadWord('', ['fool']), false);
+        assert.equal(containsBadWord(null, ['fool']), false);
+        assert.equal(containsBadWord('you fool', []), false);
+    });
+
+    test('defaults to normal mode', () => {
+        assert.equal(containsBadWord('you fool', ['fool']), true);
+        assert.equal(containsBadWord('all good here', ['fool']), false);
+    });
+
+    describe('strict mode', () => {
+        test('matches whole words only', () => {
+            assert.equal(containsBadWord('you are a fool', ['fool'], 'strict'), true);
+            assert.equal(containsBadWord('Fool!', ['fool'], 'strict'), true);
+            assert.equal(containsBadWord('foolish idea', ['fool'], 'strict'), false);
+            assert.equal(containsBadWord('tomfoolery', ['fool'], 'strict'), false);
+        });
+
+        test('is case insensitive', () => {
+            assert.equal(containsBadWord('YOU FOOL', ['fool'], 'strict'), true);
+        });
+
+        test('does not expand leetspeak', () => {
+            assert.equal(containsBadWord('you f00l', ['fool'], 'strict'), false);
+        });
+    });
+
+    describe('loose mode', () => {
+        test('matches inside other words', () => {
+            assert.equal(containsBadWord('tomfoolery', ['fool'], 'loose'), true);
+            assert.equal(containsBadWord('FOOLISH', ['fool'], 'loose'), true);
+        });
+
+        test('does not expand leetspeak', () => {
+            assert.equal(containsBadWord('f00lish', ['fool'], 'loose'), false);
+        });
+    });
+
+    describe('normal mode', () => {
+        test('matches the word at the start, middle, end or alone', () => {
+            assert.equal(containsBadWord('fool you', ['fool'], 'normal'), true);
+            assert.equal(containsBadWord('you fool you', ['fool'], 'normal'), true);
+            assert.equal(containsBadWord('you fool', ['fool'], 'normal'), true);
+            assert.equal(containsBadWord('fool', ['fool'], 'normal'), true);
+        });
+
+        test('catches leetspeak variants', () => {
+            assert.equal(containsBadWord('you f00l', ['fool'], 'normal'), true);
+            assert.equal(containsBadWord('b@d word', ['bad'], 'normal'), true);
+            assert.equal(containsBadWord('b4d word', ['bad'], 'normal'), true);
+            assert.equal(containsBadWord('such m3ss', ['mess'], 'normal'), true);
+            assert.equal(containsBadWord('stup1d', ['stupid'], 'normal'), true);
+            assert.equal(containsBadWord('stup!d', ['stupid'], 'normal'), true);
+            assert.equal(containsBadWord('5ucker', ['sucker'], 'normal'), true);
+            assert.equal(containsBadWord('$ucker', ['sucker'], 'normal'), true);
+        });
+
+        test('only substitutes one letter kind at a time', () => {
+            assert.equal(containsBadWord('$tup1d', ['stupid'], 'normal'), false);
+        });
+
+        test('checks every word in the list', () => {
+            assert.equal(containsBadWord('what a clown', ['fool', 'clown'], 'normal'), true);
+        });
+    });
+
+    describe('regex special characters', () => {
+        const words = ['c++', 'a.b', '(x)', 'what?', '$hit', 'a|b', '[x]', 'back\\slash'];
+
+        for (const mode of ['strict', 'loose', 'normal']) {
+            test(`${mode} mode treats them literally and never throws`, () => {
+                for (const word of words) {
+                    assert.doesNotThrow(() => containsBadWord('plain text', [word], mode));
+                    assert.equal(containsBadWord(`say ${word} now`, [word], mode), true, `${word} should match`);
+                }
+            });
+        }
+
+        test('strict mode does not treat . as a wildcard', () => {
+            assert.equal(containsBadWord('axb', ['a.b'], 'strict'), false);
+            assert.equal(containsBadWord('a.b', ['a.b'], 'strict'), true);
+        });
+
+        test('strict mode does not treat | as alternation', () => {
+            assert.equal(containsBadWord('just a', ['a|b'], 'strict'), false);
+        });
+    });
+});
+
+describe('containsTriggerWord', () => {
+    test('returns false for empty text or an empty list', () => {
+        assert.equal(containsTriggerWord('', ['spam']), false);
+        assert.equal(containsTriggerWord('spam', []), false);
+    });
+
+    test('matches whole words and parts of words', () => {
+        assert.equal(containsTriggerWord('buy spam now', ['spam']), true);
+        assert.equal(containsTriggerWord('spammer here', ['spam']), true);
+        assert.equal(containsTriggerWord('nothing to see', ['spam']), false);
+    });
+
+    test('is case insensitive for the text', () => {
+        assert.equal(containsTriggerWord('BUY SPAM', ['spam']), true);
+    });
+
+    test('matches any word in the list', () => {
+        assert.equal(containsTriggerWord('free crypto', ['spam', 'crypto']), true);
+    });
+
+    test('treats regex special characters literally', () => {
+        for (const word of ['c++', 'a.b', '(x)', 'win?', '$$$', 'a|b', '[link]']) {
+            assert.doesNotThrow(() => containsTriggerWord('plain text', [word]));
+            assert.equal(containsTriggerWord(`get ${word} today`, [word]), true, `${word} should match`);
+        }
+        assert.equal(containsTriggerWord('axb', ['a.b']), false);
+        assert.equal(containsTriggerWord('a', ['a|b']), false);
+    });
+});
+
+describe('getUserMessageCount', () => {
+    const GROUP = 'spam@g.us';
+    const USER = '254700000001@s.whatsapp.net';
+    let now;
+
+    function at(ms) {
+        now = ms;
+    }
+
+    function trackAt(ms, count = 1, user = USER) {
+        at(ms);
+        for (let i = 0; i < count; i++) addUserMessage(GROUP, user);
+    }
+
+    afterEach(() => {
+        mock.restoreAll();
+        clearAllGroupMessages(GROUP);
+    });
+
+    function useClock(start = 1_000_000) {
+        now = start;
+        mock.method(Date, 'now', () => now);
+    }
+
+    test('is 0 for a user with no messages', () => {
+        assert.equal(getUserMessageCount(GROUP, USER, 5), 0);
+    });
+
+    test('counts messages inside the window', () => {
+        useClock();
+        trackAt(1_000_000, 3);
+        at(1_002_000);
+        assert.equal(getUserMessageCount(GROUP, USER, 5), 3);
+    });
+
+    test('includes a message exactly on the window edge', () => {
+        useClock();
+        trackAt(1_000_000);
+        at(1_005_000);
+        assert.equal(getUserMessageCount(GROUP, USER, 5), 1);
+    });
+
+    test('drops a message one millisecond past the window', () => {
+        useClock();
+        trackAt(1_000_000);
+        at(1_005_001);
+        assert.equal(getUserMessageCount(GROUP, USER, 5), 0);
+    });
+
+    test('only counts the recent part of a burst', () => {
+        useClock();
+        trackAt(1_000_000, 2);
+        trackAt(1_004_000, 3);
+        at(1_006_000);
+        assert.equal(getUserMessageCount(GROUP, USER, 5), 3);
+    });
+
+    test('forgets expired messages once counted', () => {
+        useClock();
+        trackAt(1_000_000, 2);
+        at(1_010_000);
+        assert.equal(getUserMessageCount(GROUP, USER, 5), 0);
+        // A wider window later cannot bring pruned messages back
+        assert.equal(getUserMessageCount(GROUP, USER, 60), 0);
+    });
+
+    test('a window of 0 only counts messages from this millisecond', () => {
+        useClock();
+        trackAt(1_000_000);
+        assert.equal(getUserMessageCount(GROUP, USER, 0), 1);
+        at(1_000_001);
+        assert.equal(getUserMessageCount(GROUP, USER, 0), 0);
+    });
+
+    test('keeps at most the last 20 messages', () => {
+        useClock();
+        trackAt(1_000_000, 25);
+        assert.equal(getUserMessageCount(GROUP, USER, 5), 20);
+    });
+
+    test('keeps users and groups apart', () => {
+        useClock();
+        trackAt(1_000_000, 2);
+        trackAt(1_000_000, 4, '254700000002@s.whatsapp.net');
+        addUserMessage('other@g.us', USER);
+
+        assert.equal(getUserMessageCount(GROUP, USER, 5), 2);
+        assert.equal(getUserMessageCount(GROUP, '254700000002@s.whatsapp.net', 5), 4);
+        assert.equal(getUserMessageCount('other@g.us', USER, 5), 1);
+        clearAllGroupMessages('other@g.us');
+    });
+
+    test('clearUserMessages resets one user', () => {
+        useClock();
+        trackAt(1_000_000, 3);
+        clearUserMessages(GROUP, USER);
+        assert.equal(getUserMessageCount(GROUP, USER, 5), 0);
+    });
+});
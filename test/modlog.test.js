@@ -0,0 +1,162 @@
+const { createHarness, createMockSocket, setupDatabase, injectMessage, injectGroupParticipants } = require('./helpers/harness');
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { logModerationAction, queryModerationActions, ModerationActionsDB } = require('../database/modlog');
+const { setLadder, addWarn } = require('../database/warn');
+const { incrementAntiPromoteWarnCount, updateGroupEventsSettings } = require('../database/groupevents');
+const { updateAntiSpamSettings } = require('../database/antispam');
+const { updateAutoBlockSettings, addTriggerWord } = require('../database/autoblock');
+const { parseLadder, escalate, attachModeration } = require('../lib/moderation');
+
+const BOT = '254700000000@s.whatsapp.net';
+const ADMIN = '254722222222@s.whatsapp.net';
+const MEMBER = '254733333333@s.whatsapp.net';
+const DAY = 24 * 60 * 60 * 1000;
+let groups = 0;
+
+const newGroup = () => `modlog-${++groups}@g.us`;
+
+// Lets the unawaited log writes from recordStrike land
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('moderation log', () => {
+    before(setupDatabase);
+
+    test('ladder steps are logged with the rule and a message excerpt', async () => {
+        const client = createMockSocket();
+        const group = newGroup();
+        client.addGroup(group, { participants: [{ id: BOT, admin: 'admin' }, { id: MEMBER }] });
+        await setLadder(group, parseLadder('delete, kick').steps);
+
+        const mek = injectMessage(client, { chat: group, sender: MEMBER, text: `join   my group ${'x'.repeat(300)}` });
+        await escalate(client, { groupJid: group, userJid: MEMBER, source: 'link', mek, reason: 'posted a link' });
+        await settle();
+
+        const { rows } = await queryModerationActions(group);
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].actor, 'bot');
+        assert.equal(rows[0].targetJid, MEMBER);
+        assert.equal(rows[0].rule, 'link');
+        assert.equal(rows[0].action, 'delete');
+        assert.equal(rows[0].excerpt.length, 200);
+        assert.ok(rows[0].excerpt.startsWith('join my group x'));
+    });
+
+    test('filter strikes and manual warns leave a trace', async () => {
+        const group = newGroup();
+        incrementAntiPromoteWarnCount(group, MEMBER);
+        await addWarn(group, MEMBER, ADMIN, 'rude');
+        await settle();
+
+        const { rows } = await queryModerationActions(group);
+        assert.deepEqual(rows.map(row => [row.actor, row.rule, row.action]).sort(), [
+            ['254722222222@s.whatsapp.net', 'manual', 'warn'],
+            ['bot', 'promote', 'strike']
+        ]);
+    });
+
+    test('undoing a promotion is logged against the promoted member and the promoter', async () => {
+        const client = createMockSocket();
+        const group = newGroup();
+        const promoter = '254744444444@s.whatsapp.net';
+        client.addGroup(group, { participants: [{ id: BOT, admin: 'admin' }, { id: promoter, admin: 'admin' }, { id: MEMBER }] });
+        await updateGroupEventsSettings(group, { antiPromote: 'on', antiPromoteAction: 'warn' });
+        attachModeration(client);
+
+        injectGroupParticipants(client, { chat: group, participants: [MEMBER], action: 'promote', author: promoter });
+        await settle();
+
+        assert.deepEqual(client.groupActions.at(-1), { type: 'participants', jid: group, participants: [MEMBER], action: 'demote' });
+        assert.match(client.textsTo(group).join('\n'), /@254733333333 was made admin without permission/);
+        const { rows } = await queryModerationActions(group);
+        assert.deepEqual(rows.map(row => [row.targetJid, row.rule, row.action]).sort(), [
+            [MEMBER, 'promote', 'demote'],
+            [promoter, 'promote', 'warn']
+        ]);
+    });
+
+    test('filters by user, rule and time range', async () => {
+        const group = newGroup();
+        const other = '254744444444@s.whatsapp.net';
+        await logModerationAction({ groupJid: group, targetJid: MEMBER, rule: 'spam', action: 'mute' });
+        await logModerationAction({ groupJid: group, targetJid: other, rule: 'link', action: 'kick' });
+        const old = await logModerationAction({ groupJid: group, targetJid: MEMBER, rule: 'link', action: 'delete' });
+        await ModerationActionsDB.update({ createdAt: new Date(Date.now() - 10 * DAY) }, { where: { id: old.id }, silent: true });
+
+        assert.equal((await queryModerationActions(group, { targetJid: MEMBER })).total, 2);
+        assert.equal((await queryModerationActions(group, { rule: 'link' })).total, 2);
+        const recent = await queryModerationActions(group, { since: new Date(Date.now() - DAY) });
+        assert.deepEqual(recent.rows.map(row => row.action).sort(), ['kick', 'mute']);
+        const older = await queryModerationActions(group, { until: new Date(Date.now() - DAY) });
+        assert.deepEqual(older.rows.map(row => row.action), ['delete']);
+    });
+});
+
+describe('modlog command', () => {
+    const GROUP = 'modlog-command@g.us';
+    let bot;
+
+    before(async () => {
+        bot = await createHarness({
+            groups: {
+                [GROUP]: { subject: 'Modlog', participants: [{ id: BOT, admin: 'admin' }, { id: ADMIN, admin: 'admin' }, { id: MEMBER }, { id: '254755555555' }] }
+            }
+        });
+        await logModerationAction({ groupJid: GROUP, targetJid: MEMBER, rule: 'spam', action: 'delete', excerpt: 'buy now, "cheap"' });
+    });
+
+    test('admin commands are logged and listed with their actor', async () => {
+        await bot.texts({ chat: GROUP, sender: ADMIN, text: '.mute @254733333333 10m', mentions: [MEMBER] });
+
+        const [list] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.modlog @254733333333', mentions: [MEMBER] });
+        assert.match(list, /MODERATION LOG\* · @254733333333/);
+        assert.match(list, /\*mute\* @254733333333 by @254722222222 · manual · 10m/);
+        assert.match(list, /\*delete\* @254733333333 by bot · spam\n {3}“buy now, "cheap"”/);
+
+        const [byRule] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.modlog --rule manual' });
+        assert.doesNotMatch(byRule, /spam/);
+    });
+
+    test('exports CSV to the admin privately', async () => {
+        const sent = await bot.send({ chat: GROUP, sender: ADMIN, text: '.modlog --rule spam --csv' });
+        const document = sent.find(entry => entry.content.document);
+
+        assert.equal(document.jid, ADMIN);
+        assert.equal(document.content.mimetype, 'text/csv');
+        const [header, row] = document.content.document.toString().trim().split('\r\n');
+        assert.equal(header, 'time,group,actor,target,rule,action,excerpt,reason');
+        assert.match(row, /,modlog-command@g\.us,bot,254733333333@s\.whatsapp\.net,spam,delete,"buy now, ""cheap""",$/);
+        assert.match(bot.client.lastText(GROUP), /CSV sent to your private chat/);
+    });
+
+    test('filter catches and autoblock are logged with the action and the message', async () => {
+        await updateAntiSpamSettings(GROUP, { status: 'on', action: 'delete', message_limit: 2, time_window: 60 });
+        const spammer = '254766666666@s.whatsapp.net';
+        bot.client.applyParticipantChange(GROUP, [spammer], 'add');
+        for (const text of ['one', 'two', 'three']) await bot.send({ chat: GROUP, sender: spammer, text });
+        await updateAntiSpamSettings(GROUP, { status: 'off' });
+
+        await updateAutoBlockSettings({ status: 'on', action: 'block' });
+        await addTriggerWord('casino', ADMIN);
+        const stranger = '254788888888@s.whatsapp.net';
+        await bot.send({ sender: stranger, text: 'best casino bonus' });
+        await updateAutoBlockSettings({ status: 'off' });
+        await settle();
+
+        const spam = await queryModerationActions(GROUP, { targetJid: spammer });
+        assert.deepEqual(spam.rows.map(row => [row.rule, row.action, row.excerpt]), [['spam', 'delete', 'three']]);
+        assert.deepEqual(bot.client.blocks, [{ jid: stranger, action: 'block' }]);
+        const blocked = await queryModerationActions(stranger);
+        assert.deepEqual(blocked.rows.map(row => [row.rule, row.action, row.excerpt]), [['block', 'block', 'best casino bonus']]);
+    });
+
+    test('is for admins only and checks the range', async () => {
+        // MEMBER is muted by now, ask as someone else
+        const [member] = await bot.texts({ chat: GROUP, sender: '254755555555', text: '.modlog' });
+        assert.match(member, /Only group admins/);
+
+        const [range] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.modlog --from 2026-10-10 --to 2026-10-01' });
+        assert.match(range, /--from must be before --to/);
+    });
+});
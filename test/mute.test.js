@@ -0,0 +1,188 @@
+const { createHarness, createMockSocket, setupDatabase, injectMessage } = require('./helpers/harness');
+
+const { test, describe, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { addMute, isMuted, MutesDB } = require('../database/mutes');
+const { setLadder } = require('../database/warn');
+const { setLanguage } = require('../database/language');
+const { getAntiSpamSettings, updateAntiSpamSettings } = require('../database/antispam');
+const { parseLadder, escalate, applyFilterAction, sweepMutes } = require('../lib/moderation');
+const { attachPipeline } = require('../lib/messagePipeline');
+const KeithLogger = require('../logger');
+
+const BOT = '254700000000@s.whatsapp.net';
+const ADMIN = '254722222222@s.whatsapp.net';
+const MEMBER = '254733333333@s.whatsapp.net';
+const MINUTE = 60 * 1000;
+let groups = 0;
+
+// Polls until the listeners' unawaited work has landed, Date.now may be mocked
+async function waitFor(check, timeout = 2000) {
+    const started = performance.now();
+    while (!check()) {
+        if (performance.now() - started > timeout) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Module caches outlive resets, so every test gets its own group
+function newGroup(client) {
+    const jid = `mute-${++groups}@g.us`;
+    client.addGroup(jid, { participants: [{ id: BOT, admin: 'admin' }, { id: ADMIN, admin: 'admin' }, { id: MEMBER }] });
+    return jid;
+}
+
+describe('mutes', () => {
+    before(setupDatabase);
+    afterEach(() => mock.restoreAll());
+
+    test('a mute runs out on its own and the sweep announces it', async () => {
+        const client = createMockSocket();
+        const group = newGroup(client);
+        await addMute(group, MEMBER, 10 * MINUTE, ADMIN);
+        assert.equal(isMuted(group, MEMBER), true);
+
+        await sweepMutes(client);
+        assert.equal(client.sent.length, 0);
+
+        const now = Date.now();
+        mock.method(Date, 'now', () => now + 11 * MINUTE);
+        assert.equal(isMuted(group, MEMBER), false);
+
+        await sweepMutes(client);
+        assert.match(client.lastText(group), /@254733333333 is no longer muted/);
+        assert.equal(await MutesDB.count({ where: { groupJid: group } }), 0);
+    });
+
+    test('a ladder can mute for the step duration', async () => {
+        const client = createMockSocket();
+        const group = newGroup(client);
+        await setLadder(group, parseLadder('warn, mute 10m, kick').steps);
+        const mek = () => injectMessage(client, { chat: group, sender: MEMBER, text: 'spam' });
+
+        await escalate(client, { groupJid: group, userJid: MEMBER, source: 'spam', mek: mek() });
+        assert.match(client.lastText(group), /next time: \*mute 10m\*/);
+
+        const result = await escalate(client, { groupJid: group, userJid: MEMBER, source: 'link', mek: mek() });
+        assert.equal(result.step.action, 'mute');
+        assert.equal(isMuted(group, MEMBER), true);
+        assert.match(client.lastText(group), /muted for 10m/);
+    });
+
+    test('filters set to mute use their mute_minutes', async () => {
+        const client = createMockSocket();
+        const group = newGroup(client);
+        await updateAntiSpamSettings(group, { status: 'on', action: 'mute', mute_minutes: 5 });
+        const mek = injectMessage(client, { chat: group, sender: MEMBER, text: 'spam' });
+
+        const result = await applyFilterAction(client, { groupJid: group, userJid: MEMBER, source: 'spam', mek, settings: await getAntiSpamSettings(group) });
+        assert.deepEqual(result.step, { action: 'mute', duration: 5 * MINUTE });
+        assert.deepEqual(client.deleted, [mek.key]);
+        assert.match(client.lastText(group), /muted for 5m/);
+    });
+
+    test('filters set to warn remove the member at warn_limit', async () => {
+        const client = createMockSocket();
+        const group = newGroup(client);
+        const settings = { action: 'warn', warn_limit: 2 };
+        const mek = () => injectMessage(client, { chat: group, sender: MEMBER, text: 'http://x.example' });
+
+        await applyFilterAction(client, { groupJid: group, userJid: MEMBER, source: 'link', mek: mek(), settings });
+        assert.match(client.lastText(group), /Warning 1\/2/);
+
+        const result = await applyFilterAction(client, { groupJid: group, userJid: MEMBER, source: 'link', mek: mek(), settings });
+        assert.equal(result.step.action, 'kick');
+        assert.equal(client.groupActions.at(-1).action, 'remove');
+    });
+
+    test('the socket listener deletes a muted member\'s messages and runs the sweep', async () => {
+        mock.timers.enable({ apis: ['setInterval'] });
+        const client = createMockSocket();
+        const group = newGroup(client);
+        // What index.js does with the socket the bootstrap creates
+        KeithLogger.onClient(attachPipeline);
+        KeithLogger.setClientInstance(client);
+        await addMute(group, MEMBER, 10 * MINUTE, ADMIN);
+
+        const mek = injectMessage(client, { chat: group, sender: MEMBER, text: 'still here' });
+        injectMessage(client, { chat: group, sender: ADMIN, text: 'hi' });
+        assert.deepEqual(client.deleted, [mek.key]);
+
+        const later = Date.now() + 11 * MINUTE;
+        mock.method(Date, 'now', () => later);
+        mock.timers.tick(30 * 1000);
+        mock.timers.reset();
+        await waitFor(() => client.lastText(group));
+        assert.match(client.lastText(group), /@254733333333 is no longer muted/);
+    });
+
+    test('rejects a mute step longer than a week', () => {
+        assert.match(parseLadder('mute 8d').message, /at most 1w/);
+    });
+});
+
+describe('mute commands', () => {
+    const GROUP = 'mute-command@g.us';
+    let bot;
+
+    before(async () => {
+        bot = await createHarness({
+            groups: {
+                [GROUP]: { subject: 'Mute', participants: [{ id: BOT, admin: 'admin' }, { id: ADMIN, admin: 'admin' }, { id: MEMBER }] }
+            }
+        });
+    });
+
+    test('a muted member has every message deleted, commands included', async () => {
+        const [muted] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.mute @254733333333 30m flooding', mentions: [MEMBER] });
+        assert.match(muted, /@254733333333 is muted for \*30m\*.*: flooding/);
+
+        const sent = await bot.send({ chat: GROUP, sender: MEMBER, text: 'hello?' });
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].content.delete.participant, MEMBER);
+
+        const command = await bot.send({ chat: GROUP, sender: MEMBER, text: '.strikes' });
+        assert.deepEqual(command.map(entry => Boolean(entry.content.delete)), [true]);
+    });
+
+    test('admins list and lift mutes', async () => {
+        const [list] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.mutes' });
+        assert.match(list, /@254733333333: (29m\d+s|30m) left, by @254722222222 \(flooding\)/);
+
+        const [lifted] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.unmute @254733333333', mentions: [MEMBER] });
+        assert.match(lifted, /can talk again/);
+        assert.equal(isMuted(GROUP, MEMBER), false);
+        assert.deepEqual(await bot.texts({ chat: GROUP, sender: ADMIN, text: '.mutes' }), ['✅ Nobody is muted in this group.']);
+    });
+
+    test('admins cannot be muted and members cannot mute', async () => {
+        const [admin] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.mute @254722222222 10m', mentions: [ADMIN] });
+        assert.match(admin, /Admins cannot be muted/);
+
+        const [member] = await bot.texts({ chat: GROUP, sender: MEMBER, text: '.mute @254722222222 10m', mentions: [ADMIN] });
+        assert.match(member, /Only group admins/);
+    });
+
+    test('rejects zero durations and answers in the group language', async () => {
+        const [zero] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.mute @254733333333 0', mentions: [MEMBER] });
+        assert.match(zero, /has to last at least a second/);
+        assert.equal(isMuted(GROUP, MEMBER), false);
+
+        const group = 'mute-sw@g.us';
+        bot.client.addGroup(group, { participants: [{ id: BOT, admin: 'admin' }, { id: ADMIN, admin: 'admin' }, { id: MEMBER }] });
+        await setLanguage(group, 'chat', 'sw');
+        const [muted] = await bot.texts({ chat: group, sender: ADMIN, text: '.mute @254733333333 5m', mentions: [MEMBER] });
+        assert.match(muted, /amenyamazishwa kwa \*5m\*/);
+        const [list] = await bot.texts({ chat: group, sender: ADMIN, text: '.mutes' });
+        assert.match(list, /WANACHAMA WALIONYAMAZISHWA/);
+    });
+
+    test('filteraction sets a filter to mute', async () => {
+        const [saved] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.filteraction antispam mute 15m' });
+        assert.match(saved, /antispam\* action: \*mute for 15m\*/);
+        assert.equal((await getAntiSpamSettings(GROUP)).mute_minutes, 15);
+
+        const [bad] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.filteraction antilink delete 5m' });
+        assert.match(bad, /Only the mute action takes a duration/);
+    });
+});
@@ -0,0 +1,27 @@
+require('./helpers/harness');
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { cmdsDir, discoverPluginFiles, isReloadable, reloadPluginFile } = require('../lib/pluginLoader');
+
+const REMOTE = path.join(cmdsDir, 'Remote.js');
+
+describe('plugin reloads', () => {
+    test('a full reload leaves Remote.js out', () => {
+        const files = discoverPluginFiles(cmdsDir);
+        assert.ok(files.includes(REMOTE));
+        assert.ok(!files.filter(isReloadable).includes(REMOTE));
+        assert.ok(files.filter(isReloadable).includes(path.join(cmdsDir, 'reload.js')));
+    });
+
+    test('Remote.js is not required again on its own either', () => {
+        require(REMOTE);
+        const cached = require.cache[REMOTE];
+
+        const result = reloadPluginFile(REMOTE);
+        assert.equal(result.loaded, false);
+        assert.match(result.error.message, /only loads at startup/);
+        assert.equal(require.cache[REMOTE], cached);
+    });
+});
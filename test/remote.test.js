@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Remote.js reads these when it loads, keep its cache and manifest out of the repo
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'keith-remote-'));
+const CACHE = path.join(tmp, 'cache');
+process.env.REMOTE_CACHE_DIR = CACHE;
+process.env.REMOTE_MANIFEST = path.join(tmp, 'manifest.json');
+require('./helpers/harness');
+
+const { test, describe, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const KeithLogger = require('../logger');
+const {
+    BOOTSTRAP_SCRIPT,
+    sha256,
+    loadManifest,
+    loadTrustedScript,
+    fetchScriptUrl,
+    loadBootstrapScript,
+    pinRemoteScripts
+} = require('../Cmds/Remote');
+
+const PAGE = 'https://raw.githubusercontent.com/barazaghost/REMOTE/refs/heads/main/index.html';
+const MANIFEST = process.env.REMOTE_MANIFEST;
+
+function indexPage(scripts) {
+    return Object.keys(scripts).map(name => `<a href="https://scripts.test/${name}.js">${name}</a>`).join('\n');
+}
+
+// Serves the index page and one script per name, or fails every request when offline
+function serveRemote(scripts) {
+    return mock.method(axios, 'get', async url => {
+        if (!scripts) throw new Error('getaddrinfo ENOTFOUND');
+        if (url === PAGE) return { data: indexPage(scripts) };
+        const name = path.basename(url, '.js');
+        if (scripts[name] === undefined) throw new Error('404');
+        return { data: scripts[name] };
+    });
+}
+
+function logged(level) {
+    return KeithLogger[level].mock.calls.map(call => call.arguments[0]).join('\n');
+}
+
+function cacheScript(name, script) {
+    fs.mkdirSync(CACHE, { recursive: true });
+    fs.writeFileSync(path.join(CACHE, `${name}.js`), script);
+}
+
+beforeEach(() => {
+    fs.rmSync(CACHE, { recursive: true, force: true });
+    mock.method(KeithLogger, 'warning', () => {});
+    mock.method(KeithLogger, 'error', () => {});
+    mock.method(KeithLogger, 'info', () => {});
+    mock.method(KeithLogger, 'success', () => {});
+});
+afterEach(() => mock.restoreAll());
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+describe('connection bootstrap', () => {
+    test('an unpinned script still loads, is cached and is flagged', async () => {
+        serveRemote({ [BOOTSTRAP_SCRIPT]: 'connect()' });
+        assert.equal(await loadBootstrapScript({}), 'connect()');
+        assert.match(logged('warning'), new RegExp(`not pinned.*sha256 ${sha256('connect()')}`));
+        assert.equal(fs.readFileSync(path.join(CACHE, `${BOOTSTRAP_SCRIPT}.js`), 'utf8'), 'connect()');
+
+        mock.restoreAll();
+        mock.method(KeithLogger, 'warning', () => {});
+        serveRemote(null);
+        assert.equal(await loadBootstrapScript({}), 'connect()');
+    });
+
+    test('an unpinned script that is unreachable and uncached is not loaded', async () => {
+        serveRemote(null);
+        assert.equal(await loadBootstrapScript({}), null);
+        assert.match(logged('error'), /unreachable and has no cached copy/);
+    });
+
+    test('a pinned script that changed is refused', async () => {
+        serveRemote({ [BOOTSTRAP_SCRIPT]: 'connect(evil)' });
+        assert.equal(await loadBootstrapScript({ [BOOTSTRAP_SCRIPT]: sha256('connect()') }), null);
+        assert.match(logged('error'), /does not match its pinned hash/);
+    });
+});
+
+describe('pinned scripts', () => {
+    const GOOD = 'globalThis.remoteTestRuns = (globalThis.remoteTestRuns || 0) + 1;';
+    const pins = { AI: sha256(GOOD) };
+
+    test('a script matching its pin is used and cached', async () => {
+        serveRemote({ AI: GOOD });
+        assert.equal(await loadTrustedScript('AI', cheerio.load(indexPage({ AI: GOOD })), pins), GOOD);
+        assert.equal(fs.readFileSync(path.join(CACHE, 'AI.js'), 'utf8'), GOOD);
+        assert.equal(logged('error'), '');
+    });
+
+    test('a changed script falls back to the cached copy that matches', async () => {
+        cacheScript('AI', GOOD);
+        serveRemote({ AI: 'steal()' });
+
+        assert.equal(await loadTrustedScript('AI', cheerio.load(indexPage({ AI: 'steal()' })), pins), GOOD);
+        assert.match(logged('error'), /Remote AI script does not match its pinned hash, refusing it/);
+        assert.match(logged('info'), /Using cached AI script/);
+        assert.equal(fs.readFileSync(path.join(CACHE, 'AI.js'), 'utf8'), GOOD);
+    });
+
+    test('a changed script without a cache is refused and logged', async () => {
+        serveRemote({ AI: 'steal()' });
+        globalThis.remoteTestRuns = 0;
+
+        assert.equal(await fetchScriptUrl('AI', cheerio.load(indexPage({ AI: 'steal()' })), pins), false);
+        assert.equal(globalThis.remoteTestRuns, 0);
+        assert.match(logged('error'), /does not match its pinned hash/);
+        assert.match(logged('error'), /missing or tampered with and has no valid cache, skipped/);
+        assert.equal(fs.existsSync(path.join(CACHE, 'AI.js')), false);
+    });
+
+    test('offline, a cache that does not match the pin is refused too', async () => {
+        cacheScript('AI', 'steal()');
+        assert.equal(await loadTrustedScript('AI', null, pins), null);
+        assert.match(logged('error'), /Cached AI script does not match its pinned hash/);
+    });
+
+    test('a script without a pin is not fetched', async () => {
+        const get = serveRemote({ AI: GOOD });
+        assert.equal(await fetchScriptUrl('AI', cheerio.load(indexPage({ AI: GOOD })), {}), false);
+        assert.equal(get.mock.callCount(), 0);
+        assert.match(logged('error'), /No pinned hash for remote AI script, refusing to load it/);
+    });
+
+    test('fetchScriptUrl runs the script once it checks out', async () => {
+        serveRemote({ AI: GOOD });
+        globalThis.remoteTestRuns = 0;
+        assert.equal(await fetchScriptUrl('AI', cheerio.load(indexPage({ AI: GOOD })), pins), true);
+        assert.equal(globalThis.remoteTestRuns, 1);
+    });
+
+    test('pinRemoteScripts records the served hashes in REMOTE_MANIFEST', async () => {
+        serveRemote({ [BOOTSTRAP_SCRIPT]: 'connect()', AI: GOOD });
+        const manifest = await pinRemoteScripts();
+
+        assert.deepEqual(manifest, { [BOOTSTRAP_SCRIPT]: sha256('connect()'), AI: sha256(GOOD) });
+        assert.deepEqual(loadManifest(), manifest);
+        assert.equal(fs.readFileSync(path.join(CACHE, 'AI.js'), 'utf8'), GOOD);
+        assert.match(logged('info'), new RegExp(`BOOTSTRAP_SHA256=${sha256('connect()')}`));
+        assert.match(logged('error'), /Could not pin remote FANCY script/);
+    });
+
+    test('pinRemoteScripts reports a manifest it cannot write', async () => {
+        fs.rmSync(MANIFEST, { force: true });
+        fs.mkdirSync(MANIFEST);
+        try {
+            serveRemote({ AI: GOOD });
+            assert.deepEqual(await pinRemoteScripts(), { AI: sha256(GOOD) });
+            assert.match(logged('error'), /Could not write .*set REMOTE_MANIFEST to a writable path/);
+        } finally {
+            fs.rmSync(MANIFEST, { recursive: true, force: true });
+        }
+    });
+});
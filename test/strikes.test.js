@@ -0,0 +1,159 @@
+const { OWNER, createHarness, setupDatabase } = require('./helpers/harness');
+
+const { test, describe, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    initWarnDB,
+    recordStrike,
+    getStrikeCount,
+    getStrikeBreakdown,
+    clearStrikes,
+    pruneExpiredStrikes,
+    flushStrikes,
+    updateWarnSettings,
+    addWarn,
+    getUserWarnCount,
+    WarnsDB
+} = require('../database/warn');
+const { incrementWarnCount, getWarnCount, resetWarnCount } = require('../database/antilink');
+const { incrementSpamWarnCount } = require('../database/antispam');
+const { incrementBlockWarnCount, getBlockWarnCount } = require('../database/autoblock');
+
+const DAY = 24 * 60 * 60 * 1000;
+let groups = 0;
+
+// Module caches outlive resets, so every test gets its own group
+const newGroup = () => `strikes-${++groups}@g.us`;
+const USER = '254755555555@s.whatsapp.net';
+
+describe('strike ledger', () => {
+    before(setupDatabase);
+    afterEach(() => mock.restoreAll());
+
+    test('counts strikes per source and in total', async () => {
+        const group = newGroup();
+        assert.equal(incrementWarnCount(group, USER), 1);
+        assert.equal(incrementWarnCount(group, USER), 2);
+        assert.equal(incrementSpamWarnCount(group, USER), 1);
+
+        assert.equal(getWarnCount(group, USER), 2);
+        assert.equal(getStrikeCount(group, USER), 3);
+        assert.deepEqual(getStrikeBreakdown(group, USER), { link: 2, spam: 1 });
+    });
+
+    test('writes every strike to the database with its source', async () => {
+        const group = newGroup();
+        incrementWarnCount(group, USER);
+        incrementSpamWarnCount(group, USER);
+        await flushStrikes();
+
+        const rows = await WarnsDB.findAll({ where: { groupJid: group }, order: [['id', 'ASC']] });
+        assert.deepEqual(rows.map(row => row.source), ['link', 'spam']);
+        assert.ok(rows.every(row => row.expiresAt > row.createdAt));
+    });
+
+    test('loads strikes from the database again after a restart', async () => {
+        const group = newGroup();
+        await WarnsDB.create({ groupJid: group, userJid: USER, warnedBy: 'system', source: 'tag' });
+        assert.equal(getStrikeCount(group, USER), 0);
+
+        await initWarnDB();
+        assert.equal(getStrikeCount(group, USER, 'tag'), 1);
+    });
+
+    test('resetting one source leaves the others', async () => {
+        const group = newGroup();
+        incrementWarnCount(group, USER);
+        incrementSpamWarnCount(group, USER);
+        resetWarnCount(group, USER);
+        await flushStrikes();
+
+        assert.deepEqual(getStrikeBreakdown(group, USER), { spam: 1 });
+        assert.equal(await WarnsDB.count({ where: { groupJid: group } }), 1);
+
+        await clearStrikes(group, USER);
+        assert.equal(await WarnsDB.count({ where: { groupJid: group } }), 0);
+    });
+
+    test('strikes expire after the group auto_reset_days', async () => {
+        const group = newGroup();
+        await updateWarnSettings(group, { auto_reset_days: 1 });
+        incrementWarnCount(group, USER);
+        await flushStrikes();
+
+        const now = Date.now();
+        mock.method(Date, 'now', () => now + 2 * DAY);
+        assert.equal(getWarnCount(group, USER), 0);
+
+        await pruneExpiredStrikes();
+        assert.equal(await WarnsDB.count({ where: { groupJid: group } }), 0);
+    });
+
+    test('a zero auto_reset_days never expires', async () => {
+        const group = newGroup();
+        await updateWarnSettings(group, { auto_reset_days: 0 });
+        incrementWarnCount(group, USER);
+
+        const now = Date.now();
+        mock.method(Date, 'now', () => now + 365 * DAY);
+        assert.equal(getWarnCount(group, USER), 1);
+    });
+
+    test('strikes outside groups are kept per user', () => {
+        const user = '254766666666@s.whatsapp.net';
+        assert.equal(incrementBlockWarnCount(user), 1);
+        assert.equal(getBlockWarnCount(user), 1);
+        assert.deepEqual(getStrikeBreakdown(user, user), { block: 1 });
+    });
+
+    test('manual warns are the manual source', async () => {
+        const group = newGroup();
+        incrementWarnCount(group, USER);
+        const result = await addWarn(group, USER, OWNER, 'rude');
+
+        assert.equal(result.success, true);
+        assert.equal(result.warnCount, 1);
+        assert.ok(result.warnId);
+        assert.equal(await getUserWarnCount(group, USER), 1);
+        assert.equal(getStrikeCount(group, USER), 2);
+    });
+
+    test('rejects unknown sources', () => {
+        assert.throws(() => recordStrike(newGroup(), USER, 'mystery'), /Unknown strike source/);
+    });
+});
+
+describe('strikes command', () => {
+    const ADMIN = '254722222222@s.whatsapp.net';
+    const MEMBER = '254733333333@s.whatsapp.net';
+    const GROUP = 'strikes-command@g.us';
+    let bot;
+
+    before(async () => {
+        bot = await createHarness({
+            groups: {
+                [GROUP]: { subject: 'Strikes', participants: [{ id: ADMIN, admin: 'admin' }, { id: MEMBER }] }
+            }
+        });
+    });
+
+    test('members see their own strikes but not others', async () => {
+        incrementWarnCount(GROUP, MEMBER);
+        incrementSpamWarnCount(GROUP, MEMBER);
+
+        const [own] = await bot.texts({ chat: GROUP, sender: MEMBER, text: '.strikes' });
+        assert.match(own, /Total: \*2\* \((link 1, spam 1|spam 1, link 1)\)/);
+
+        const [other] = await bot.texts({ chat: GROUP, sender: MEMBER, text: '.strikes @254722222222', mentions: [ADMIN] });
+        assert.match(other, /Only group admins/);
+    });
+
+    test('admins list everyone and clear one source', async () => {
+        const [list] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.strikes --all' });
+        assert.match(list, /@254733333333: 2/);
+
+        const [cleared] = await bot.texts({ chat: GROUP, sender: ADMIN, text: '.strikes @254733333333 spam --clear', mentions: [MEMBER] });
+        assert.match(cleared, /Cleared \*spam\* strikes/);
+        assert.deepEqual(getStrikeBreakdown(GROUP, MEMBER), { link: 1 });
+    });
+});